@@ -0,0 +1,270 @@
+/**
+ * ErgonomicGPT - Posture Break Reminders
+ *
+ * Counts minutes of active chatting and suggests a posture or eye break
+ * every breakReminders.intervalMinutes (common/settings.js). Content
+ * scripts send a break-activity message at most once a minute while the
+ * user types, clicks or scrolls in a visible tab, so a chat left open in
+ * the background never counts:
+ * - Pings closer together than ACTIVITY_GAP_MS add up to active time
+ * - A quiet spell of BREAK_RESET_MS counts as a break and starts over
+ * - Once the interval is reached, the reminder shows as a notification or
+ *   as a banner on the page the user is chatting on
+ * - Snooze puts the reminder off for SNOOZE_MINUTES (an alarm
+ *   brings it back), "Skip today" silences it until tomorrow
+ *
+ * Progress lives in chrome.storage.local, since the worker is stopped
+ * between events and the count is per device:
+ * { activeMs, lastActivityAt, lastTabId, snoozedUntil, skippedDay }
+ *
+ * Loaded by background/service-worker.js after common/browser-api.js,
+ * common/i18n.js and common/settings.js
+ */
+
+(function(root) {
+  'use strict';
+
+  const { BREAK_REMINDERS_KEY, DEFAULT_BREAK_REMINDERS, resolveBreakReminders } = root.ErgonomicGPT.settings;
+  const { getMessage } = root.ErgonomicGPT.i18n;
+  const { browserApi } = root.ErgonomicGPT;
+
+  const LOG_PREFIX = '[ErgonomicGPT]';
+
+  // Messages from the content-script core
+  const ACTIVITY_MESSAGE = 'break-activity';
+  const BREAK_ACTION_MESSAGE = 'break-action';
+
+  // Message the content-script core answers by showing the banner
+  const SHOW_BREAK_BANNER_MESSAGE = 'show-break-banner';
+
+  // chrome.storage.local key holding the progress towards the next break
+  const BREAK_STATE_KEY = 'breakState';
+
+  // Pings arrive about once a minute; a missed one still counts as chatting
+  const ACTIVITY_GAP_MS = 2 * 60 * 1000;
+
+  // Nothing for this long means the user already took a break
+  const BREAK_RESET_MS = 5 * 60 * 1000;
+
+  const SNOOZE_MINUTES = 10;
+  const SNOOZE_ALARM = 'break-reminder-snooze';
+  const NOTIFICATION_ID = 'break-reminder';
+
+  // Notification buttons, in order
+  const NOTIFICATION_ACTIONS = ['snooze', 'skip'];
+
+  const EMPTY_STATE = Object.freeze({
+    activeMs: 0,
+    lastActivityAt: 0,
+    lastTabId: null,
+    snoozedUntil: 0,
+    skippedDay: null,
+  });
+
+  /**
+   * Name the local calendar day a time falls on
+   * @param {number} time - Milliseconds since the epoch
+   * @returns {string}
+   */
+  function getDay(time) {
+    return new Date(time).toDateString();
+  }
+
+  /**
+   * Read the reminder settings and progress, then hand them to a callback
+   * @param {Function} callback - Receives (settings, state)
+   */
+  function loadBreakState(callback) {
+    browserApi.storage.get('sync', { [BREAK_REMINDERS_KEY]: DEFAULT_BREAK_REMINDERS }).then((items) => {
+      browserApi.storage.get('local', { [BREAK_STATE_KEY]: EMPTY_STATE }).then((local) => {
+        callback(resolveBreakReminders(items), { ...EMPTY_STATE, ...local[BREAK_STATE_KEY] });
+      }, (error) => {
+        console.error(LOG_PREFIX, 'Error loading break progress:', error);
+      });
+    }, (error) => {
+      console.error(LOG_PREFIX, 'Error loading break reminders:', error);
+    });
+  }
+
+  /**
+   * Save the progress towards the next break
+   * @param {Object} state - Break progress
+   */
+  function saveBreakState(state) {
+    browserApi.storage.set('local', { [BREAK_STATE_KEY]: state }).catch((error) => {
+      console.error(LOG_PREFIX, 'Error saving break progress:', error);
+    });
+  }
+
+  /**
+   * Check whether the user asked not to be reminded right now
+   * @param {Object} state - Break progress
+   * @param {number} now - Current time
+   * @returns {boolean}
+   */
+  function isSilenced(state, now) {
+    return state.skippedDay === getDay(now) || state.snoozedUntil > now;
+  }
+
+  /**
+   * Show the reminder as a system notification
+   * @param {Object} settings - Resolved break reminder settings
+   */
+  function showNotification(settings) {
+    browserApi.notifications.create(NOTIFICATION_ID, {
+      type: 'basic',
+      iconUrl: browserApi.runtime.getURL('icons/icon128.png'),
+      title: getMessage('breakTitle'),
+      message: getMessage('breakMessage', String(settings.intervalMinutes)),
+      buttons: [
+        { title: getMessage('breakSnooze', String(SNOOZE_MINUTES)) },
+        { title: getMessage('breakSkipToday') },
+      ],
+      requireInteraction: true,
+    }).catch((error) => {
+      console.error(LOG_PREFIX, 'Error showing break reminder:', error);
+    });
+  }
+
+  /**
+   * Close the reminder notification, if it is showing
+   */
+  function clearNotification() {
+    browserApi.notifications.clear(NOTIFICATION_ID).catch((error) => {
+      console.error(LOG_PREFIX, 'Error closing break reminder:', error);
+    });
+  }
+
+  /**
+   * Show the reminder the way the user chose
+   * Falls back to a notification when the tab can't show the banner,
+   * e.g. it was closed or reloaded since its last ping
+   * @param {Object} settings - Resolved break reminder settings
+   * @param {Object} state - Break progress
+   */
+  function showReminder(settings, state) {
+    console.log(LOG_PREFIX, `Break reminder after ${settings.intervalMinutes} active minutes`);
+
+    if (settings.style !== 'banner' || state.lastTabId === null) {
+      showNotification(settings);
+      return;
+    }
+
+    const message = { type: SHOW_BREAK_BANNER_MESSAGE, minutes: settings.intervalMinutes };
+    browserApi.tabs.sendMessage(state.lastTabId, message).then((response) => {
+      if (!response || !response.shown) {
+        showNotification(settings);
+      }
+    }, () => showNotification(settings));
+  }
+
+  /**
+   * Count a ping from a content script towards the next break
+   * @param {number|null} tabId - Tab the user is chatting in
+   */
+  function recordActivity(tabId) {
+    loadBreakState((settings, state) => {
+      if (!settings.enabled) {
+        return;
+      }
+
+      const now = Date.now();
+      const gap = now - state.lastActivityAt;
+      const next = { ...state, lastActivityAt: now, lastTabId: tabId };
+
+      if (gap >= BREAK_RESET_MS) {
+        next.activeMs = 0;
+      } else if (gap <= ACTIVITY_GAP_MS) {
+        next.activeMs += gap;
+      }
+
+      if (next.activeMs >= settings.intervalMinutes * 60 * 1000 && !isSilenced(next, now)) {
+        next.activeMs = 0;
+        showReminder(settings, next);
+      }
+
+      saveBreakState(next);
+    });
+  }
+
+  /**
+   * Bring a snoozed reminder back, if the user is still chatting
+   */
+  function handleSnoozeEnd() {
+    loadBreakState((settings, state) => {
+      const now = Date.now();
+      if (!settings.enabled || isSilenced(state, now) || now - state.lastActivityAt > ACTIVITY_GAP_MS) {
+        return;
+      }
+
+      showReminder(settings, state);
+      saveBreakState({ ...state, activeMs: 0 });
+    });
+  }
+
+  /**
+   * Snooze the reminder or skip it for the rest of the day
+   * @param {string} action - 'snooze' or 'skip'
+   */
+  function handleBreakAction(action) {
+    if (!NOTIFICATION_ACTIONS.includes(action)) {
+      return;
+    }
+
+    clearNotification();
+
+    loadBreakState((settings, state) => {
+      const now = Date.now();
+
+      if (action === 'snooze') {
+        const snoozedUntil = now + SNOOZE_MINUTES * 60 * 1000;
+        browserApi.alarms.create(SNOOZE_ALARM, { when: snoozedUntil }).catch((error) => {
+          console.error(LOG_PREFIX, 'Error snoozing break reminder:', error);
+        });
+        saveBreakState({ ...state, snoozedUntil });
+        console.log(LOG_PREFIX, `Break reminder snoozed for ${SNOOZE_MINUTES} minutes`);
+        return;
+      }
+
+      browserApi.alarms.clear(SNOOZE_ALARM).catch((error) => {
+        console.error(LOG_PREFIX, 'Error clearing break reminder snooze:', error);
+      });
+      saveBreakState({ ...state, activeMs: 0, snoozedUntil: 0, skippedDay: getDay(now) });
+      console.log(LOG_PREFIX, 'Break reminders skipped for today');
+    });
+  }
+
+  // Acknowledge both messages: content scripts wait for an answer, and
+  // Chrome rejects their sendMessage when none comes
+  browserApi.runtime.onMessage((message, sender) => {
+    if (!message) return undefined;
+
+    if (message.type === ACTIVITY_MESSAGE && sender.tab) {
+      recordActivity(sender.tab.id);
+      return { ok: true };
+    }
+    if (message.type === BREAK_ACTION_MESSAGE) {
+      handleBreakAction(message.action);
+      return { ok: true };
+    }
+    return undefined;
+  });
+
+  browserApi.alarms.onAlarm((alarm) => {
+    if (alarm.name === SNOOZE_ALARM) {
+      handleSnoozeEnd();
+    }
+  });
+
+  browserApi.notifications.onButtonClicked((notificationId, buttonIndex) => {
+    if (notificationId === NOTIFICATION_ID) {
+      handleBreakAction(NOTIFICATION_ACTIONS[buttonIndex]);
+    }
+  });
+
+  browserApi.notifications.onClicked((notificationId) => {
+    if (notificationId === NOTIFICATION_ID) {
+      clearNotification();
+    }
+  });
+})(globalThis);
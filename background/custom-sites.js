@@ -0,0 +1,179 @@
+/**
+ * ErgonomicGPT - Custom Sites
+ *
+ * Runs the content scripts on chat sites the user added themselves. Their
+ * origins aren't in manifest.json: the popup asks for each host permission
+ * at runtime (optional_host_permissions) and injects the element picker
+ * (content-scripts/picker.js), which sends what the user picked here as a
+ * custom-site-picked message. This script then:
+ * - Stores the site in chrome.storage.local under customSites
+ *   (common/settings.js)
+ * - Registers content-scripts/custom.js with chrome.scripting for every
+ *   stored site whose host permission is granted, and unregisters the rest
+ * - Reloads the tab the site was picked on, so the new layout applies
+ *
+ * Registrations are reconciled with storage on install, update and browser
+ * start, and whenever customSites or the granted permissions change, e.g.
+ * when the popup removes a site or the user revokes its access
+ *
+ * Loaded by background/service-worker.js after common/browser-api.js and
+ * common/settings.js
+ */
+
+(function(root) {
+  'use strict';
+
+  const {
+    CUSTOM_SITES_KEY,
+    CUSTOM_SITE_SELECTORS,
+    getCustomSiteId,
+    getOriginPattern,
+    listCustomSites,
+  } = root.ErgonomicGPT.settings;
+  const { browserApi } = root.ErgonomicGPT;
+
+  const LOG_PREFIX = '[ErgonomicGPT]';
+
+  // Message from the element picker once every container is picked
+  const CUSTOM_SITE_PICKED_MESSAGE = 'custom-site-picked';
+
+  // Scripts registered for each custom site, in load order
+  const CUSTOM_SITE_SCRIPTS = [
+    'common/browser-api.js',
+    'common/i18n.js',
+    'common/settings.js',
+    'content-scripts/core.js',
+    'content-scripts/custom.js',
+  ];
+
+  // Reconciling runs one at a time, so two runs never register the same id
+  let syncing = Promise.resolve();
+
+  /**
+   * Describe the content script registered for a site
+   * Script ids are the site ids
+   * @param {Object} site - Entry from listCustomSites()
+   * @returns {Object} Registration for chrome.scripting
+   */
+  function getContentScript(site) {
+    return {
+      id: site.id,
+      matches: [getOriginPattern(site.origin)],
+      js: CUSTOM_SITE_SCRIPTS,
+      runAt: 'document_idle',
+    };
+  }
+
+  /**
+   * Keep only the sites whose host permission is still granted
+   * @param {Array<Object>} sites - Entries from listCustomSites()
+   * @returns {Promise<Array<Object>>}
+   */
+  function filterGrantedSites(sites) {
+    return Promise.all(sites.map(site => (
+      browserApi.permissions.contains({ origins: [getOriginPattern(site.origin)] })
+        .then(granted => (granted ? site : null))
+    ))).then(granted => granted.filter(Boolean));
+  }
+
+  /**
+   * Register the scripts of stored, granted sites and unregister the rest
+   * @returns {Promise<void>}
+   */
+  function reconcileContentScripts() {
+    return Promise.all([
+      browserApi.storage.get('local', { [CUSTOM_SITES_KEY]: {} }),
+      browserApi.scripting.getRegisteredContentScripts(),
+    ]).then(([items, registered]) => {
+      return filterGrantedSites(listCustomSites(items[CUSTOM_SITES_KEY])).then((sites) => {
+        // Scripts of removed sites, or registered by an older version
+        const stale = registered.filter((script) => {
+          const site = sites.find(entry => entry.id === script.id);
+          return !site ||
+            (script.js || []).join() !== CUSTOM_SITE_SCRIPTS.join() ||
+            (script.matches || []).join() !== getOriginPattern(site.origin);
+        }).map(script => script.id);
+        const current = registered.map(script => script.id).filter(id => !stale.includes(id));
+        const missing = sites.filter(site => !current.includes(site.id));
+
+        const unregister = stale.length > 0 ?
+          browserApi.scripting.unregisterContentScripts({ ids: stale }) :
+          Promise.resolve();
+
+        return unregister.then(() => {
+          if (missing.length > 0) {
+            return browserApi.scripting.registerContentScripts(missing.map(getContentScript));
+          }
+          return undefined;
+        }).then(() => {
+          if (stale.length > 0 || missing.length > 0) {
+            console.log(LOG_PREFIX, 'Custom site scripts registered:', sites.map(site => site.origin));
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Reconcile the registered scripts after any earlier run has finished
+   * @returns {Promise<void>} Settles once this run is done, never rejects
+   */
+  function syncContentScripts() {
+    syncing = syncing.then(reconcileContentScripts).catch((error) => {
+      console.error(LOG_PREFIX, 'Error registering custom site scripts:', error);
+    });
+    return syncing;
+  }
+
+  /**
+   * Store the containers picked on a page as a custom site, then reload
+   * the page with the site's content scripts
+   * @param {Object} message - Message with the picked selectors
+   * @param {Object} sender - The picker's frame
+   * @returns {Promise<Object>} { saved } for the picker
+   */
+  function handleSitePicked(message, sender) {
+    const origin = new URL(sender.url).origin;
+    const id = getCustomSiteId(origin);
+    const selectors = {};
+    CUSTOM_SITE_SELECTORS.forEach((name) => {
+      if (typeof message.selectors[name] === 'string' && message.selectors[name]) {
+        selectors[name] = message.selectors[name];
+      }
+    });
+
+    return browserApi.storage.get('local', { [CUSTOM_SITES_KEY]: {} }).then((items) => {
+      const sites = items[CUSTOM_SITES_KEY] || {};
+      const name = (sites[id] && sites[id].name) || new URL(origin).hostname;
+      sites[id] = { id, name, origin, selectors };
+
+      return browserApi.storage.set('local', { [CUSTOM_SITES_KEY]: sites });
+    }).then(() => syncContentScripts()).then(() => {
+      console.log(LOG_PREFIX, `Custom site saved: ${origin}`, selectors);
+      browserApi.tabs.reload(sender.tab.id).catch((error) => {
+        console.warn(LOG_PREFIX, 'Could not reload the custom site:', error.message);
+      });
+      return { saved: true };
+    }).catch((error) => {
+      console.error(LOG_PREFIX, 'Error saving custom site:', error);
+      return { saved: false };
+    });
+  }
+
+  browserApi.runtime.onMessage((message, sender) => {
+    if (message && message.type === CUSTOM_SITE_PICKED_MESSAGE && message.selectors && sender.tab) {
+      return handleSitePicked(message, sender);
+    }
+    return undefined;
+  });
+
+  browserApi.storage.onChanged((changes, areaName) => {
+    if (areaName === 'local' && changes[CUSTOM_SITES_KEY]) {
+      syncContentScripts();
+    }
+  });
+
+  chrome.runtime.onInstalled.addListener(() => syncContentScripts());
+  chrome.runtime.onStartup.addListener(() => syncContentScripts());
+  chrome.permissions.onRemoved.addListener(() => syncContentScripts());
+})(globalThis);
@@ -0,0 +1,268 @@
+/**
+ * ErgonomicGPT - Background Service Worker
+ *
+ * Handles the keyboard shortcuts declared under "commands" in manifest.json
+ * (users can rebind them at chrome://extensions/shortcuts). Toggles only
+ * write chrome.storage.sync, which the content scripts already listen to:
+ * - toggle-chatbox-top: Flip "Move chatbox to top" on the active tab's site
+ * - toggle-reverse-messages: Flip "Reverse message order" on the active tab's site
+ * - toggle-site: Switch ErgonomicGPT off or back on for the active tab's site
+ * - focus-composer: Ask the active tab to focus the chat input
+ *
+ * Sites the user added count as supported here too. On other pages, the
+ * feature toggles change the All sites settings instead
+ *
+ * It also upgrades the synced settings to the current schema version
+ * whenever the extension is installed or updated (common/migrations.js),
+ * and copies every settings change into the active profile
+ * (common/profiles.js), whichever page or shortcut made it. Posture break
+ * reminders live in background/break-reminders.js, and the content scripts
+ * of sites the user added in background/custom-sites.js
+ *
+ * Firefox has no background service workers; manifest.firefox.json loads
+ * the same scripts in order as a background page instead
+ */
+
+if (typeof importScripts === 'function') {
+  importScripts(
+    '../common/browser-api.js',
+    '../common/i18n.js',
+    '../common/settings.js',
+    '../common/migrations.js',
+    '../common/profiles.js',
+    'break-reminders.js',
+    'custom-sites.js'
+  );
+}
+
+(function(root) {
+  'use strict';
+
+  const {
+    STORAGE_DEFAULTS,
+    SITE_SETTINGS_KEY,
+    CUSTOM_SITES_KEY,
+    resolveSettings,
+    isSiteEnabled,
+    findSiteByUrl,
+    findCustomSiteByUrl,
+  } = root.ErgonomicGPT.settings;
+
+  const { SCHEMA_VERSION_KEY, migrateSettings } = root.ErgonomicGPT.migrations;
+  const { PROFILE_KEYS, syncActiveProfile } = root.ErgonomicGPT.profiles;
+  const { browserApi } = root.ErgonomicGPT;
+
+  const LOG_PREFIX = '[ErgonomicGPT]';
+
+  // Feature flipped by each toggle command
+  const FEATURE_COMMANDS = {
+    'toggle-chatbox-top': 'chatboxTop',
+    'toggle-reverse-messages': 'reverseMessages',
+  };
+
+  // Message the content-script core answers by focusing the composer
+  const FOCUS_COMPOSER_MESSAGE = 'focus-composer';
+
+  /**
+   * Save settings to storage
+   * @param {Object} items - Items to save
+   */
+  function saveSettings(items) {
+    browserApi.storage.set('sync', items).then(() => {
+      console.log(LOG_PREFIX, 'Settings saved:', items);
+    }, (error) => {
+      console.error(LOG_PREFIX, 'Error saving settings:', error);
+    });
+  }
+
+  /**
+   * Read all settings, then hand them to a callback
+   * @param {Function} callback - Receives the stored items
+   */
+  function loadSettings(callback) {
+    browserApi.storage.get('sync', STORAGE_DEFAULTS).then(callback, (error) => {
+      console.error(LOG_PREFIX, 'Error loading settings:', error);
+    });
+  }
+
+  /**
+   * Find the site a tab shows, supported or added by the user
+   * @param {Object|undefined} tab - Active tab
+   * @returns {Promise<Object|null>} Site entry, or null for other pages
+   */
+  function findTabSite(tab) {
+    if (!tab || !tab.url) {
+      return Promise.resolve(null);
+    }
+
+    const site = findSiteByUrl(tab.url);
+    if (site) {
+      return Promise.resolve(site);
+    }
+
+    return browserApi.storage.get('local', { [CUSTOM_SITES_KEY]: {} }).then((items) => (
+      findCustomSiteByUrl(items[CUSTOM_SITES_KEY], tab.url)
+    ), (error) => {
+      console.error(LOG_PREFIX, 'Error loading custom sites:', error);
+      return null;
+    });
+  }
+
+  /**
+   * Flip a feature for the tab's site, or for all sites elsewhere
+   * @param {string} feature - Feature key
+   * @param {Object|undefined} tab - Active tab
+   */
+  function toggleFeature(feature, tab) {
+    findTabSite(tab).then(site => loadSettings((items) => {
+      if (!site) {
+        saveSettings({ [feature]: !items[feature] });
+        return;
+      }
+
+      // Flip what the page currently shows, and keep it as a site override
+      const current = resolveSettings(items, site.id, tab.url)[feature];
+      const siteSettings = items[SITE_SETTINGS_KEY] || {};
+      siteSettings[site.id] = { ...siteSettings[site.id], [feature]: !current };
+
+      // Turning a feature on only makes sense with the site switched on
+      if (!current) {
+        delete siteSettings[site.id].enabled;
+      }
+
+      saveSettings({ [SITE_SETTINGS_KEY]: siteSettings });
+    }));
+  }
+
+  /**
+   * Switch ErgonomicGPT off or back on for the tab's site
+   * @param {Object|undefined} tab - Active tab
+   */
+  function toggleSite(tab) {
+    findTabSite(tab).then((site) => {
+      if (!site) {
+        console.log(LOG_PREFIX, 'Site toggle ignored: active tab is not a supported site');
+        return;
+      }
+
+      loadSettings((items) => {
+        const siteSettings = items[SITE_SETTINGS_KEY] || {};
+        const overrides = { ...siteSettings[site.id] };
+
+        if (isSiteEnabled(items, site.id)) {
+          overrides.enabled = false;
+        } else {
+          delete overrides.enabled;
+        }
+
+        siteSettings[site.id] = overrides;
+        saveSettings({ [SITE_SETTINGS_KEY]: siteSettings });
+      });
+    });
+  }
+
+  /**
+   * Ask the tab's content script to focus the chat input
+   * @param {Object|undefined} tab - Active tab
+   */
+  function focusComposer(tab) {
+    findTabSite(tab).then((site) => {
+      if (!site) {
+        console.log(LOG_PREFIX, 'Focus ignored: active tab is not a supported site');
+        return;
+      }
+
+      browserApi.tabs.sendMessage(tab.id, { type: FOCUS_COMPOSER_MESSAGE }).catch((error) => {
+        // No receiver yet, e.g. the page is still loading
+        console.warn(LOG_PREFIX, 'Could not focus composer:', error.message);
+      });
+    });
+  }
+
+  /**
+   * Run a command against the active tab
+   * @param {string} command - Command name from manifest.json
+   * @param {Object|undefined} tab - Active tab
+   */
+  function handleCommand(command, tab) {
+    console.log(LOG_PREFIX, `Command: ${command}`);
+
+    if (FEATURE_COMMANDS[command]) {
+      toggleFeature(FEATURE_COMMANDS[command], tab);
+    } else if (command === 'toggle-site') {
+      toggleSite(tab);
+    } else if (command === FOCUS_COMPOSER_MESSAGE) {
+      focusComposer(tab);
+    }
+  }
+
+  /**
+   * Upgrade the synced settings to the current schema version
+   * Leaves storage alone when it is already current
+   */
+  function runMigrations() {
+    browserApi.storage.get('sync', null).then((items) => {
+      const result = migrateSettings(items);
+      if (!result.changed) {
+        return;
+      }
+
+      // Write the new items before removing the old ones, so a failed
+      // write (e.g. over quota) never loses what was stored
+      browserApi.storage.set('sync', result.items).then(() => {
+        console.log(LOG_PREFIX,
+          `Settings migrated from version ${result.fromVersion} to ${result.items[SCHEMA_VERSION_KEY]}`);
+
+        if (result.removedKeys.length > 0) {
+          browserApi.storage.remove('sync', result.removedKeys).catch((error) => {
+            console.error(LOG_PREFIX, 'Error removing migrated settings:', error);
+          });
+        }
+      }, (error) => {
+        console.error(LOG_PREFIX, 'Error saving migrated settings:', error);
+      });
+    }, (error) => {
+      console.error(LOG_PREFIX, 'Error loading settings to migrate:', error);
+    });
+  }
+
+  /**
+   * Keep the active profile up to date with the live settings
+   */
+  function updateActiveProfile() {
+    browserApi.storage.get('sync', null).then((items) => {
+      const update = syncActiveProfile(items);
+      if (update) {
+        saveSettings(update.items);
+      }
+    }, (error) => {
+      console.error(LOG_PREFIX, 'Error loading settings for profile:', error);
+    });
+  }
+
+  browserApi.storage.onChanged((changes, areaName) => {
+    if (areaName === 'sync' && Object.keys(changes).some(key => PROFILE_KEYS.includes(key))) {
+      updateActiveProfile();
+    }
+  });
+
+  chrome.runtime.onInstalled.addListener((details) => {
+    if (details.reason === 'install' || details.reason === 'update') {
+      runMigrations();
+    }
+  });
+
+  chrome.commands.onCommand.addListener((command, tab) => {
+    if (tab) {
+      handleCommand(command, tab);
+      return;
+    }
+
+    // Older Chrome versions don't pass the tab along
+    browserApi.tabs.query({ active: true, currentWindow: true }).then((tabs) => {
+      handleCommand(command, tabs && tabs[0]);
+    }, (error) => {
+      console.error(LOG_PREFIX, 'Error finding the active tab:', error);
+    });
+  });
+})(globalThis);
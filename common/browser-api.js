@@ -0,0 +1,236 @@
+/**
+ * ErgonomicGPT - Browser API
+ *
+ * One promise-based wrapper over the extension APIs this extension uses, so
+ * the same code runs on Chrome (chrome.*, callbacks that report errors
+ * through chrome.runtime.lastError) and Firefox (browser.*, promises):
+ * - isAvailable(): whether an extension API such as 'storage' or 'tabs' exists
+ * - storage.get/set/remove(): read or write the 'sync' or 'local' area
+ * - storage.onChanged(): listen for changes to either area
+ * - runtime.sendMessage(): message the background worker
+ * - runtime.openOptionsPage(): open the options page
+ * - runtime.onMessage(): answer messages with a value or a promise of one
+ * - runtime.getManifest(): read manifest.json, e.g. for the version
+ * - runtime.onConnect(): accept long-lived ports, e.g. from the popup
+ * - runtime.getURL(): full URL of a file packaged with the extension
+ * - tabs.query(), tabs.sendMessage(): find tabs and message their content scripts
+ * - tabs.connect(): open a long-lived port to a tab's content scripts
+ * - tabs.reload(): reload a tab, e.g. once its content scripts changed
+ * - permissions.request/contains/remove(): host permissions asked for at runtime
+ * - scripting.executeScript(): run extension scripts in a tab once
+ * - scripting.register/unregister/getRegisteredContentScripts(): content
+ *   scripts added at runtime, for hosts manifest.json doesn't list
+ * - notifications.create/clear(): system notifications, plus onClicked()
+ *   and onButtonClicked() to answer them
+ * - alarms.create/clear(): timers that outlive the background worker, plus
+ *   onAlarm() to answer them
+ * - openShortcutSettings(): show the browser's keyboard shortcut settings
+ *
+ * Every call resolves with the browser's result or rejects with an Error,
+ * e.g. when storage quota is exceeded or no content script answers.
+ * Loaded before every other script
+ */
+
+(function(root) {
+  'use strict';
+
+  const ErgonomicGPT = root.ErgonomicGPT = root.ErgonomicGPT || {};
+
+  // Where Chrome lists extension shortcuts; Firefox opens its own page
+  const CHROME_SHORTCUTS_URL = 'chrome://extensions/shortcuts';
+
+  /**
+   * Get the extension namespace of this browser
+   * Firefox also defines chrome.*, so browser.* is checked first
+   * @returns {Object|null} browser or chrome, or null outside an extension
+   */
+  function getNamespace() {
+    if (typeof root.browser !== 'undefined' && root.browser && root.browser.runtime) {
+      return root.browser;
+    }
+    if (typeof root.chrome !== 'undefined' && root.chrome) {
+      return root.chrome;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an extension API exists here
+   * Content scripts, for example, have storage and runtime but no tabs
+   * @param {string} name - API name, e.g. 'storage'
+   * @returns {boolean}
+   */
+  function isAvailable(name) {
+    const namespace = getNamespace();
+    return !!(namespace && namespace[name]);
+  }
+
+  /**
+   * Call an extension API method and get a promise of its result
+   * @param {string} path - Dotted path below the namespace, e.g. 'storage.sync.get'
+   * @param {...*} args - Arguments before the callback
+   * @returns {Promise<*>}
+   */
+  function call(path, ...args) {
+    const namespace = getNamespace();
+    const names = path.split('.');
+    const method = names.pop();
+    const target = names.reduce((object, name) => object && object[name], namespace);
+
+    if (!target || typeof target[method] !== 'function') {
+      return Promise.reject(new Error(`${path} is not available`));
+    }
+
+    // browser.* already returns promises
+    if (namespace !== root.chrome) {
+      return Promise.resolve(target[method](...args));
+    }
+
+    return new Promise((resolve, reject) => {
+      target[method](...args, (result) => {
+        const error = root.chrome.runtime && root.chrome.runtime.lastError;
+        if (error) {
+          reject(new Error(error.message));
+          return;
+        }
+        resolve(result);
+      });
+    });
+  }
+
+  /**
+   * Listen for storage changes
+   * @param {Function} listener - Receives (changes, areaName)
+   */
+  function onStorageChanged(listener) {
+    getNamespace().storage.onChanged.addListener(listener);
+  }
+
+  /**
+   * Answer runtime messages
+   * The handler returns the response, a promise of it, or undefined to
+   * leave the message to other listeners
+   * @param {Function} handler - Receives (message, sender)
+   */
+  function onMessage(handler) {
+    getNamespace().runtime.onMessage.addListener((message, sender, sendResponse) => {
+      const response = handler(message, sender);
+      if (response && typeof response.then === 'function') {
+        response.then(sendResponse);
+        // Keep the channel open for the asynchronous answer
+        return true;
+      }
+      if (response !== undefined) {
+        sendResponse(response);
+      }
+      return undefined;
+    });
+  }
+
+  /**
+   * Accept ports opened with tabs.connect()
+   * @param {Function} listener - Receives the port
+   */
+  function onConnect(listener) {
+    getNamespace().runtime.onConnect.addListener(listener);
+  }
+
+  /**
+   * Listen for an extension event
+   * @param {string} path - Dotted path below the namespace, e.g. 'alarms.onAlarm'
+   * @param {Function} listener - Receives the event's arguments
+   */
+  function addListener(path, listener) {
+    path.split('.').reduce((object, name) => object[name], getNamespace()).addListener(listener);
+  }
+
+  /**
+   * Open a port to the content scripts of a tab
+   * The port disconnects right away when no content script listens, and
+   * when either end goes away, e.g. the popup closes
+   * @param {number} tabId - Tab id
+   * @param {string} name - Port name the content script checks
+   * @returns {Object} Port with postMessage(), onMessage and onDisconnect
+   */
+  function connectToTab(tabId, name) {
+    const namespace = getNamespace();
+    const port = namespace.tabs.connect(tabId, { name });
+
+    // Chrome logs an error nobody read when no content script listens
+    if (namespace === root.chrome) {
+      port.onDisconnect.addListener(() => root.chrome.runtime.lastError);
+    }
+    return port;
+  }
+
+  /**
+   * Read the extension's manifest
+   * @returns {Object|null} Parsed manifest.json, or null outside an extension
+   */
+  function getManifest() {
+    const namespace = getNamespace();
+    if (!namespace || !namespace.runtime || typeof namespace.runtime.getManifest !== 'function') {
+      return null;
+    }
+    return namespace.runtime.getManifest();
+  }
+
+  /**
+   * Show the browser's keyboard shortcut settings
+   * @returns {Promise<void>}
+   */
+  function openShortcutSettings() {
+    const namespace = getNamespace();
+    if (namespace.commands && typeof namespace.commands.openShortcutSettings === 'function') {
+      return call('commands.openShortcutSettings');
+    }
+    return call('tabs.create', { url: CHROME_SHORTCUTS_URL }).then(() => undefined);
+  }
+
+  ErgonomicGPT.browserApi = {
+    isAvailable,
+    storage: {
+      get: (area, keys) => call(`storage.${area}.get`, keys),
+      set: (area, items) => call(`storage.${area}.set`, items),
+      remove: (area, keys) => call(`storage.${area}.remove`, keys),
+      onChanged: onStorageChanged,
+    },
+    runtime: {
+      sendMessage: message => call('runtime.sendMessage', message),
+      openOptionsPage: () => call('runtime.openOptionsPage'),
+      onMessage,
+      onConnect,
+      getManifest,
+      getURL: file => getNamespace().runtime.getURL(file),
+    },
+    tabs: {
+      query: queryInfo => call('tabs.query', queryInfo),
+      sendMessage: (tabId, message) => call('tabs.sendMessage', tabId, message),
+      connect: connectToTab,
+      reload: tabId => call('tabs.reload', tabId),
+    },
+    permissions: {
+      request: permissions => call('permissions.request', permissions),
+      contains: permissions => call('permissions.contains', permissions),
+      remove: permissions => call('permissions.remove', permissions),
+    },
+    scripting: {
+      executeScript: injection => call('scripting.executeScript', injection),
+      registerContentScripts: scripts => call('scripting.registerContentScripts', scripts),
+      unregisterContentScripts: filter => call('scripting.unregisterContentScripts', filter),
+      getRegisteredContentScripts: filter => call('scripting.getRegisteredContentScripts', filter),
+    },
+    notifications: {
+      create: (id, options) => call('notifications.create', id, options),
+      clear: id => call('notifications.clear', id),
+      onClicked: listener => addListener('notifications.onClicked', listener),
+      onButtonClicked: listener => addListener('notifications.onButtonClicked', listener),
+    },
+    alarms: {
+      create: (name, alarmInfo) => call('alarms.create', name, alarmInfo),
+      clear: name => call('alarms.clear', name),
+      onAlarm: listener => addListener('alarms.onAlarm', listener),
+    },
+    openShortcutSettings,
+  };
+})(globalThis);
@@ -0,0 +1,110 @@
+/**
+ * ErgonomicGPT - Localization
+ *
+ * User-facing strings live in _locales/<lang>/messages.json and are read
+ * through chrome.i18n, so the extension shows the browser's language when
+ * a catalog exists for it and English otherwise. Content scripts and the
+ * background worker load it too, for getMessage(). Extension pages mark
+ * their strings in HTML and keep the English text as a readable default:
+ * - data-i18n="key": text content; element children such as <code> keep
+ *   their markup and are matched by their text in the translated message
+ * - data-i18n-args="a|b": substitutions for the message's placeholders
+ * - data-i18n-placeholder="key", data-i18n-aria-label="key": attributes
+ * - getMessage(): a message with its substitutions
+ * - localizePage(): fills every marked string, including <template>
+ *   contents, and sets lang and dir from the catalog in use
+ */
+
+(function(root) {
+  'use strict';
+
+  const ErgonomicGPT = root.ErgonomicGPT = root.ErgonomicGPT || {};
+
+  // Attributes filled from the catalog, by the data attribute naming the key
+  const LOCALIZED_ATTRIBUTES = {
+    'data-i18n-placeholder': 'placeholder',
+    'data-i18n-aria-label': 'aria-label',
+  };
+
+  /**
+   * Read a message from the catalog in use
+   * @param {string} key - Message name
+   * @param {string|Array<string>} [substitutions] - Placeholder values
+   * @returns {string} The message, or an empty string if there is none
+   */
+  function getMessage(key, substitutions) {
+    // Firefox content scripts may only have browser.*, see common/browser-api.js
+    const namespace = root.browser && root.browser.i18n ? root.browser : root.chrome;
+    if (!namespace || !namespace.i18n) {
+      return '';
+    }
+    return namespace.i18n.getMessage(key, substitutions);
+  }
+
+  /**
+   * Replace an element's text with a message, keeping its child elements
+   * in place where the message repeats their text
+   * @param {Element} element - Element to fill
+   * @param {string} message - Translated text
+   */
+  function fillText(element, message) {
+    const nodes = [];
+    let rest = message;
+
+    Array.from(element.children).forEach((child) => {
+      const index = rest.indexOf(child.textContent);
+      if (index === -1) return;
+
+      nodes.push(document.createTextNode(rest.slice(0, index)), child);
+      rest = rest.slice(index + child.textContent.length);
+    });
+    nodes.push(document.createTextNode(rest));
+
+    element.replaceChildren(...nodes);
+  }
+
+  /**
+   * Fill the marked strings below a root node
+   * @param {Document|DocumentFragment} scope - Root to search
+   */
+  function localizeTree(scope) {
+    scope.querySelectorAll('[data-i18n]').forEach((element) => {
+      const args = element.dataset.i18nArgs ? element.dataset.i18nArgs.split('|') : undefined;
+      const message = getMessage(element.dataset.i18n, args);
+      if (message) {
+        fillText(element, message);
+      }
+    });
+
+    Object.entries(LOCALIZED_ATTRIBUTES).forEach(([marker, attribute]) => {
+      scope.querySelectorAll(`[${marker}]`).forEach((element) => {
+        const message = getMessage(element.getAttribute(marker));
+        if (message) {
+          element.setAttribute(attribute, message);
+        }
+      });
+    });
+
+    scope.querySelectorAll('template').forEach(template => localizeTree(template.content));
+  }
+
+  /**
+   * Localize an extension page
+   * @param {Document} [page] - Page to localize, defaults to the current one
+   */
+  function localizePage(page = document) {
+    localizeTree(page);
+
+    // Go by the catalog actually used, which may be the English fallback
+    const language = getMessage('languageCode');
+    if (language) {
+      page.documentElement.lang = language;
+      page.documentElement.dir = getMessage('textDirection') || 'ltr';
+    }
+  }
+
+  ErgonomicGPT.i18n = {
+    getMessage,
+    localizePage,
+  };
+})(globalThis);
@@ -0,0 +1,153 @@
+/**
+ * ErgonomicGPT - Settings Migrations
+ *
+ * chrome.storage.sync outlives every release, so synced settings carry a
+ * schemaVersion and are upgraded one version at a time when the extension
+ * is installed or updated (see background/service-worker.js)
+ * - SCHEMA_VERSION_KEY: chrome.storage.sync key holding the version
+ * - CURRENT_SCHEMA_VERSION: version this release reads and writes
+ * - MIGRATIONS: ordered steps, each upgrading to its version
+ * - migrateSettings(): run every step the stored settings still need
+ *
+ * Storage written before versioning (version 0) may hold any of:
+ * - { chatboxTop, reverseMessages } from the first release
+ * - siteSettings: { [siteId]: { ...overrides, enabled } }
+ * - urlRules: [{ site, pattern, settings }]
+ * - reverseMode: 'message' | 'turn'
+ *
+ * To change the stored shape, append a step; never edit a released one.
+ * Steps are frozen too: they check values against what their own release
+ * knew, never against the live defaults in common/settings.js.
+ * Steps get a copy of the stored items and return the new items; keys they
+ * leave out are removed from storage. Profiles (common/profiles.js) hold
+ * snapshots of the same keys in profile:<id> items, so a step changing them
+ * must upgrade the settings of each profile item too.
+ *
+ * Loaded after common/settings.js
+ */
+
+(function(root) {
+  'use strict';
+
+  const ErgonomicGPT = root.ErgonomicGPT = root.ErgonomicGPT || {};
+  const { SITE_SETTINGS_KEY, URL_RULES_KEY } = ErgonomicGPT.settings;
+
+  // Holds the version of the stored settings
+  const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+  // Settings and sites as of version 1; later ones must pass it untouched
+  const V1_BOOLEAN_SETTINGS = Object.freeze(['chatboxTop', 'reverseMessages']);
+  const V1_REVERSE_MODES = Object.freeze(['message', 'turn']);
+  const V1_SETTING_KEYS = Object.freeze([...V1_BOOLEAN_SETTINGS, 'reverseMode']);
+  const V1_SITE_IDS = Object.freeze(['chatgpt', 'claude', 'gemini', 'perplexity']);
+
+  /**
+   * Keep only the keys of an object that hold valid version 1 settings
+   * @param {*} values - Stored settings
+   * @param {Array<string>} extraKeys - Boolean keys allowed besides the settings
+   * @returns {Object}
+   */
+  function pickValidV1Settings(values, extraKeys) {
+    const result = {};
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return result;
+    }
+
+    Object.keys(values).forEach((key) => {
+      const value = values[key];
+      const valid = key === 'reverseMode' ?
+        V1_REVERSE_MODES.includes(value) :
+        (V1_BOOLEAN_SETTINGS.includes(key) || extraKeys.includes(key)) && typeof value === 'boolean';
+
+      if (valid) {
+        result[key] = value;
+      }
+    });
+
+    return result;
+  }
+
+  // Ordered steps; MIGRATIONS[i] upgrades version i to version i + 1
+  const MIGRATIONS = Object.freeze([
+    {
+      version: 1,
+      description: 'Drop values no release could read, and empty site overrides',
+      migrate(items) {
+        const migrated = { ...items };
+        const validSettings = pickValidV1Settings(items, []);
+
+        V1_SETTING_KEYS.forEach((key) => {
+          if (!(key in validSettings)) {
+            delete migrated[key];
+          }
+        });
+
+        if (SITE_SETTINGS_KEY in items) {
+          const siteSettings = {};
+          Object.keys(items[SITE_SETTINGS_KEY] || {}).forEach((siteId) => {
+            const overrides = pickValidV1Settings(items[SITE_SETTINGS_KEY][siteId], ['enabled']);
+            if (V1_SITE_IDS.includes(siteId) && Object.keys(overrides).length > 0) {
+              siteSettings[siteId] = overrides;
+            }
+          });
+          migrated[SITE_SETTINGS_KEY] = siteSettings;
+        }
+
+        if (URL_RULES_KEY in items) {
+          const rules = Array.isArray(items[URL_RULES_KEY]) ? items[URL_RULES_KEY] : [];
+          migrated[URL_RULES_KEY] = rules
+            .filter(rule => rule && V1_SITE_IDS.includes(rule.site) &&
+              typeof rule.pattern === 'string' && rule.pattern.trim())
+            .map(rule => ({
+              site: rule.site,
+              pattern: rule.pattern.trim(),
+              settings: pickValidV1Settings(rule.settings, []),
+            }));
+        }
+
+        return migrated;
+      },
+    },
+  ]);
+
+  // Version written by this release
+  const CURRENT_SCHEMA_VERSION = MIGRATIONS.length;
+
+  /**
+   * Upgrade stored settings to the current schema version
+   * Settings from a newer release are left alone, so downgrading never
+   * loses data
+   * @param {Object} items - Everything read from chrome.storage.sync
+   * @returns {Object} { items, removedKeys, fromVersion, changed }; items
+   *   and removedKeys are ready for chrome.storage.sync set and remove
+   */
+  function migrateSettings(items) {
+    const stored = items || {};
+    const fromVersion = Number.isInteger(stored[SCHEMA_VERSION_KEY]) ? stored[SCHEMA_VERSION_KEY] : 0;
+
+    if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+      return { items: stored, removedKeys: [], fromVersion, changed: false };
+    }
+
+    // Work on a copy; the caller writes storage once every step has run
+    let migrated = JSON.parse(JSON.stringify(stored));
+    MIGRATIONS.slice(fromVersion).forEach((step) => {
+      migrated = step.migrate(migrated);
+      migrated[SCHEMA_VERSION_KEY] = step.version;
+    });
+
+    return {
+      items: migrated,
+      removedKeys: Object.keys(stored).filter(key => !(key in migrated)),
+      fromVersion,
+      changed: true,
+    };
+  }
+
+  ErgonomicGPT.migrations = {
+    SCHEMA_VERSION_KEY,
+    CURRENT_SCHEMA_VERSION,
+    MIGRATIONS,
+    migrateSettings,
+  };
+})(globalThis);
@@ -0,0 +1,178 @@
+/**
+ * ErgonomicGPT - Settings Profiles
+ *
+ * A profile is a named snapshot of every setting, e.g. "Laptop" with the
+ * composer on top and newest-first, "Desk monitor" with only the composer
+ * on top. The flat keys, siteSettings and urlRules stay the live settings
+ * every reader uses; switching profiles copies a snapshot over them, and
+ * the background worker copies later changes back into the active profile.
+ * Profiles live in chrome.storage.sync, one item each, so no single item
+ * outgrows the sync quota per item (QUOTA_BYTES_PER_ITEM):
+ * {
+ *   'profile:<id>': { name: 'Laptop', settings: { chatboxTop, ..., urlRules } },
+ *   activeProfile: id or null
+ * }
+ * - PROFILE_KEY_PREFIX, ACTIVE_PROFILE_KEY: chrome.storage.sync keys
+ * - PROFILE_KEYS: settings a profile bundles
+ * - getProfileKey(): the storage key of a profile
+ * - getProfiles(): the stored profiles by id
+ * - snapshotSettings(): the bundled settings of stored items
+ * - createProfile(): changes that save the live settings as a new active profile
+ * - switchProfile(): changes that make a profile the live settings
+ * - deleteProfile(): changes that drop a profile
+ * - syncActiveProfile(): changes that copy live changes into the active profile
+ *
+ * Each helper returns { items, removedKeys }, ready for chrome.storage.sync
+ * set and remove, or null when there is nothing to write. Loaded after
+ * common/settings.js
+ */
+
+(function(root) {
+  'use strict';
+
+  const ErgonomicGPT = root.ErgonomicGPT = root.ErgonomicGPT || {};
+  const { STORAGE_DEFAULTS } = ErgonomicGPT.settings;
+
+  // Each profile is stored under this prefix and its id
+  const PROFILE_KEY_PREFIX = 'profile:';
+
+  // Id of the profile the live settings belong to, or null
+  const ACTIVE_PROFILE_KEY = 'activeProfile';
+
+  // Everything a profile bundles: the settings, site overrides and URL rules
+  const PROFILE_KEYS = Object.freeze(Object.keys(STORAGE_DEFAULTS));
+
+  /**
+   * Get the storage key of a profile
+   * @param {string} id - Profile id
+   * @returns {string} e.g. 'profile:profile-lx2a'
+   */
+  function getProfileKey(id) {
+    return `${PROFILE_KEY_PREFIX}${id}`;
+  }
+
+  /**
+   * Collect the stored profiles
+   * @param {Object} items - Items read from chrome.storage.sync
+   * @returns {Object} Profiles by id
+   */
+  function getProfiles(items) {
+    return Object.keys(items || {})
+      .filter(key => key.startsWith(PROFILE_KEY_PREFIX) && items[key] && typeof items[key] === 'object')
+      .reduce((profiles, key) => {
+        profiles[key.slice(PROFILE_KEY_PREFIX.length)] = items[key];
+        return profiles;
+      }, {});
+  }
+
+  /**
+   * Copy the bundled settings out of stored items
+   * @param {Object} items - Items read from chrome.storage.sync
+   * @returns {Object} One value per key in PROFILE_KEYS
+   */
+  function snapshotSettings(items) {
+    return PROFILE_KEYS.reduce((snapshot, key) => {
+      const value = items && key in items ? items[key] : STORAGE_DEFAULTS[key];
+      snapshot[key] = JSON.parse(JSON.stringify(value));
+      return snapshot;
+    }, {});
+  }
+
+  /**
+   * Save the live settings as a new profile and make it active
+   * @param {Object} items - Items read from chrome.storage.sync
+   * @param {string} name - Profile name shown in the popup
+   * @returns {Object|null} Changes to store, or null for an empty name
+   */
+  function createProfile(items, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      return null;
+    }
+
+    const profiles = getProfiles(items);
+    let id = `profile-${Date.now().toString(36)}`;
+    while (profiles[id]) {
+      id += '-';
+    }
+
+    return {
+      items: {
+        [getProfileKey(id)]: { name: trimmed, settings: snapshotSettings(items) },
+        [ACTIVE_PROFILE_KEY]: id,
+      },
+      removedKeys: [],
+    };
+  }
+
+  /**
+   * Make a profile the live settings
+   * @param {Object} items - Items read from chrome.storage.sync
+   * @param {string} id - Profile id
+   * @returns {Object|null} Changes to store, or null for an unknown profile
+   */
+  function switchProfile(items, id) {
+    const profile = getProfiles(items)[id];
+    if (!profile) {
+      return null;
+    }
+
+    return {
+      items: { ...snapshotSettings(profile.settings), [ACTIVE_PROFILE_KEY]: id },
+      removedKeys: [],
+    };
+  }
+
+  /**
+   * Drop a profile; the live settings stay as they are
+   * @param {Object} items - Items read from chrome.storage.sync
+   * @param {string} id - Profile id
+   * @returns {Object|null} Changes to store, or null for an unknown profile
+   */
+  function deleteProfile(items, id) {
+    if (!getProfiles(items)[id]) {
+      return null;
+    }
+
+    return {
+      items: items[ACTIVE_PROFILE_KEY] === id ? { [ACTIVE_PROFILE_KEY]: null } : {},
+      removedKeys: [getProfileKey(id)],
+    };
+  }
+
+  /**
+   * Copy the live settings into the active profile
+   * @param {Object} items - Items read from chrome.storage.sync
+   * @returns {Object|null} Changes to store, or null when already in sync
+   */
+  function syncActiveProfile(items) {
+    const id = items && items[ACTIVE_PROFILE_KEY];
+    const profile = getProfiles(items)[id];
+    if (!profile) {
+      return null;
+    }
+
+    const snapshot = snapshotSettings(items);
+    if (JSON.stringify(snapshot) === JSON.stringify(snapshotSettings(profile.settings))) {
+      return null;
+    }
+
+    return {
+      items: { [getProfileKey(id)]: { ...profile, settings: snapshot } },
+      removedKeys: [],
+    };
+  }
+
+  ErgonomicGPT.profiles = {
+    PROFILE_KEY_PREFIX,
+    ACTIVE_PROFILE_KEY,
+    PROFILE_KEYS,
+    getProfileKey,
+    getProfiles,
+    snapshotSettings,
+    createProfile,
+    switchProfile,
+    deleteProfile,
+    syncActiveProfile,
+  };
+})(globalThis);
@@ -0,0 +1,319 @@
+/**
+ * ErgonomicGPT - Settings File Schema
+ *
+ * Describes the JSON files the options page exports and imports, so a team
+ * can hand out one standard configuration:
+ * {
+ *   "format": "ergonomic-gpt-settings",
+ *   "schemaVersion": 1,
+ *   "settings": {
+ *     chatboxTop, reverseMessages, reverseMode, composerOffset, fontScale, lineHeight,
+ *     maxLineWidth, siteSettings, urlRules, breakReminders
+ *   }
+ * }
+ * Every key under settings is optional; anything missing falls back to the
+ * defaults on import. Unknown keys and values of the wrong type are errors,
+ * so a typo never silently turns into a default. Files from older releases
+ * are upgraded with common/migrations.js first; files without a
+ * schemaVersion are read as the current version. Settings of sites the
+ * user added are kept, but the sites themselves are not: they need the
+ * host permission granted on each browser.
+ * - FILE_FORMAT: value of the "format" key
+ * - createSettingsFile(): wrap stored settings for export
+ * - validateSettingsFile(): check a parsed file, listing every problem
+ *
+ * Loaded after common/settings.js and common/migrations.js
+ */
+
+(function(root) {
+  'use strict';
+
+  const ErgonomicGPT = root.ErgonomicGPT = root.ErgonomicGPT || {};
+  const {
+    DEFAULT_SETTINGS,
+    REVERSE_MODES,
+    NUMBER_SETTINGS,
+    SITE_SETTINGS_KEY,
+    URL_RULES_KEY,
+    BREAK_REMINDERS_KEY,
+    BREAK_STYLES,
+    BREAK_INTERVALS,
+    STORAGE_DEFAULTS,
+    isValidSetting,
+    isSiteId,
+  } = ErgonomicGPT.settings;
+
+  const {
+    SCHEMA_VERSION_KEY,
+    CURRENT_SCHEMA_VERSION,
+    migrateSettings,
+  } = ErgonomicGPT.migrations;
+
+  // Marks a JSON file as ErgonomicGPT settings
+  const FILE_FORMAT = 'ergonomic-gpt-settings';
+
+  // Keys allowed at the top level of a settings file
+  const FILE_KEYS = ['format', SCHEMA_VERSION_KEY, 'exportedAt', 'settings'];
+
+  // Allowed values for each setting, with how to describe them in errors
+  const SETTING_TYPES = {
+    chatboxTop: { check: value => typeof value === 'boolean', expected: 'true or false' },
+    reverseMessages: { check: value => typeof value === 'boolean', expected: 'true or false' },
+    reverseMode: {
+      check: value => REVERSE_MODES.includes(value),
+      expected: REVERSE_MODES.map(mode => `"${mode}"`).join(' or '),
+    },
+  };
+
+  // Numeric settings take their default or a whole number in range
+  Object.keys(NUMBER_SETTINGS).forEach((key) => {
+    const { min, max } = NUMBER_SETTINGS[key];
+    const range = `a whole number from ${min} to ${max}`;
+    const inRange = DEFAULT_SETTINGS[key] >= min && DEFAULT_SETTINGS[key] <= max;
+
+    SETTING_TYPES[key] = {
+      check: value => isValidSetting(key, value),
+      expected: inRange ? range : `${DEFAULT_SETTINGS[key]} or ${range}`,
+    };
+  });
+
+  // Site overrides may also switch the site off
+  const SITE_TYPES = {
+    ...SETTING_TYPES,
+    enabled: SETTING_TYPES.chatboxTop,
+  };
+
+  // Keys allowed in each URL rule
+  const RULE_KEYS = ['site', 'pattern', 'settings'];
+
+  // Allowed values for each break reminder setting
+  const BREAK_REMINDER_TYPES = {
+    enabled: SETTING_TYPES.chatboxTop,
+    intervalMinutes: {
+      check: value => BREAK_INTERVALS.includes(value),
+      expected: `one of ${BREAK_INTERVALS.join(', ')}`,
+    },
+    style: {
+      check: value => BREAK_STYLES.includes(value),
+      expected: BREAK_STYLES.map(style => `"${style}"`).join(' or '),
+    },
+  };
+
+  /**
+   * Check whether a value is a plain object
+   * @param {*} value - Value to check
+   * @returns {boolean}
+   */
+  function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * Check an object of settings against the allowed keys and values
+   * @param {Object} values - Settings to check
+   * @param {Object} types - Allowed keys, see SETTING_TYPES
+   * @param {string} path - Where the object sits in the file, for errors
+   * @param {Array<string>} errors - Problems found so far
+   */
+  function checkSettings(values, types, path, errors) {
+    Object.keys(values).forEach((key) => {
+      const type = types[key];
+
+      if (!type) {
+        errors.push(`${path}.${key}: unknown setting`);
+      } else if (!type.check(values[key])) {
+        errors.push(`${path}.${key}: expected ${type.expected}, got ${JSON.stringify(values[key])}`);
+      }
+    });
+  }
+
+  /**
+   * Check the per-site overrides
+   * @param {*} siteSettings - Value of settings.siteSettings
+   * @param {Array<string>} errors - Problems found so far
+   */
+  function checkSiteSettings(siteSettings, errors) {
+    const path = `settings.${SITE_SETTINGS_KEY}`;
+
+    if (!isObject(siteSettings)) {
+      errors.push(`${path}: expected an object keyed by site`);
+      return;
+    }
+
+    Object.keys(siteSettings).forEach((siteId) => {
+      if (!isSiteId(siteId)) {
+        errors.push(`${path}.${siteId}: unknown site`);
+      } else if (!isObject(siteSettings[siteId])) {
+        errors.push(`${path}.${siteId}: expected an object`);
+      } else {
+        checkSettings(siteSettings[siteId], SITE_TYPES, `${path}.${siteId}`, errors);
+      }
+    });
+  }
+
+  /**
+   * Check the URL rules
+   * @param {*} rules - Value of settings.urlRules
+   * @param {Array<string>} errors - Problems found so far
+   */
+  function checkUrlRules(rules, errors) {
+    const path = `settings.${URL_RULES_KEY}`;
+
+    if (!Array.isArray(rules)) {
+      errors.push(`${path}: expected a list of rules`);
+      return;
+    }
+
+    rules.forEach((rule, index) => {
+      const rulePath = `${path}[${index}]`;
+
+      if (!isObject(rule)) {
+        errors.push(`${rulePath}: expected an object`);
+        return;
+      }
+
+      Object.keys(rule)
+        .filter(key => !RULE_KEYS.includes(key))
+        .forEach(key => errors.push(`${rulePath}.${key}: unknown key`));
+
+      if (!isSiteId(rule.site)) {
+        errors.push(`${rulePath}.site: unknown site ${JSON.stringify(rule.site)}`);
+      }
+
+      if (typeof rule.pattern !== 'string' || !rule.pattern.startsWith('/')) {
+        errors.push(`${rulePath}.pattern: expected a path pattern starting with "/"`);
+      }
+
+      if (!isObject(rule.settings)) {
+        errors.push(`${rulePath}.settings: expected an object`);
+      } else {
+        checkSettings(rule.settings, SETTING_TYPES, `${rulePath}.settings`, errors);
+      }
+    });
+  }
+
+  /**
+   * Check the break reminder settings
+   * @param {*} breakReminders - Value of settings.breakReminders
+   * @param {Array<string>} errors - Problems found so far
+   */
+  function checkBreakReminders(breakReminders, errors) {
+    const path = `settings.${BREAK_REMINDERS_KEY}`;
+
+    if (!isObject(breakReminders)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+
+    checkSettings(breakReminders, BREAK_REMINDER_TYPES, path, errors);
+  }
+
+  /**
+   * Wrap stored settings in the file format
+   * @param {Object} items - Items read from chrome.storage.sync
+   * @returns {Object} File contents, ready for JSON.stringify
+   */
+  function createSettingsFile(items) {
+    const settings = {};
+    Object.keys(STORAGE_DEFAULTS).forEach((key) => {
+      if (items && key in items) {
+        settings[key] = items[key];
+      }
+    });
+
+    return {
+      format: FILE_FORMAT,
+      [SCHEMA_VERSION_KEY]: CURRENT_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+    };
+  }
+
+  /**
+   * Check a parsed settings file
+   * @param {*} file - Parsed JSON
+   * @returns {Object} { valid, errors, settings }; settings holds every key
+   *   in STORAGE_DEFAULTS plus the schema version, ready for
+   *   chrome.storage.sync.set, when valid
+   */
+  function validateSettingsFile(file) {
+    const errors = [];
+
+    if (!isObject(file) || file.format !== FILE_FORMAT) {
+      return {
+        valid: false,
+        errors: [`Not an ErgonomicGPT settings file (expected "format": "${FILE_FORMAT}")`],
+        settings: null,
+      };
+    }
+
+    Object.keys(file)
+      .filter(key => !FILE_KEYS.includes(key))
+      .forEach(key => errors.push(`${key}: unknown key`));
+
+    const version = file[SCHEMA_VERSION_KEY] === undefined ? CURRENT_SCHEMA_VERSION : file[SCHEMA_VERSION_KEY];
+    if (!Number.isInteger(version) || version < 1) {
+      errors.push(`${SCHEMA_VERSION_KEY}: expected a version number, got ${JSON.stringify(version)}`);
+      return { valid: false, errors, settings: null };
+    }
+    if (version > CURRENT_SCHEMA_VERSION) {
+      errors.push(`${SCHEMA_VERSION_KEY}: file is from a newer ErgonomicGPT (version ${version}), update to import it`);
+      return { valid: false, errors, settings: null };
+    }
+
+    let values = file.settings === undefined ? {} : file.settings;
+    if (!isObject(values)) {
+      errors.push('settings: expected an object');
+      return { valid: false, errors, settings: null };
+    }
+
+    if (version < CURRENT_SCHEMA_VERSION) {
+      values = migrateSettings({ ...values, [SCHEMA_VERSION_KEY]: version }).items;
+      delete values[SCHEMA_VERSION_KEY];
+    }
+
+    const {
+      [SITE_SETTINGS_KEY]: siteSettings,
+      [URL_RULES_KEY]: rules,
+      [BREAK_REMINDERS_KEY]: breakReminders,
+      ...flat
+    } = values;
+    checkSettings(flat, SETTING_TYPES, 'settings', errors);
+
+    if (siteSettings !== undefined) {
+      checkSiteSettings(siteSettings, errors);
+    }
+
+    if (rules !== undefined) {
+      checkUrlRules(rules, errors);
+    }
+
+    if (breakReminders !== undefined) {
+      checkBreakReminders(breakReminders, errors);
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors, settings: null };
+    }
+
+    // A partial breakReminders object keeps the defaults for the rest
+    if (breakReminders !== undefined) {
+      values = {
+        ...values,
+        [BREAK_REMINDERS_KEY]: { ...STORAGE_DEFAULTS[BREAK_REMINDERS_KEY], ...breakReminders },
+      };
+    }
+
+    return {
+      valid: true,
+      errors,
+      settings: { ...STORAGE_DEFAULTS, ...values, [SCHEMA_VERSION_KEY]: CURRENT_SCHEMA_VERSION },
+    };
+  }
+
+  ErgonomicGPT.schema = {
+    FILE_FORMAT,
+    createSettingsFile,
+    validateSettingsFile,
+  };
+})(globalThis);
@@ -0,0 +1,446 @@
+/**
+ * ErgonomicGPT - Shared Settings
+ *
+ * Single source of truth for the settings model, loaded by every
+ * content script and by the popup
+ * - DEFAULT_SETTINGS: values used when nothing is stored yet
+ * - FEATURES: on/off feature keys understood by the content-script core
+ * - REVERSE_MODES: how reverseMessages orders a conversation
+ * - NUMBER_SETTINGS: range and presets of each numeric setting
+ * - SITES: supported sites, keyed like the content-script adapters
+ * - SITE_SETTINGS_KEY: chrome.storage.sync key for per-site overrides
+ * - URL_RULES_KEY: chrome.storage.sync key for URL-pattern rules
+ * - BREAK_REMINDERS_KEY: chrome.storage.sync key for posture break reminders
+ * - DEFAULT_BREAK_REMINDERS, BREAK_STYLES, BREAK_INTERVALS: reminder options
+ * - STORAGE_DEFAULTS: everything to read from chrome.storage.sync
+ * - LAYOUT_STATUS_KEY: chrome.storage.local key for layout health results
+ * - SITE_OVERRIDES_KEY: chrome.storage.local key for selector and CSS overrides
+ * - OVERRIDABLE_SELECTORS: adapter selectors the user may override
+ * - CUSTOM_SITES_KEY: chrome.storage.local key for sites the user added
+ * - CUSTOM_SITE_SELECTORS: selectors the element picker finds for those
+ * - isValidSetting(): whether a stored value is usable for a setting
+ * - resolveSettings(): effective settings for one site (and page)
+ * - isSiteEnabled(): whether ErgonomicGPT is switched on for a site
+ * - findSiteByUrl(): supported site a URL belongs to
+ * - isSiteId(): whether an id names a supported or user-added site
+ * - getCustomSiteId(), getOriginPattern(): id and match pattern of an origin
+ * - listCustomSites(): the user's sites, shaped like SITES entries
+ * - findCustomSiteByUrl(): user-added site a URL belongs to
+ * - findUrlRule(): first URL rule matching a page
+ * - resolveBreakReminders(): effective break reminder settings
+ * - resolveSiteOverrides(): a site's selector and CSS overrides, if in use
+ *
+ * Settings are inherited: the flat keys in chrome.storage.sync are the
+ * defaults for every site, and siteSettings[siteId] overrides single
+ * features for one site, e.g. { chatgpt: { reverseMessages: false } }.
+ * On top of that, the first URL rule whose pattern matches the page path
+ * overrides features for that kind of page, e.g.
+ * { site: 'chatgpt', pattern: '/share/**', settings: { chatboxTop: false } }.
+ * In patterns, * matches within one path segment and ** across segments.
+ * siteSettings[siteId].enabled === false switches every feature off there.
+ * Break reminders are about the person, not the site, so they are only
+ * set for all sites.
+ *
+ * Selector and CSS overrides are kept apart, in chrome.storage.local:
+ * custom CSS easily outgrows a synced item, and selectors patched for one
+ * broken release are no use on another device. They are never migrated,
+ * so they survive updates until the user removes them, e.g.
+ * siteOverrides.chatgpt = { enabled: true, selectors: { composer: 'form.new' }, css: '' }.
+ *
+ * Sites the user added live in chrome.storage.local too, since the host
+ * permission they need is granted per browser, keyed by a site id derived
+ * from the origin so per-site settings and overrides work as for SITES, e.g.
+ * customSites['custom-https-chat-example-com'] = { id, name: 'chat.example.com',
+ *   origin: 'https://chat.example.com', selectors: { composer: '#composer', ... } }.
+ *
+ * Storage also holds a schemaVersion; when this shape changes, add a step
+ * to common/migrations.js so synced settings are upgraded on update.
+ */
+
+(function(root) {
+  'use strict';
+
+  const ErgonomicGPT = root.ErgonomicGPT = root.ErgonomicGPT || {};
+
+  // Default settings (both features enabled, reversing message by message,
+  // composer at the very top, the site's own typography, every turn open)
+  const DEFAULT_SETTINGS = Object.freeze({
+    chatboxTop: true,
+    reverseMessages: true,
+    reverseMode: 'message',
+    composerOffset: 0,
+    fontScale: 100,
+    lineHeight: 0,
+    maxLineWidth: 0,
+    collapseTurns: 0,
+  });
+
+  // Every feature a site adapter may declare support for
+  const FEATURES = Object.freeze(['chatboxTop', 'reverseMessages']);
+
+  // message: every message newest-first
+  // turn: prompt and reply stay together, turns newest-first
+  const REVERSE_MODES = Object.freeze(['message', 'turn']);
+
+  // Numeric settings: the default or any whole number from min to max is
+  // valid, presets are what the settings pages offer
+  // - composerOffset: how far down the viewport the top composer sits, in
+  //   percent of its height; on a tall monitor the eye line is often 20-35% down
+  // - fontScale: message text size, in percent of the site's own
+  // - lineHeight: message line height, in percent of the font size (0: site's own)
+  // - maxLineWidth: widest message text column, in characters (0: site's own)
+  // - collapseTurns: latest turns left open while reversed, older ones
+  //   collapse into cards (0: every turn open)
+  const NUMBER_SETTINGS = Object.freeze({
+    composerOffset: { min: 0, max: 50, presets: [0, 10, 15, 20, 25, 30, 35, 40] },
+    fontScale: { min: 50, max: 200, presets: [90, 100, 110, 125, 150] },
+    lineHeight: { min: 100, max: 300, presets: [0, 140, 160, 180, 200] },
+    maxLineWidth: { min: 40, max: 200, presets: [0, 60, 70, 80, 100] },
+    collapseTurns: { min: 1, max: 50, presets: [0, 1, 3, 5, 10] },
+  });
+
+  // Supported sites; ids match the adapters in content-scripts/<id>.js
+  const SITES = Object.freeze([
+    { id: 'chatgpt', name: 'ChatGPT', hosts: ['chatgpt.com', 'chat.openai.com'] },
+    { id: 'claude', name: 'Claude', hosts: ['claude.ai'] },
+    { id: 'gemini', name: 'Gemini', hosts: ['gemini.google.com'] },
+    { id: 'perplexity', name: 'Perplexity', hosts: ['perplexity.ai', 'www.perplexity.ai'] },
+  ]);
+
+  // Per-site overrides of the global settings
+  const SITE_SETTINGS_KEY = 'siteSettings';
+
+  // Ordered URL-pattern rules, first match wins
+  const URL_RULES_KEY = 'urlRules';
+
+  // Posture break reminders after minutes of active chatting
+  const BREAK_REMINDERS_KEY = 'breakReminders';
+
+  // notification: system notification
+  // banner: banner on the page the user is chatting on
+  const BREAK_STYLES = Object.freeze(['notification', 'banner']);
+
+  // Minutes of active chatting between reminders the settings offer
+  const BREAK_INTERVALS = Object.freeze([20, 30, 45, 60, 90]);
+
+  // Reminders are opt-in
+  const DEFAULT_BREAK_REMINDERS = Object.freeze({
+    enabled: false,
+    intervalMinutes: 45,
+    style: 'notification',
+  });
+
+  // Everything the settings model keeps in chrome.storage.sync
+  const STORAGE_DEFAULTS = Object.freeze({
+    ...DEFAULT_SETTINGS,
+    [SITE_SETTINGS_KEY]: {},
+    [URL_RULES_KEY]: [],
+    [BREAK_REMINDERS_KEY]: DEFAULT_BREAK_REMINDERS,
+  });
+
+  // Last layout health check result per site, written by the content scripts
+  const LAYOUT_STATUS_KEY = 'layoutStatus';
+
+  // User overrides of adapter selectors plus custom CSS, per site
+  const SITE_OVERRIDES_KEY = 'siteOverrides';
+
+  // Adapter selectors a site's overrides may replace, see content-scripts/core.js
+  const OVERRIDABLE_SELECTORS = Object.freeze([
+    'composerParent',
+    'composer',
+    'composerInput',
+    'messagesContainer',
+    'message',
+    'turnStart',
+    'prompt',
+    'scroller',
+  ]);
+
+  // Sites the user added, with the selectors picked on their pages
+  const CUSTOM_SITES_KEY = 'customSites';
+
+  // Every user-added site id starts with this, so it can't clash with SITES
+  const CUSTOM_SITE_PREFIX = 'custom-';
+
+  // Selectors the element picker stores for a user-added site
+  const CUSTOM_SITE_SELECTORS = Object.freeze([
+    'composerParent',
+    'composer',
+    'composerInput',
+    'messagesContainer',
+    'message',
+    'scroller',
+  ]);
+
+  /**
+   * Turn a URL pattern into a regular expression for the page path
+   * @param {string} pattern - e.g. '/g/*' or '/share/**'
+   * @returns {RegExp}
+   */
+  function patternToRegExp(pattern) {
+    const source = pattern
+      .split('**')
+      .map(part => part
+        .split('*')
+        .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('[^/]*'))
+      .join('.*');
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Find the first URL rule for a site that matches a page
+   * @param {Array<Object>} rules - Rules read from chrome.storage.sync
+   * @param {string} siteId - Site id
+   * @param {string} url - Page URL
+   * @returns {Object|null} Matching rule, or null
+   */
+  function findUrlRule(rules, siteId, url) {
+    let pathname;
+    try {
+      pathname = new URL(url).pathname;
+    } catch (e) {
+      return null;
+    }
+
+    return (Array.isArray(rules) ? rules : []).find(rule => (
+      rule && rule.site === siteId && rule.pattern &&
+      patternToRegExp(rule.pattern).test(pathname)
+    )) || null;
+  }
+
+  /**
+   * Check that a stored value is usable for a setting
+   * @param {string} key - Key in DEFAULT_SETTINGS
+   * @param {*} value - Stored value
+   * @returns {boolean}
+   */
+  function isValidSetting(key, value) {
+    if (key === 'reverseMode') {
+      return REVERSE_MODES.includes(value);
+    }
+
+    const range = NUMBER_SETTINGS[key];
+    if (range) {
+      return value === DEFAULT_SETTINGS[key] ||
+        (Number.isInteger(value) && value >= range.min && value <= range.max);
+    }
+
+    return typeof value === 'boolean';
+  }
+
+  /**
+   * Check whether ErgonomicGPT is switched on for a site
+   * @param {Object} items - Items read from chrome.storage.sync
+   * @param {string} siteId - Site id
+   * @returns {boolean}
+   */
+  function isSiteEnabled(items, siteId) {
+    const overrides = ((items && items[SITE_SETTINGS_KEY]) || {})[siteId] || {};
+    return overrides.enabled !== false;
+  }
+
+  /**
+   * Work out the settings that apply to one site
+   * A matching URL rule wins over the site overrides, which win over the
+   * global settings, which win over the defaults. A switched-off site gets
+   * every feature off and the defaults for everything else, so its page is
+   * left untouched.
+   * @param {Object} items - Items read from chrome.storage.sync
+   * @param {string} siteId - Site id
+   * @param {string} [url] - Page URL, to apply URL rules
+   * @returns {Object} One value per key in DEFAULT_SETTINGS
+   */
+  function resolveSettings(items, siteId, url) {
+    const overrides = ((items && items[SITE_SETTINGS_KEY]) || {})[siteId] || {};
+    const rule = url ? findUrlRule(items && items[URL_RULES_KEY], siteId, url) : null;
+    const ruleSettings = (rule && rule.settings) || {};
+    const enabled = isSiteEnabled(items, siteId);
+
+    return Object.keys(DEFAULT_SETTINGS).reduce((settings, key) => {
+      if (!enabled) {
+        settings[key] = FEATURES.includes(key) ? false : DEFAULT_SETTINGS[key];
+      } else if (isValidSetting(key, ruleSettings[key])) {
+        settings[key] = ruleSettings[key];
+      } else if (isValidSetting(key, overrides[key])) {
+        settings[key] = overrides[key];
+      } else if (items && isValidSetting(key, items[key])) {
+        settings[key] = items[key];
+      } else {
+        settings[key] = DEFAULT_SETTINGS[key];
+      }
+      return settings;
+    }, {});
+  }
+
+  /**
+   * Work out the break reminder settings, ignoring malformed stored values
+   * @param {Object} items - Items read from chrome.storage.sync
+   * @returns {Object} One value per key in DEFAULT_BREAK_REMINDERS
+   */
+  function resolveBreakReminders(items) {
+    const stored = (items && items[BREAK_REMINDERS_KEY]) || {};
+
+    return {
+      enabled: typeof stored.enabled === 'boolean' ? stored.enabled : DEFAULT_BREAK_REMINDERS.enabled,
+      intervalMinutes: BREAK_INTERVALS.includes(stored.intervalMinutes) ?
+        stored.intervalMinutes : DEFAULT_BREAK_REMINDERS.intervalMinutes,
+      style: BREAK_STYLES.includes(stored.style) ? stored.style : DEFAULT_BREAK_REMINDERS.style,
+    };
+  }
+
+  /**
+   * Work out the selector and CSS overrides in use on a site
+   * Blank selectors and malformed values are dropped; whether a selector
+   * parses is left to the page that uses it
+   * @param {Object} stored - siteOverrides read from chrome.storage.local
+   * @param {string} siteId - Site id
+   * @returns {Object|null} { selectors, css }, or null when switched off or empty
+   */
+  function resolveSiteOverrides(stored, siteId) {
+    const entry = (stored && stored[siteId]) || {};
+    if (entry.enabled === false) {
+      return null;
+    }
+
+    const selectors = {};
+    OVERRIDABLE_SELECTORS.forEach((name) => {
+      const selector = entry.selectors && entry.selectors[name];
+      if (typeof selector === 'string' && selector.trim()) {
+        selectors[name] = selector.trim();
+      }
+    });
+    const css = typeof entry.css === 'string' ? entry.css.trim() : '';
+
+    if (Object.keys(selectors).length === 0 && !css) {
+      return null;
+    }
+    return { selectors, css };
+  }
+
+  /**
+   * Find the supported site a URL belongs to
+   * @param {string} url - Page URL
+   * @returns {Object|null} Entry from SITES, or null for other pages
+   */
+  function findSiteByUrl(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (e) {
+      return null;
+    }
+
+    return SITES.find(site => site.hosts.includes(hostname)) || null;
+  }
+
+  /**
+   * Get the id a user-added site is stored under
+   * @param {string} origin - Page origin, e.g. 'https://chat.example.com'
+   * @returns {string} e.g. 'custom-https-chat-example-com'
+   */
+  function getCustomSiteId(origin) {
+    return CUSTOM_SITE_PREFIX + origin.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+
+  /**
+   * Get the match pattern covering every page of an origin, as used for
+   * host permissions and registered content scripts
+   * The port is kept, so a site added on one port isn't laid out, nor
+   * granted access, on the host's other ports
+   * @param {string} origin - Page origin
+   * @returns {string} e.g. 'http://localhost:3000/*' for 'http://localhost:3000'
+   */
+  function getOriginPattern(origin) {
+    const url = new URL(origin);
+    return `${url.protocol}//${url.host}/*`;
+  }
+
+  /**
+   * Check that an id names a supported site or a user-added one
+   * @param {*} siteId - Site id, e.g. from an imported file
+   * @returns {boolean}
+   */
+  function isSiteId(siteId) {
+    return SITES.some(site => site.id === siteId) ||
+      (typeof siteId === 'string' && siteId.startsWith(CUSTOM_SITE_PREFIX) && /^[a-z0-9-]+$/.test(siteId));
+  }
+
+  /**
+   * List the sites the user added, ignoring malformed stored entries
+   * @param {Object} stored - customSites read from chrome.storage.local
+   * @returns {Array<Object>} { id, name, origin, hosts, selectors }, sorted by name
+   */
+  function listCustomSites(stored) {
+    return Object.keys(stored || {})
+      .map(id => stored[id])
+      .filter(site => (
+        site && /^https?:\/\/[^/]+$/.test(site.origin) && site.id === getCustomSiteId(site.origin) &&
+        site.selectors && typeof site.selectors.composer === 'string' &&
+        typeof site.selectors.messagesContainer === 'string'
+      ))
+      .map((site) => {
+        const selectors = {};
+        CUSTOM_SITE_SELECTORS.forEach((name) => {
+          if (typeof site.selectors[name] === 'string' && site.selectors[name]) {
+            selectors[name] = site.selectors[name];
+          }
+        });
+
+        const hostname = new URL(site.origin).hostname;
+        return { id: site.id, name: site.name || hostname, origin: site.origin, hosts: [hostname], selectors };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Find the user-added site a URL belongs to
+   * Unlike SITES, a user-added site is one exact origin, port included
+   * @param {Object} stored - customSites read from chrome.storage.local
+   * @param {string} url - Page URL
+   * @returns {Object|null} Entry from listCustomSites(), or null for other pages
+   */
+  function findCustomSiteByUrl(stored, url) {
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch (e) {
+      return null;
+    }
+
+    return listCustomSites(stored).find(site => site.origin === origin) || null;
+  }
+
+  ErgonomicGPT.settings = {
+    DEFAULT_SETTINGS,
+    FEATURES,
+    REVERSE_MODES,
+    NUMBER_SETTINGS,
+    SITES,
+    SITE_SETTINGS_KEY,
+    URL_RULES_KEY,
+    BREAK_REMINDERS_KEY,
+    BREAK_STYLES,
+    BREAK_INTERVALS,
+    DEFAULT_BREAK_REMINDERS,
+    STORAGE_DEFAULTS,
+    LAYOUT_STATUS_KEY,
+    SITE_OVERRIDES_KEY,
+    OVERRIDABLE_SELECTORS,
+    CUSTOM_SITES_KEY,
+    CUSTOM_SITE_SELECTORS,
+    isValidSetting,
+    resolveSettings,
+    resolveBreakReminders,
+    resolveSiteOverrides,
+    isSiteEnabled,
+    findSiteByUrl,
+    findUrlRule,
+    isSiteId,
+    getCustomSiteId,
+    getOriginPattern,
+    listCustomSites,
+    findCustomSiteByUrl,
+  };
+})(globalThis);
@@ -1,116 +1,52 @@
 /**
  * ErgonomicGPT - ChatGPT Content Script
  *
- * Loads user settings and applies CSS classes to enable features:
+ * Registers the ChatGPT adapter with the shared core (content-scripts/core.js),
+ * which toggles these classes on <html> from the synced settings:
  * - ergonomic-chatbox-top: Moves chat input to top
  * - ergonomic-reverse-messages: Reverses message order (newest first)
  *
- * Settings are stored in chrome.storage.sync and persist across sessions
+ * Two DOM generations are known, newest first:
+ * - unified-composer: 2025 layout (div.composer-parent, <article> turns)
+ * - legacy: 2024 layout (div[role="presentation"], <div> turns)
+ *
+ * Layout rules live in styles/chatgpt.css
  */
 
 (function() {
   'use strict';
 
-  const LOG_PREFIX = '[ErgonomicGPT]';
-  const CLASSES = {
-    chatboxTop: 'ergonomic-chatbox-top',
-    reverseMessages: 'ergonomic-reverse-messages',
-  };
-
-  // Default settings (both features enabled)
-  const DEFAULT_SETTINGS = {
-    chatboxTop: true,
-    reverseMessages: true,
-  };
-
-  /**
-   * Apply CSS classes based on settings
-   * @param {Object} settings - User settings object
-   */
-  function applySettings(settings) {
-    const html = document.documentElement;
-
-    // Apply or remove chatbox-top class
-    if (settings.chatboxTop) {
-      html.classList.add(CLASSES.chatboxTop);
-      console.log(LOG_PREFIX, 'Chatbox moved to top ✅');
-    } else {
-      html.classList.remove(CLASSES.chatboxTop);
-      console.log(LOG_PREFIX, 'Chatbox at bottom (default)');
-    }
-
-    // Apply or remove reverse-messages class
-    if (settings.reverseMessages) {
-      html.classList.add(CLASSES.reverseMessages);
-      console.log(LOG_PREFIX, 'Messages reversed (newest first) ✅');
-    } else {
-      html.classList.remove(CLASSES.reverseMessages);
-      console.log(LOG_PREFIX, 'Messages in normal order (oldest first)');
-    }
-  }
-
-  /**
-   * Load settings from storage and apply them
-   */
-  function loadAndApplySettings() {
-    // Check if chrome.storage is available
-    if (typeof chrome === 'undefined' || !chrome.storage) {
-      console.warn(LOG_PREFIX, 'chrome.storage not available, using defaults');
-      applySettings(DEFAULT_SETTINGS);
-      return;
-    }
-
-    chrome.storage.sync.get(DEFAULT_SETTINGS, (items) => {
-      if (chrome.runtime.lastError) {
-        console.error(LOG_PREFIX, 'Error loading settings:', chrome.runtime.lastError);
-        applySettings(DEFAULT_SETTINGS);
-        return;
-      }
-
-      console.log(LOG_PREFIX, 'Settings loaded:', items);
-      applySettings(items);
-    });
-  }
-
-  /**
-   * Listen for settings changes and reapply
-   */
-  function setupStorageListener() {
-    if (typeof chrome === 'undefined' || !chrome.storage) {
-      return;
-    }
-
-    chrome.storage.onChanged.addListener((changes, areaName) => {
-      if (areaName !== 'sync') return;
-
-      console.log(LOG_PREFIX, 'Settings changed:', changes);
-
-      // Get current full settings
-      chrome.storage.sync.get(DEFAULT_SETTINGS, (items) => {
-        applySettings(items);
-      });
-    });
-  }
-
-  /**
-   * Wait for DOM to be ready
-   */
-  function init() {
-    console.log(LOG_PREFIX, 'Content script loaded');
-
-    // Apply settings immediately if DOM is ready
-    if (document.documentElement) {
-      loadAndApplySettings();
-      setupStorageListener();
-    } else {
-      // Wait for DOM
-      document.addEventListener('DOMContentLoaded', () => {
-        loadAndApplySettings();
-        setupStorageListener();
-      });
-    }
-  }
-
-  // Start the extension
-  init();
+  ErgonomicGPT.core.registerAdapter({
+    id: 'chatgpt',
+    name: 'ChatGPT',
+    features: ['chatboxTop', 'reverseMessages'],
+    generations: [
+      {
+        name: 'unified-composer',
+        detect: 'form[data-type="unified-composer"]',
+        selectors: {
+          composerParent: 'div.composer-parent',
+          composer: 'form[data-type="unified-composer"]',
+          composerInput: 'textarea[name="prompt-textarea"], #prompt-textarea',
+          messagesContainer: 'div.flex.flex-col.text-sm',
+          message: 'article[data-testid^="conversation-turn-"]',
+          turnStart: 'article[data-turn="user"]',
+          prompt: 'article[data-turn="user"] .message-content',
+        },
+      },
+      {
+        name: 'legacy',
+        detect: 'div[role="presentation"] form textarea#prompt-textarea',
+        selectors: {
+          composerParent: 'main div[role="presentation"]',
+          composer: 'div[role="presentation"] > div:has(> form)',
+          composerInput: 'textarea#prompt-textarea',
+          messagesContainer: 'div.flex.flex-col.text-sm',
+          message: 'div[data-testid^="conversation-turn-"]',
+          turnStart: 'div[data-testid^="conversation-turn-"]:has([data-message-author-role="user"])',
+          prompt: '[data-message-author-role="user"]',
+        },
+      },
+    ],
+  });
 })();
@@ -1,11 +1,29 @@
-// ErgonomicGPT - Claude Layout Reversal
-// Coming in Phase 2
+/**
+ * ErgonomicGPT - Claude Content Script
+ *
+ * Registers the Claude adapter with the shared core (content-scripts/core.js),
+ * which toggles these classes on <html> from the synced settings:
+ * - ergonomic-chatbox-top: Moves chat input to top
+ * - ergonomic-reverse-messages: Reverses message order (newest first)
+ *
+ * Layout rules live in styles/claude.css
+ */
 
 (function() {
   'use strict';
 
-  console.log('[ErgonomicGPT] Extension loaded for Claude (Phase 2 - Coming Soon)');
-
-  // TODO: Implement Claude-specific reversal logic
-  // Claude uses a different DOM structure than ChatGPT
+  ErgonomicGPT.core.registerAdapter({
+    id: 'claude',
+    name: 'Claude',
+    features: ['chatboxTop', 'reverseMessages'],
+    selectors: {
+      composerParent: 'div.flex-col:has(> div.sticky.bottom-0 fieldset)',
+      composer: 'div.sticky.bottom-0:has(fieldset)',
+      composerInput: 'div.ProseMirror[contenteditable="true"]',
+      messagesContainer: 'div.flex-col:has(> div[data-test-render-count])',
+      message: 'div[data-test-render-count]',
+      turnStart: 'div[data-test-render-count]:has([data-testid="user-message"])',
+      prompt: '[data-testid="user-message"]',
+    },
+  });
 })();
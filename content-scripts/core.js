@@ -0,0 +1,1749 @@
+/**
+ * ErgonomicGPT - Content Script Core
+ *
+ * Shared by every site script. A site registers a small adapter and the core
+ * takes care of the rest:
+ * - Loads user settings from synced storage, with this site's overrides
+ * - Toggles the feature classes on the <html> element
+ * - Sets --ergonomic-composer-offset on <html>, how far down the viewport
+ *   the top composer should sit; site stylesheets use it as a length, e.g.
+ *   top: var(--ergonomic-composer-offset, 0px)
+ * - Sets a class and custom property on <html> for each reading comfort
+ *   setting changed from its default, which site stylesheets use to restyle
+ *   message text, e.g. line-height: var(--ergonomic-line-height)
+ * - Detects the theme the site is showing and marks it on <html> with
+ *   ergonomic-theme-dark or ergonomic-theme-light, plus --ergonomic-surface
+ *   holding the colour behind the conversation, so site stylesheets and the
+ *   extension's own overlays match it whatever the site calls its themes
+ * - Reapplies them whenever settings change, and on client-side navigation
+ *   so URL rules can give each kind of page its own settings
+ * - Checks the layout actually took effect, and backs out if it did not
+ * - Keeps the newest answer pinned under the top composer while it streams in
+ * - Collapses turns older than the latest collapseTurns into one-line cards
+ *   showing their prompt, and keeps them collapsed as the site re-renders
+ * - Focuses the composer when the focus-composer shortcut asks for it
+ * - Answers the popup's diagnose message with a report of what it sees
+ * - Swaps in the user's selector overrides and adds their custom CSS for
+ *   the site, and previews unsaved ones while the popup edits them
+ * - Reports chatting activity for break reminders, and shows their banner
+ *
+ * Adapter shape:
+ * {
+ *   id: 'chatgpt',                    // Stable key, also used for logging
+ *   name: 'ChatGPT',                  // Human-readable site name
+ *   features: ['chatboxTop', ...],    // Subset of ErgonomicGPT.settings.FEATURES
+ *   generations: [{                   // Known DOM generations, newest first
+ *     name: 'unified-composer',       // Written to <html data-ergonomic-layout>
+ *     detect: 'form[data-type=...]',  // Selector only this generation matches
+ *     selectors: { composer, ... },   // Key containers styles/<id>.css relies on
+ *   }, ...],
+ *   selectors: { composer, ... },     // Shorthand for a single generation
+ *   classes: { chatboxTop: '...' },   // Optional per-feature class overrides
+ *   generatedLayout: true,            // Optional: no stylesheet, see below
+ * }
+ *
+ * The first generation whose detect selector matches the live page wins, so one
+ * release can support a site's old and new layouts side by side.
+ *
+ * selectors.turnStart marks the messages that open a turn (the user's prompt),
+ * used by reverseMode 'turn'. Leave it out when every message already holds a
+ * whole prompt and reply.
+ *
+ * selectors.prompt finds the prompt text within a turn, shown on the card
+ * of a collapsed turn. Without it the card shows the turn's first row.
+ *
+ * selectors.scroller names the element that scrolls the conversation, for
+ * pages where the nearest scrollable ancestor of the messages is the wrong one.
+ *
+ * When a site renames its markup, users can override any of
+ * ErgonomicGPT.settings.OVERRIDABLE_SELECTORS in every generation. The
+ * site stylesheet only knows the built-in selectors, so the core repeats
+ * its key layout rules for overridden containers in a <style> of its own.
+ * Adapters with generatedLayout (sites the user added, see
+ * content-scripts/custom.js) have no stylesheet at all and get those rules
+ * for every container they name.
+ */
+
+(function(root) {
+  'use strict';
+
+  const ErgonomicGPT = root.ErgonomicGPT = root.ErgonomicGPT || {};
+  const {
+    DEFAULT_SETTINGS,
+    FEATURES,
+    STORAGE_DEFAULTS,
+    LAYOUT_STATUS_KEY,
+    SITE_OVERRIDES_KEY,
+    resolveSettings,
+    resolveBreakReminders,
+    resolveSiteOverrides,
+    isSiteEnabled,
+  } = ErgonomicGPT.settings;
+  const { getMessage } = ErgonomicGPT.i18n;
+  const { browserApi } = ErgonomicGPT;
+
+  const LOG_PREFIX = '[ErgonomicGPT]';
+
+  // Attribute on <html> naming the DOM generation that matched
+  const LAYOUT_ATTRIBUTE = 'data-ergonomic-layout';
+
+  // Sites render lazily, so the health check polls for a while before giving up
+  const HEALTH_CHECK_INTERVAL_MS = 500;
+  const HEALTH_CHECK_TIMEOUT_MS = 8000;
+
+  // How often to look for URL changes where the Navigation API is missing
+  const NAVIGATION_POLL_INTERVAL_MS = 1000;
+
+  // Message sent by the background service worker for the focus shortcut
+  const FOCUS_COMPOSER_MESSAGE = 'focus-composer';
+
+  // Message sent by the popup's "Diagnose this tab" button
+  const DIAGNOSE_MESSAGE = 'diagnose';
+
+  // Prefix of the custom properties the core sets on <html>
+  const CUSTOM_PROPERTY_PREFIX = '--ergonomic-';
+
+  // Port the popup opens to preview overrides before saving them
+  const OVERRIDE_PREVIEW_PORT = 'override-preview';
+
+  // <style> holding the layout rules for overridden selectors and custom CSS,
+  // and the whole layout of adapters with generatedLayout
+  const OVERRIDE_STYLE_ID = 'ergonomic-site-overrides';
+
+  // Layout rules the site stylesheets give a container, repeated for
+  // overridden selectors while the feature's class is on <html>
+  const OVERRIDE_RULES = {
+    composerParent: {
+      feature: 'chatboxTop',
+      declarations: 'display: flex !important; flex-direction: column-reverse !important;',
+    },
+    composer: {
+      feature: 'chatboxTop',
+      declarations: 'background: var(--ergonomic-surface, white) !important; z-index: 10 !important; ' +
+        'padding-top: var(--ergonomic-composer-offset, 0px) !important;',
+    },
+    messagesContainer: {
+      feature: 'reverseMessages',
+      declarations: 'display: flex !important; flex-direction: column-reverse !important;',
+    },
+  };
+
+  // Break reminder messages, see background/break-reminders.js
+  const ACTIVITY_MESSAGE = 'break-activity';
+  const BREAK_ACTION_MESSAGE = 'break-action';
+  const SHOW_BREAK_BANNER_MESSAGE = 'show-break-banner';
+
+  // How long the banner's snooze button puts the reminder off, the same
+  // as SNOOZE_MINUTES in background/break-reminders.js
+  const BREAK_SNOOZE_MINUTES = 10;
+
+  // At most one activity ping per minute is plenty to count minutes
+  const ACTIVITY_PING_INTERVAL_MS = 60 * 1000;
+
+  // Input that means someone is chatting, not just a tab left open
+  const ACTIVITY_EVENTS = ['keydown', 'pointerdown', 'wheel', 'touchstart'];
+
+  // Host of the break banner; its shadow root keeps site styles out
+  const BREAK_BANNER_ID = 'ergonomic-break-banner';
+
+  const BREAK_BANNER_STYLES = `
+    .banner {
+      position: fixed;
+      right: 16px;
+      bottom: 16px;
+      z-index: 2147483647;
+      max-width: 360px;
+      padding: 16px;
+      border-radius: 12px;
+      background: #ffffff;
+      color: #1f2937;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+      font: 14px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    .title { margin: 0 0 4px; font-weight: 600; }
+    .text { margin: 0 0 12px; }
+    .actions { display: flex; gap: 8px; justify-content: flex-end; }
+    button {
+      padding: 6px 10px;
+      border: 1px solid #d1d5db;
+      border-radius: 6px;
+      background: #f9fafb;
+      color: inherit;
+      font: inherit;
+      cursor: pointer;
+    }
+    button.primary { border-color: #10a37f; background: #10a37f; color: #ffffff; }
+    :host([data-theme="dark"]) .banner { background: #2f2f2f; color: #ececec; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.6); }
+    :host([data-theme="dark"]) button { border-color: #4a4a4a; background: #3a3a3a; }
+    :host([data-theme="dark"]) button.primary { border-color: #10a37f; background: #10a37f; }
+  `;
+
+  // Class toggled on <html> for each feature, with the log line for each state
+  const FEATURE_CLASSES = {
+    chatboxTop: {
+      className: 'ergonomic-chatbox-top',
+      enabledMessage: 'Chatbox moved to top ✅',
+      disabledMessage: 'Chatbox at bottom (default)',
+    },
+    reverseMessages: {
+      className: 'ergonomic-reverse-messages',
+      enabledMessage: 'Messages reversed (newest first) ✅',
+      disabledMessage: 'Messages in normal order (oldest first)',
+    },
+  };
+
+  // Custom property on <html> holding the composer offset as a length
+  const COMPOSER_OFFSET_PROPERTY = '--ergonomic-composer-offset';
+
+  // Class and custom property on <html> for each reading comfort setting,
+  // and how its value is written in CSS. Neither is set while a setting
+  // keeps its default, so the site's own typography stays untouched
+  const TYPOGRAPHY_CLASSES = {
+    fontScale: {
+      className: 'ergonomic-font-scale',
+      property: '--ergonomic-font-scale',
+      toCss: scale => String(scale / 100),
+    },
+    lineHeight: {
+      className: 'ergonomic-line-height',
+      property: '--ergonomic-line-height',
+      toCss: height => String(height / 100),
+    },
+    maxLineWidth: {
+      className: 'ergonomic-line-width',
+      property: '--ergonomic-line-width',
+      toCss: width => `${width}ch`,
+    },
+  };
+
+  // Class on <html> naming the theme the site is showing
+  const THEME_CLASSES = {
+    dark: 'ergonomic-theme-dark',
+    light: 'ergonomic-theme-light',
+  };
+
+  // Custom property on <html> holding the colour behind the conversation
+  const SURFACE_PROPERTY = '--ergonomic-surface';
+
+  // Attributes sites switch their theme with, on <html> or <body>
+  const THEME_ATTRIBUTES = ['class', 'style', 'data-theme', 'data-mode', 'data-color-scheme'];
+
+  // Class on <html> while reverseMessages keeps whole turns together
+  const REVERSE_TURNS_CLASS = 'ergonomic-reverse-turns';
+
+  // Marks message rows whose flex order was set for turn mode
+  const TURN_ORDER_ATTRIBUTE = 'data-ergonomic-turn-order';
+
+  // Class of the cards standing in for collapsed turns; their shadow roots
+  // keep site styles out
+  const TURN_CARD_CLASS = 'ergonomic-turn-card';
+
+  const TURN_CARD_STYLES = `
+    :host { display: block; margin: 4px 0; }
+    button {
+      display: flex;
+      gap: 8px;
+      align-items: center;
+      box-sizing: border-box;
+      width: 100%;
+      padding: 8px 12px;
+      border: 1px solid rgba(128, 128, 128, 0.3);
+      border-radius: 10px;
+      background: rgba(128, 128, 128, 0.08);
+      color: inherit;
+      font: 14px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      text-align: left;
+      cursor: pointer;
+    }
+    button:hover { background: rgba(128, 128, 128, 0.16); }
+    .prompt { flex: 1; min-width: 0; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+    .hint { flex: none; opacity: 0.7; font-size: 12px; }
+    :host([data-theme="light"]) button { color: #1f2937; }
+    :host([data-theme="dark"]) button { border-color: rgba(255, 255, 255, 0.18); color: #ececec; }
+  `;
+
+  // Attribute on overlay hosts naming the theme, for :host([data-theme]) rules
+  const OVERLAY_THEME_ATTRIBUTE = 'data-theme';
+
+  // Marks message rows hidden behind a turn card
+  const COLLAPSED_ATTRIBUTE = 'data-ergonomic-collapsed';
+
+  // Longest prompt text kept on a card; it is cut to one line anyway
+  const TURN_CARD_TEXT_LENGTH = 200;
+
+  // How far the newest answer may drift from the top and still count as
+  // pinned; a user scroll beyond this means they are reading history
+  const SCROLL_ANCHOR_TOLERANCE_PX = 48;
+
+  // Scroll events this soon after wheel, touch or key input are the user's
+  const USER_SCROLL_WINDOW_MS = 500;
+
+  // Keys that scroll the page when focus is not in a text field
+  const SCROLL_KEYS = ['ArrowUp', 'ArrowDown', 'PageUp', 'PageDown', 'Home', 'End', ' '];
+
+  // Registered adapters by id
+  const adapters = {};
+
+  // Observer keeping turn order current as messages stream in, per adapter id
+  const turnObservers = {};
+
+  // Turn card state while older turns are collapsed, per adapter id
+  const turnCards = {};
+
+  // Scroll anchoring state while chatboxTop and reverseMessages are on, per adapter id
+  const scrollAnchors = {};
+
+  // Health check currently polling, per adapter id
+  const healthChecks = {};
+
+  // Theme the site showed when last checked: 'dark' or 'light'
+  let currentTheme = null;
+
+  // Activity listeners while break reminders are on, or null
+  let activityTracker = null;
+
+  /**
+   * Get the class used for a feature on a given site
+   * @param {Object} adapter - Site adapter
+   * @param {string} feature - Feature key
+   * @returns {string}
+   */
+  function getFeatureClass(adapter, feature) {
+    return (adapter.classes && adapter.classes[feature]) || FEATURE_CLASSES[feature].className;
+  }
+
+  /**
+   * Apply CSS classes based on settings
+   * @param {Object} adapter - Site adapter
+   * @param {Object} settings - User settings object
+   */
+  function applySettings(adapter, settings) {
+    const html = document.documentElement;
+    const enabledFeatures = [];
+
+    FEATURES.forEach((feature) => {
+      const className = getFeatureClass(adapter, feature);
+      const enabled = adapter.features.includes(feature) && Boolean(settings[feature]);
+
+      html.classList.toggle(className, enabled);
+
+      if (enabled) {
+        enabledFeatures.push(feature);
+      }
+
+      if (adapter.features.includes(feature)) {
+        const { enabledMessage, disabledMessage } = FEATURE_CLASSES[feature];
+        console.log(LOG_PREFIX, `${adapter.name}:`, enabled ? enabledMessage : disabledMessage);
+      }
+    });
+
+    // Only the top composer can be lowered to eye level
+    if (enabledFeatures.includes('chatboxTop') && settings.composerOffset > 0) {
+      html.style.setProperty(COMPOSER_OFFSET_PROPERTY, `${settings.composerOffset}vh`);
+      console.log(LOG_PREFIX, `${adapter.name}: Composer ${settings.composerOffset}% down the screen ✅`);
+    } else {
+      html.style.removeProperty(COMPOSER_OFFSET_PROPERTY);
+    }
+
+    applyTypography(adapter, settings);
+    applyTheme(adapter);
+
+    const reverseTurns = enabledFeatures.includes('reverseMessages') && settings.reverseMode === 'turn';
+    if (reverseTurns) {
+      console.log(LOG_PREFIX, `${adapter.name}: Prompts kept with their replies ✅`);
+    }
+    updateTurnOrdering(adapter, reverseTurns);
+    updateTurnCards(adapter, enabledFeatures.includes('reverseMessages') ? settings.collapseTurns : 0);
+
+    updateScrollAnchoring(adapter,
+      enabledFeatures.includes('chatboxTop') && enabledFeatures.includes('reverseMessages'));
+
+    scheduleHealthCheck(adapter, enabledFeatures);
+  }
+
+  /**
+   * Find the rows of the messages container that hold messages
+   * Sites may wrap each message, so a row is the message's ancestor that
+   * is a direct child of the container (only those take part in flex order).
+   * Turn cards are never rows, even when the selector matches every child,
+   * as the element picker's does
+   * @param {Element} container - Messages container
+   * @param {string} messageSelector - Selector for messages
+   * @returns {Array<Element>} Rows in DOM order
+   */
+  function getMessageRows(container, messageSelector) {
+    const rows = [];
+
+    container.querySelectorAll(messageSelector).forEach((message) => {
+      let row = message;
+      while (row.parentElement && row.parentElement !== container) {
+        row = row.parentElement;
+      }
+
+      if (row.parentElement === container && !row.classList.contains(TURN_CARD_CLASS) && !rows.includes(row)) {
+        rows.push(row);
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * Group the rows of the messages container into turns, oldest first
+   * Without selectors.turnStart every row already is a whole turn
+   * @param {Object} selectors - Selectors of the active generation
+   * @returns {Object|null} { container, turns }, or null without a container
+   */
+  function getTurns(selectors) {
+    if (!selectors.messagesContainer || !selectors.message) {
+      return null;
+    }
+
+    const container = document.querySelector(selectors.messagesContainer);
+    if (!container) {
+      return null;
+    }
+
+    const turns = [];
+    getMessageRows(container, selectors.message).forEach((row) => {
+      const startsTurn = !selectors.turnStart ||
+        row.matches(selectors.turnStart) || row.querySelector(selectors.turnStart);
+      if (startsTurn || turns.length === 0) {
+        turns.push([]);
+      }
+      turns[turns.length - 1].push(row);
+    });
+
+    return { container, turns };
+  }
+
+  /**
+   * Order message rows so each prompt stays above its reply while turns
+   * run newest-first
+   * The container stays column-reverse from the site's reverse-messages
+   * CSS, which draws the lowest order at the bottom, so rows are numbered
+   * from the oldest turn up, last row of each turn first
+   * @param {Object} adapter - Site adapter
+   */
+  function applyTurnOrder(adapter) {
+    const generation = detectGeneration(adapter) || adapter.activeGeneration;
+    const selectors = generation ? generation.selectors : {};
+
+    // Without turnStart every message already is a whole turn
+    const found = selectors.turnStart ? getTurns(selectors) : null;
+    if (!found) {
+      return;
+    }
+
+    // Other children keep order 0, below every message like in message mode
+    let order = 1;
+    found.turns.forEach((turn) => {
+      turn.slice().reverse().forEach((row) => {
+        const value = String(order++);
+        if (row.style.order !== value) {
+          row.style.order = value;
+        }
+        row.setAttribute(TURN_ORDER_ATTRIBUTE, '');
+      });
+    });
+  }
+
+  /**
+   * Drop the flex order set for turn mode
+   */
+  function clearTurnOrder() {
+    document.querySelectorAll(`[${TURN_ORDER_ATTRIBUTE}]`).forEach((row) => {
+      row.style.order = '';
+      row.removeAttribute(TURN_ORDER_ATTRIBUTE);
+    });
+  }
+
+  /**
+   * Switch turn mode on or off, and keep the order current while it is on
+   * @param {Object} adapter - Site adapter
+   * @param {boolean} active - Whether turns should be kept together
+   */
+  function updateTurnOrdering(adapter, active) {
+    document.documentElement.classList.toggle(REVERSE_TURNS_CLASS, active);
+
+    if (!active) {
+      if (turnObservers[adapter.id]) {
+        turnObservers[adapter.id].disconnect();
+        delete turnObservers[adapter.id];
+      }
+      clearTurnOrder();
+      return;
+    }
+
+    applyTurnOrder(adapter);
+
+    if (turnObservers[adapter.id] || typeof MutationObserver === 'undefined') {
+      return;
+    }
+
+    // New turns and streamed replies add rows; renumber at most once a frame
+    let scheduled = false;
+    const observer = new MutationObserver(() => {
+      if (scheduled) return;
+
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        applyTurnOrder(adapter);
+      });
+    });
+
+    observer.observe(document.body || document.documentElement, { childList: true, subtree: true });
+    turnObservers[adapter.id] = observer;
+  }
+
+  /**
+   * Get the prompt text of a turn, on one line
+   * @param {Array<Element>} turn - Message rows of the turn
+   * @param {string} [promptSelector] - Adapter's selectors.prompt
+   * @returns {string}
+   */
+  function getPromptText(turn, promptSelector) {
+    const prompt = promptSelector && turn
+      .map(row => (row.matches(promptSelector) ? row : row.querySelector(promptSelector)))
+      .find(Boolean);
+
+    return (prompt || turn[0]).textContent.replace(/\s+/g, ' ').trim().slice(0, TURN_CARD_TEXT_LENGTH);
+  }
+
+  /**
+   * Build the card standing in for a collapsed turn
+   * @param {string} text - Prompt text of the turn
+   * @param {Function} onExpand - Called when the user opens the turn
+   * @returns {Element}
+   */
+  function createTurnCard(text, onExpand) {
+    const host = document.createElement('div');
+    host.className = TURN_CARD_CLASS;
+    host.setAttribute(OVERLAY_THEME_ATTRIBUTE, currentTheme || 'light');
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = TURN_CARD_STYLES;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.title = text;
+    button.setAttribute('aria-expanded', 'false');
+    button.addEventListener('click', onExpand);
+
+    const prompt = document.createElement('span');
+    prompt.className = 'prompt';
+    prompt.textContent = text || getMessage('turnCardPrompt');
+
+    const hint = document.createElement('span');
+    hint.className = 'hint';
+    hint.textContent = getMessage('turnCardShow');
+
+    button.append(prompt, hint);
+    shadow.append(style, button);
+
+    return host;
+  }
+
+  /**
+   * Hide or show a message row behind its turn's card
+   * @param {Element} row - Message row
+   * @param {boolean} collapsed - Whether the row should be hidden
+   */
+  function setRowCollapsed(row, collapsed) {
+    if (collapsed === row.hasAttribute(COLLAPSED_ATTRIBUTE)) {
+      return;
+    }
+
+    if (collapsed) {
+      row.setAttribute(COLLAPSED_ATTRIBUTE, '');
+      row.style.setProperty('display', 'none', 'important');
+    } else {
+      row.removeAttribute(COLLAPSED_ATTRIBUTE);
+      row.style.removeProperty('display');
+    }
+  }
+
+  /**
+   * Collapse every turn but the latest ones into cards
+   * Turns are told apart by page, position and prompt, not by element, so
+   * rows the site re-renders are hidden again and opened turns stay open.
+   * Runs after applyTurnOrder, whose flex order each card takes over from
+   * the first row of its turn
+   * @param {Object} adapter - Site adapter
+   * @param {Object} state - Turn card state
+   */
+  function applyTurnCards(adapter, state) {
+    const generation = detectGeneration(adapter) || adapter.activeGeneration;
+    const selectors = generation ? generation.selectors : {};
+    const found = getTurns(selectors);
+    const shown = new Set();
+
+    if (found) {
+      const { container, turns } = found;
+
+      turns.forEach((turn, index) => {
+        const text = getPromptText(turn, selectors.prompt);
+        const key = `${location.pathname}#${index}:${text}`;
+        const collapsed = index < turns.length - state.keepOpen && !state.expanded.has(key);
+
+        turn.forEach(row => setRowCollapsed(row, collapsed));
+        if (!collapsed) {
+          return;
+        }
+
+        let card = state.cards.get(key);
+        if (!card) {
+          card = createTurnCard(text, () => {
+            state.expanded.add(key);
+            applyTurnCards(adapter, state);
+          });
+          state.cards.set(key, card);
+        }
+
+        if (card.parentElement !== container || card.nextElementSibling !== turn[0]) {
+          container.insertBefore(card, turn[0]);
+        }
+        if (card.style.order !== turn[0].style.order) {
+          card.style.order = turn[0].style.order;
+        }
+        shown.add(key);
+      });
+    }
+
+    state.cards.forEach((card, key) => {
+      if (!shown.has(key)) {
+        card.remove();
+        state.cards.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Switch turn cards on or off, and keep them current while on
+   * @param {Object} adapter - Site adapter
+   * @param {number} keepOpen - Latest turns left open, 0 to open every turn
+   */
+  function updateTurnCards(adapter, keepOpen) {
+    let state = turnCards[adapter.id];
+
+    if (keepOpen <= 0) {
+      if (state) {
+        if (state.observer) {
+          state.observer.disconnect();
+        }
+        state.cards.forEach(card => card.remove());
+        delete turnCards[adapter.id];
+      }
+      document.querySelectorAll(`[${COLLAPSED_ATTRIBUTE}]`).forEach(row => setRowCollapsed(row, false));
+      return;
+    }
+
+    if (!state) {
+      state = { keepOpen, cards: new Map(), expanded: new Set(), observer: null };
+      turnCards[adapter.id] = state;
+      console.log(LOG_PREFIX, `${adapter.name}: Turns before the latest ${keepOpen} collapsed ✅`);
+
+      // Re-renders and new turns replace rows; catch up at most once a frame
+      if (typeof MutationObserver !== 'undefined') {
+        let scheduled = false;
+        state.observer = new MutationObserver(() => {
+          if (scheduled) return;
+
+          scheduled = true;
+          requestAnimationFrame(() => {
+            scheduled = false;
+            applyTurnCards(adapter, state);
+          });
+        });
+        state.observer.observe(document.body || document.documentElement, { childList: true, subtree: true });
+      }
+    }
+
+    state.keepOpen = keepOpen;
+    applyTurnCards(adapter, state);
+  }
+
+  /**
+   * Find the element that scrolls the conversation
+   * @param {Element} container - Messages container
+   * @returns {Element} Nearest scrollable ancestor, or the page's scrolling element
+   */
+  function findScroller(container) {
+    for (let element = container; element && element !== document.body; element = element.parentElement) {
+      const { overflowY } = getComputedStyle(element);
+      if ((overflowY === 'auto' || overflowY === 'scroll') && element.scrollHeight > element.clientHeight) {
+        return element;
+      }
+    }
+
+    return document.scrollingElement || document.documentElement;
+  }
+
+  /**
+   * Find the message to keep pinned and the element scrolling it
+   * That's the newest answer, or in turn mode the newest prompt so the
+   * answer streams in right below its question
+   * @param {Object} adapter - Site adapter
+   * @returns {Object|null} { anchor, scroller, composer }, or null without messages
+   */
+  function findScrollAnchor(adapter) {
+    const generation = detectGeneration(adapter) || adapter.activeGeneration;
+    const selectors = generation ? generation.selectors : {};
+
+    if (!selectors.messagesContainer || !selectors.message) {
+      return null;
+    }
+
+    const container = document.querySelector(selectors.messagesContainer);
+    const messages = container ? Array.from(container.querySelectorAll(selectors.message)) : [];
+    if (messages.length === 0) {
+      return null;
+    }
+
+    let anchor = messages[messages.length - 1];
+
+    if (selectors.turnStart && document.documentElement.classList.contains(REVERSE_TURNS_CLASS)) {
+      const prompts = messages.filter(message => (
+        message.matches(selectors.turnStart) || message.querySelector(selectors.turnStart)
+      ));
+      anchor = prompts[prompts.length - 1] || anchor;
+    }
+
+    const scroller = selectors.scroller ? document.querySelector(selectors.scroller) : null;
+
+    return {
+      anchor,
+      scroller: scroller || findScroller(container),
+      composer: selectors.composer ? document.querySelector(selectors.composer) : null,
+    };
+  }
+
+  /**
+   * Measure how far the anchor sits below the spot it is pinned to
+   * @param {Object} target - Result of findScrollAnchor
+   * @returns {number} Distance in pixels, negative when scrolled past it
+   */
+  function getAnchorOffset({ anchor, scroller, composer }) {
+    let pinTop = scroller === document.scrollingElement ? 0 : scroller.getBoundingClientRect().top;
+
+    // A sticky composer covering the top of the scroll area moves the spot down
+    if (composer) {
+      const rect = composer.getBoundingClientRect();
+      if (rect.top <= pinTop && rect.bottom > pinTop) {
+        pinTop = rect.bottom;
+      }
+    }
+
+    return anchor.getBoundingClientRect().top - pinTop;
+  }
+
+  /**
+   * Check whether the user is scrolling right now
+   * @param {Object} state - Scroll anchoring state
+   * @returns {boolean}
+   */
+  function isUserScrolling(state) {
+    return state.pointerDown || Date.now() - state.lastInputAt < USER_SCROLL_WINDOW_MS;
+  }
+
+  /**
+   * Scroll the newest answer back under the composer, unless the user
+   * has scrolled away from it
+   * @param {Object} adapter - Site adapter
+   * @param {Object} state - Scroll anchoring state
+   */
+  function pinScrollAnchor(adapter, state) {
+    const target = findScrollAnchor(adapter);
+    if (!target) {
+      return;
+    }
+
+    // A new message means the user just asked something, so follow it again
+    if (target.anchor !== state.anchor) {
+      state.anchor = target.anchor;
+      state.detached = false;
+    }
+
+    if (state.detached || isUserScrolling(state)) {
+      return;
+    }
+
+    const offset = getAnchorOffset(target);
+    if (Math.abs(offset) >= 1) {
+      target.scroller.scrollTop += offset;
+    }
+  }
+
+  /**
+   * Switch scroll anchoring on or off
+   * Streaming replies grow in place and sites scroll to the bottom as they
+   * do, which fights the reversed layout; every such change is undone
+   * unless it followed the user's own input
+   * @param {Object} adapter - Site adapter
+   * @param {boolean} active - Whether the newest answer should stay pinned
+   */
+  function updateScrollAnchoring(adapter, active) {
+    const existing = scrollAnchors[adapter.id];
+
+    if (!active) {
+      if (existing) {
+        existing.stop();
+        delete scrollAnchors[adapter.id];
+      }
+      return;
+    }
+
+    if (existing) {
+      existing.schedule();
+      return;
+    }
+
+    if (typeof MutationObserver === 'undefined') {
+      return;
+    }
+
+    const state = {
+      anchor: null,
+      detached: false,
+      lastInputAt: 0,
+      pointerDown: false,
+    };
+
+    let scheduled = false;
+    state.schedule = () => {
+      if (scheduled) return;
+
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        if (scrollAnchors[adapter.id] === state) {
+          pinScrollAnchor(adapter, state);
+        }
+      });
+    };
+
+    const noteInput = () => {
+      state.lastInputAt = Date.now();
+    };
+
+    const handleKeydown = (event) => {
+      const target = event.target;
+      const typing = target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+
+      if (!typing && SCROLL_KEYS.includes(event.key)) {
+        noteInput();
+      }
+    };
+
+    const handlePointerDown = () => {
+      state.pointerDown = true;
+      noteInput();
+    };
+
+    const handlePointerUp = () => {
+      state.pointerDown = false;
+    };
+
+    const handleScroll = () => {
+      if (!isUserScrolling(state)) {
+        state.schedule();
+        return;
+      }
+
+      // Follow the answer again once the user scrolls back up to it
+      const target = findScrollAnchor(adapter);
+      if (target) {
+        state.anchor = target.anchor;
+        state.detached = Math.abs(getAnchorOffset(target)) > SCROLL_ANCHOR_TOLERANCE_PX;
+      }
+    };
+
+    const listeners = {
+      wheel: noteInput,
+      touchmove: noteInput,
+      keydown: handleKeydown,
+      pointerdown: handlePointerDown,
+      pointerup: handlePointerUp,
+      scroll: handleScroll,
+    };
+
+    // Scroll events don't bubble, so listen while they are captured
+    Object.keys(listeners).forEach((type) => {
+      document.addEventListener(type, listeners[type], { capture: true, passive: true });
+    });
+
+    const observer = new MutationObserver(state.schedule);
+    observer.observe(document.body || document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+    });
+
+    state.stop = () => {
+      observer.disconnect();
+      Object.keys(listeners).forEach((type) => {
+        document.removeEventListener(type, listeners[type], { capture: true });
+      });
+    };
+
+    scrollAnchors[adapter.id] = state;
+    console.log(LOG_PREFIX, `${adapter.name}: Newest answer pinned while streaming ✅`);
+    state.schedule();
+  }
+
+  /**
+   * Set or clear the class and custom property of each reading comfort setting
+   * @param {Object} adapter - Site adapter
+   * @param {Object|null} settings - User settings object, or null to clear all
+   */
+  function applyTypography(adapter, settings) {
+    const html = document.documentElement;
+    const changed = [];
+
+    Object.keys(TYPOGRAPHY_CLASSES).forEach((key) => {
+      const { className, property, toCss } = TYPOGRAPHY_CLASSES[key];
+      const active = Boolean(settings) && settings[key] !== DEFAULT_SETTINGS[key];
+
+      html.classList.toggle(className, active);
+      if (active) {
+        html.style.setProperty(property, toCss(settings[key]));
+        changed.push(`${key} ${settings[key]}`);
+      } else {
+        html.style.removeProperty(property);
+      }
+    });
+
+    if (changed.length > 0) {
+      console.log(LOG_PREFIX, `${adapter.name}: Message text adjusted (${changed.join(', ')}) ✅`);
+    }
+  }
+
+  /**
+   * Read a computed colour
+   * @param {string} value - Computed colour, e.g. rgba(33, 33, 33, 0.5)
+   * @returns {Object|null} { red, green, blue, alpha }, or null when not rgb()
+   */
+  function parseColor(value) {
+    const match = /^rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)$/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+
+    return {
+      red: Number(match[1]),
+      green: Number(match[2]),
+      blue: Number(match[3]),
+      alpha: match[4] === undefined ? 1 : Number(match[4]),
+    };
+  }
+
+  /**
+   * Work out the theme the site is showing
+   * Goes by the colour behind the conversation, since that is what the user
+   * sees whatever the site calls its themes. While everything is still
+   * transparent, the page's color-scheme and then the system setting decide
+   * @param {Object} adapter - Site adapter
+   * @returns {Object} { theme: 'dark' or 'light', surface: colour or null }
+   */
+  function detectTheme(adapter) {
+    const generation = detectGeneration(adapter) || adapter.activeGeneration;
+    const selectors = generation ? generation.selectors : {};
+    let element = (selectors.composerParent && document.querySelector(selectors.composerParent)) ||
+      document.body;
+
+    for (; element; element = element.parentElement) {
+      const color = parseColor(getComputedStyle(element).backgroundColor);
+      if (color && color.alpha >= 0.5) {
+        const luminance = (0.2126 * color.red + 0.7152 * color.green + 0.0722 * color.blue) / 255;
+        return {
+          theme: luminance < 0.5 ? 'dark' : 'light',
+          surface: `rgb(${color.red}, ${color.green}, ${color.blue})`,
+        };
+      }
+    }
+
+    const scheme = getComputedStyle(document.documentElement).colorScheme || '';
+    if (scheme.includes('dark') !== scheme.includes('light')) {
+      return { theme: scheme.includes('dark') ? 'dark' : 'light', surface: null };
+    }
+
+    const prefersDark = typeof root.matchMedia === 'function' &&
+      root.matchMedia('(prefers-color-scheme: dark)').matches;
+    return { theme: prefersDark ? 'dark' : 'light', surface: null };
+  }
+
+  /**
+   * Mark the site's current theme on <html> and the extension's overlays
+   * Writes only what changed, since its own writes wake the theme observer
+   * @param {Object} adapter - Site adapter
+   */
+  function applyTheme(adapter) {
+    const html = document.documentElement;
+    const { theme, surface } = detectTheme(adapter);
+
+    Object.keys(THEME_CLASSES).forEach((name) => {
+      if (html.classList.contains(THEME_CLASSES[name]) !== (name === theme)) {
+        html.classList.toggle(THEME_CLASSES[name], name === theme);
+      }
+    });
+
+    if (!surface) {
+      html.style.removeProperty(SURFACE_PROPERTY);
+    } else if (html.style.getPropertyValue(SURFACE_PROPERTY) !== surface) {
+      html.style.setProperty(SURFACE_PROPERTY, surface);
+    }
+
+    document.querySelectorAll(`#${BREAK_BANNER_ID}, .${TURN_CARD_CLASS}`).forEach((host) => {
+      if (host.getAttribute(OVERLAY_THEME_ATTRIBUTE) !== theme) {
+        host.setAttribute(OVERLAY_THEME_ATTRIBUTE, theme);
+      }
+    });
+
+    if (theme !== currentTheme) {
+      currentTheme = theme;
+      console.log(LOG_PREFIX, `${adapter.name}: ${theme} theme`);
+    }
+  }
+
+  /**
+   * Follow the site's theme as it changes
+   * Sites switch themes through attributes on <html> or <body>, or follow
+   * the system setting
+   * @param {Object} adapter - Site adapter
+   */
+  function setupThemeListener(adapter) {
+    let scheduled = false;
+    const schedule = () => {
+      if (scheduled) return;
+
+      scheduled = true;
+      requestAnimationFrame(() => {
+        scheduled = false;
+        applyTheme(adapter);
+      });
+    };
+
+    if (typeof MutationObserver !== 'undefined') {
+      const observer = new MutationObserver(schedule);
+      [document.documentElement, document.body].filter(Boolean).forEach((element) => {
+        observer.observe(element, { attributes: true, attributeFilter: THEME_ATTRIBUTES });
+      });
+    }
+
+    if (typeof root.matchMedia === 'function') {
+      const query = root.matchMedia('(prefers-color-scheme: dark)');
+      if (typeof query.addEventListener === 'function') {
+        query.addEventListener('change', schedule);
+      }
+    }
+
+    applyTheme(adapter);
+  }
+
+  /**
+   * Remove every feature class, leaving the site's own layout untouched
+   * @param {Object} adapter - Site adapter
+   */
+  function removeAllClasses(adapter) {
+    const html = document.documentElement;
+
+    FEATURES.forEach((feature) => {
+      html.classList.remove(getFeatureClass(adapter, feature));
+    });
+    html.style.removeProperty(COMPOSER_OFFSET_PROPERTY);
+    applyTypography(adapter, null);
+
+    updateTurnOrdering(adapter, false);
+    updateTurnCards(adapter, 0);
+    updateScrollAnchoring(adapter, false);
+  }
+
+  /**
+   * Find the first DOM generation that matches the live page
+   * @param {Object} adapter - Site adapter
+   * @returns {Object|null} Matching generation, or null if none matched yet
+   */
+  function detectGeneration(adapter) {
+    const detected = adapter.generations.find(generation => (
+      !generation.detect || document.querySelector(generation.detect)
+    ));
+    if (detected) {
+      return detected;
+    }
+
+    // Overrides are for markup the adapter no longer recognises, so they
+    // stand in for the newest generation
+    return Object.keys(adapter.selectorOverrides).length > 0 ? adapter.generations[0] : null;
+  }
+
+  /**
+   * Make a generation the active one, so its selectors are used and its
+   * generation-scoped CSS applies
+   * @param {Object} adapter - Site adapter
+   * @param {Object} generation - Generation that matched
+   */
+  function activateGeneration(adapter, generation) {
+    if (adapter.activeGeneration !== generation) {
+      console.log(LOG_PREFIX, `${adapter.name}: using ${generation.name} layout`);
+    }
+
+    adapter.activeGeneration = generation;
+    adapter.selectors = generation.selectors;
+    document.documentElement.setAttribute(LAYOUT_ATTRIBUTE, generation.name);
+  }
+
+  /**
+   * Build the layout rules for overridden containers, or generated ones
+   * @param {Object} adapter - Site adapter
+   * @param {Object} selectors - Selectors by name: the overridden ones, or all of a generated layout
+   * @returns {Array<string>} CSS rules
+   */
+  function buildOverrideRules(adapter, selectors) {
+    return Object.keys(OVERRIDE_RULES)
+      .filter(name => selectors[name] && adapter.features.includes(OVERRIDE_RULES[name].feature))
+      .map((name) => {
+        const { feature, declarations } = OVERRIDE_RULES[name];
+        return `html.${getFeatureClass(adapter, feature)} :is(${selectors[name]}) { ${declarations} }`;
+      });
+  }
+
+  /**
+   * Write the override stylesheet, or remove it when there is nothing to add
+   * @param {Object} adapter - Site adapter
+   * @param {Object} selectors - Selectors by name to repeat the layout rules for
+   * @param {string} css - The user's custom CSS for the site
+   */
+  function updateOverrideStyles(adapter, selectors, css) {
+    const rules = buildOverrideRules(adapter, selectors);
+    if (css) {
+      rules.push(css);
+    }
+
+    let style = document.getElementById(OVERRIDE_STYLE_ID);
+    if (rules.length === 0) {
+      if (style) {
+        style.remove();
+      }
+      return;
+    }
+
+    if (!style) {
+      style = document.createElement('style');
+      style.id = OVERRIDE_STYLE_ID;
+    }
+    style.textContent = rules.join('\n');
+
+    // Last in the document, so it wins over the site's and the extension's CSS
+    (document.head || document.documentElement).appendChild(style);
+  }
+
+  /**
+   * Use the user's selectors in place of the adapter's, and add their CSS
+   * Selectors the browser rejects are left out, so a typo can't break the core
+   * @param {Object} adapter - Site adapter
+   * @param {Object|null} overrides - From resolveSiteOverrides(), null for none
+   */
+  function applySiteOverrides(adapter, overrides) {
+    const selectors = {};
+    Object.keys((overrides && overrides.selectors) || {}).forEach((name) => {
+      const selector = overrides.selectors[name];
+      if (countMatches(selector) === null) {
+        console.warn(LOG_PREFIX, `${adapter.name}: ignoring invalid ${name} selector ${selector}`);
+        return;
+      }
+      selectors[name] = selector;
+    });
+
+    if (Object.keys(selectors).length > 0 || (overrides && overrides.css)) {
+      console.log(LOG_PREFIX, `${adapter.name}: using your overrides for`,
+        Object.keys(selectors).join(', ') || 'custom CSS only');
+    }
+
+    adapter.selectorOverrides = selectors;
+    adapter.customCss = overrides ? overrides.css : '';
+    adapter.generations = adapter.defaultGenerations.map(generation => ({
+      ...generation,
+      selectors: { ...generation.selectors, ...selectors },
+    }));
+
+    // Stay on the layout that matched, now with the new selectors
+    if (adapter.activeGeneration) {
+      const generation = adapter.generations.find(entry => entry.name === adapter.activeGeneration.name);
+      adapter.activeGeneration = generation;
+      adapter.selectors = generation.selectors;
+    }
+
+    // Without a stylesheet of its own, the whole layout comes from the core
+    const layoutSelectors = adapter.generatedLayout ? adapter.generations[0].selectors : selectors;
+    updateOverrideStyles(adapter, layoutSelectors, adapter.customCss);
+  }
+
+  /**
+   * Check that the containers the enabled features rely on exist and that
+   * the composer ended up on-screen
+   * @param {Object} selectors - Selectors of the active generation
+   * @param {Array<string>} features - Enabled features
+   * @returns {string|null} Code of the problem, or null if healthy
+   */
+  function findLayoutProblem(selectors, features) {
+    const query = selector => (selector ? document.querySelector(selector) : null);
+
+    if (features.includes('chatboxTop')) {
+      if (!query(selectors.composerParent)) {
+        return 'composer-parent-missing';
+      }
+
+      const composer = query(selectors.composer);
+      if (!composer) {
+        return 'composer-missing';
+      }
+
+      const rect = composer.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0 ||
+          rect.bottom <= 0 || rect.top >= window.innerHeight) {
+        return 'composer-off-screen';
+      }
+    }
+
+    // A new, empty chat has no messages container yet, which is fine
+    if (features.includes('reverseMessages') &&
+        query(selectors.message) && !query(selectors.messagesContainer)) {
+      return 'messages-container-missing';
+    }
+
+    return null;
+  }
+
+  /**
+   * Record the health check result where the popup can read it
+   * @param {Object} adapter - Site adapter
+   * @param {string|null} problem - Code of the problem found, or null if healthy
+   */
+  function recordLayoutStatus(adapter, problem) {
+    if (!browserApi.isAvailable('storage')) {
+      return;
+    }
+
+    browserApi.storage.get('local', { [LAYOUT_STATUS_KEY]: {} }).then((items) => {
+      const statuses = items[LAYOUT_STATUS_KEY] || {};
+      statuses[adapter.id] = {
+        name: adapter.name,
+        supported: !problem,
+        reason: problem,
+        checkedAt: Date.now(),
+      };
+
+      return browserApi.storage.set('local', { [LAYOUT_STATUS_KEY]: statuses });
+    }).catch((error) => {
+      console.error(LOG_PREFIX, 'Error saving layout status:', error);
+    });
+  }
+
+  /**
+   * Detect the DOM generation and verify the layout after classes were applied
+   * Polls until the page looks right or the timeout passes; on timeout the
+   * classes are removed so a changed site stays usable. With no features
+   * enabled it only waits for a generation to match.
+   * @param {Object} adapter - Site adapter
+   * @param {Array<string>} features - Enabled features
+   */
+  function scheduleHealthCheck(adapter, features) {
+    clearTimeout(healthChecks[adapter.id]);
+    delete healthChecks[adapter.id];
+
+    const startedAt = Date.now();
+
+    const check = () => {
+      // Once a generation matched, stick with it while the page re-renders
+      const generation = detectGeneration(adapter) || adapter.activeGeneration;
+      if (generation) {
+        activateGeneration(adapter, generation);
+      }
+
+      if (generation && features.length === 0) {
+        delete healthChecks[adapter.id];
+        return;
+      }
+
+      const problem = generation ?
+        findLayoutProblem(generation.selectors, features) :
+        'no-layout';
+
+      if (!problem) {
+        delete healthChecks[adapter.id];
+        recordLayoutStatus(adapter, null);
+        return;
+      }
+
+      if (Date.now() - startedAt >= HEALTH_CHECK_TIMEOUT_MS) {
+        delete healthChecks[adapter.id];
+
+        // Nothing is applied, so there is nothing to back out of or report
+        if (features.length === 0) {
+          return;
+        }
+
+        console.warn(LOG_PREFIX, `${adapter.name}: layout unsupported (${problem}), removing ergonomic classes`);
+        removeAllClasses(adapter);
+        recordLayoutStatus(adapter, problem);
+        return;
+      }
+
+      healthChecks[adapter.id] = setTimeout(check, HEALTH_CHECK_INTERVAL_MS);
+    };
+
+    // Let the browser apply the new classes before measuring
+    healthChecks[adapter.id] = setTimeout(check, 0);
+  }
+
+  /**
+   * Tell the background worker about activity in a visible tab
+   * @param {Object} tracker - State of updateActivityTracking
+   */
+  function reportActivity(tracker) {
+    const now = Date.now();
+    if (document.visibilityState !== 'visible' || now - tracker.lastPingAt < ACTIVITY_PING_INTERVAL_MS) {
+      return;
+    }
+
+    tracker.lastPingAt = now;
+    browserApi.runtime.sendMessage({ type: ACTIVITY_MESSAGE }).catch((error) => {
+      // The worker may be restarting; the next ping catches up
+      console.warn(LOG_PREFIX, 'Could not report activity:', error.message);
+    });
+  }
+
+  /**
+   * Start or stop reporting activity for break reminders
+   * @param {boolean} active - Whether break reminders are on
+   */
+  function updateActivityTracking(active) {
+    if (!active) {
+      if (activityTracker) {
+        activityTracker.stop();
+        activityTracker = null;
+      }
+      return;
+    }
+
+    if (activityTracker || !browserApi.isAvailable('runtime')) {
+      return;
+    }
+
+    const tracker = { lastPingAt: 0 };
+    const handleActivity = () => reportActivity(tracker);
+
+    ACTIVITY_EVENTS.forEach((type) => {
+      document.addEventListener(type, handleActivity, { capture: true, passive: true });
+    });
+
+    tracker.stop = () => {
+      ACTIVITY_EVENTS.forEach((type) => {
+        document.removeEventListener(type, handleActivity, { capture: true });
+      });
+    };
+
+    activityTracker = tracker;
+  }
+
+  /**
+   * Ask the background worker to snooze or skip break reminders
+   * @param {string} action - 'snooze' or 'skip'
+   */
+  function sendBreakAction(action) {
+    browserApi.runtime.sendMessage({ type: BREAK_ACTION_MESSAGE, action }).catch((error) => {
+      console.warn(LOG_PREFIX, 'Could not update break reminder:', error.message);
+    });
+  }
+
+  /**
+   * Show the break reminder banner, replacing any earlier one
+   * @param {number} minutes - Minutes of chatting since the last break
+   * @returns {boolean} Whether the banner is showing
+   */
+  function showBreakBanner(minutes) {
+    const existing = document.getElementById(BREAK_BANNER_ID);
+    if (existing) {
+      existing.remove();
+    }
+
+    if (!document.body) {
+      return false;
+    }
+
+    const host = document.createElement('div');
+    host.id = BREAK_BANNER_ID;
+    host.setAttribute(OVERLAY_THEME_ATTRIBUTE, currentTheme || 'light');
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = BREAK_BANNER_STYLES;
+
+    const banner = document.createElement('div');
+    banner.className = 'banner';
+    banner.setAttribute('role', 'alertdialog');
+    banner.setAttribute('aria-labelledby', 'break-title');
+    banner.setAttribute('aria-describedby', 'break-text');
+
+    const title = document.createElement('p');
+    title.className = 'title';
+    title.id = 'break-title';
+    title.textContent = getMessage('breakTitle');
+
+    const text = document.createElement('p');
+    text.className = 'text';
+    text.id = 'break-text';
+    text.textContent = getMessage('breakMessage', String(minutes));
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+
+    [
+      { action: 'snooze', label: getMessage('breakSnooze', String(BREAK_SNOOZE_MINUTES)) },
+      { action: 'skip', label: getMessage('breakSkipToday') },
+      { action: 'dismiss', label: getMessage('breakDone'), primary: true },
+    ].forEach(({ action, label, primary }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.action = action;
+      button.textContent = label;
+      if (primary) {
+        button.className = 'primary';
+      }
+      button.addEventListener('click', () => {
+        host.remove();
+        if (action !== 'dismiss') {
+          sendBreakAction(action);
+        }
+      });
+      actions.appendChild(button);
+    });
+
+    banner.append(title, text, actions);
+    shadow.append(style, banner);
+    document.body.appendChild(host);
+
+    return true;
+  }
+
+  /**
+   * Load settings from storage and apply them
+   * @param {Object} adapter - Site adapter
+   */
+  function loadAndApplySettings(adapter) {
+    // Check if extension storage is available
+    if (!browserApi.isAvailable('storage')) {
+      console.warn(LOG_PREFIX, 'Extension storage not available, using defaults');
+      applySettings(adapter, DEFAULT_SETTINGS);
+      return;
+    }
+
+    Promise.all([
+      browserApi.storage.get('sync', STORAGE_DEFAULTS),
+      browserApi.storage.get('local', { [SITE_OVERRIDES_KEY]: {} }),
+    ]).then(([items, localItems]) => {
+      const settings = resolveSettings(items, adapter.id, location.href);
+      console.log(LOG_PREFIX, `Settings loaded for ${adapter.name}:`, settings);
+
+      // A preview from the popup stands in for the saved overrides, and a
+      // switched-off site gets neither
+      const overrides = adapter.previewOverrides !== undefined ?
+        adapter.previewOverrides :
+        resolveSiteOverrides(localItems[SITE_OVERRIDES_KEY], adapter.id);
+      applySiteOverrides(adapter, isSiteEnabled(items, adapter.id) ? overrides : null);
+      applySettings(adapter, settings);
+
+      // Breaks are about the person, so they count on every supported site
+      updateActivityTracking(resolveBreakReminders(items).enabled);
+    }, (error) => {
+      console.error(LOG_PREFIX, 'Error loading settings:', error);
+      applySettings(adapter, DEFAULT_SETTINGS);
+    });
+  }
+
+  /**
+   * Listen for settings changes and reapply
+   * @param {Object} adapter - Site adapter
+   */
+  function setupStorageListener(adapter) {
+    if (!browserApi.isAvailable('storage')) {
+      return;
+    }
+
+    browserApi.storage.onChanged((changes, areaName) => {
+      const overridesChanged = areaName === 'local' && changes[SITE_OVERRIDES_KEY];
+      if (areaName !== 'sync' && !overridesChanged) return;
+
+      console.log(LOG_PREFIX, 'Settings changed:', changes);
+
+      // Get current full settings
+      loadAndApplySettings(adapter);
+    });
+  }
+
+  /**
+   * Reapply settings whenever the single-page app changes its URL
+   * @param {Object} adapter - Site adapter
+   */
+  function setupNavigationListener(adapter) {
+    let lastUrl = location.href;
+
+    const handleNavigation = () => {
+      if (location.href === lastUrl) return;
+
+      lastUrl = location.href;
+      console.log(LOG_PREFIX, `${adapter.name}: navigated to ${location.pathname}`);
+      loadAndApplySettings(adapter);
+    };
+
+    // pushState from the page is invisible to content scripts, but the
+    // Navigation API reports every same-document navigation
+    if (root.navigation && typeof root.navigation.addEventListener === 'function') {
+      root.navigation.addEventListener('currententrychange', handleNavigation);
+    } else {
+      setInterval(handleNavigation, NAVIGATION_POLL_INTERVAL_MS);
+    }
+
+    root.addEventListener('popstate', handleNavigation);
+  }
+
+  /**
+   * Move keyboard focus into the site's chat input
+   * @param {Object} adapter - Site adapter
+   * @returns {boolean} Whether an input was found and focused
+   */
+  function focusComposer(adapter) {
+    const generation = detectGeneration(adapter) || adapter.activeGeneration;
+    const selector = generation && generation.selectors.composerInput;
+    const input = selector ? document.querySelector(selector) : null;
+
+    if (!input) {
+      console.warn(LOG_PREFIX, `${adapter.name}: composer input not found`);
+      return false;
+    }
+
+    input.scrollIntoView({ block: 'nearest' });
+    input.focus();
+    return true;
+  }
+
+  /**
+   * Count the elements a selector matches
+   * @param {string} selector - CSS selector
+   * @returns {number|null} Number of matches, or null if the browser rejects the selector
+   */
+  function countMatches(selector) {
+    try {
+      return document.querySelectorAll(selector).length;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Measure where the composer sits relative to the first message
+   * @param {Object} selectors - Selectors of the generation in use
+   * @returns {Object|null} Rounded viewport positions, or null without a composer
+   */
+  function getComposerPosition(selectors) {
+    const query = selector => (selector ? document.querySelector(selector) : null);
+    const composer = query(selectors.composer);
+    if (!composer) {
+      return null;
+    }
+
+    const composerTop = Math.round(composer.getBoundingClientRect().top);
+    const firstMessage = query(selectors.message);
+    const firstMessageTop = firstMessage ? Math.round(firstMessage.getBoundingClientRect().top) : null;
+
+    return {
+      composerTop,
+      firstMessageTop,
+      composerBeforeMessages: firstMessageTop === null ? null : composerTop < firstMessageTop,
+      viewportHeight: window.innerHeight,
+    };
+  }
+
+  /**
+   * Describe what the core sees on this page, for the popup's diagnostics report
+   * Selectors are those of the generation in use, or of the newest one when
+   * none has matched yet, with the user's overrides in place
+   * @param {Object} adapter - Site adapter
+   * @returns {Object} Plain data that survives messaging
+   */
+  function getDiagnostics(adapter) {
+    const html = document.documentElement;
+    const generation = adapter.activeGeneration || adapter.generations[0];
+    const builtIn = adapter.defaultGenerations.find(entry => entry.name === generation.name).selectors;
+    const appliedFeatures = adapter.features.filter(feature => (
+      html.classList.contains(getFeatureClass(adapter, feature))
+    ));
+
+    const customProperties = {};
+    Array.from(html.style)
+      .filter(property => property.startsWith(CUSTOM_PROPERTY_PREFIX))
+      .forEach((property) => {
+        customProperties[property] = html.style.getPropertyValue(property).trim();
+      });
+
+    return {
+      site: { id: adapter.id, name: adapter.name },
+      page: location.origin + location.pathname,
+      layout: adapter.activeGeneration ? adapter.activeGeneration.name : null,
+      generations: adapter.generations.map(entry => ({
+        name: entry.name,
+        detected: !entry.detect || countMatches(entry.detect) > 0,
+      })),
+      selectors: Object.keys(generation.selectors).map(name => ({
+        name,
+        selector: generation.selectors[name],
+        builtIn: builtIn[name] || null,
+        overridden: name in adapter.selectorOverrides,
+        count: countMatches(generation.selectors[name]),
+      })),
+      customCss: Boolean(adapter.customCss),
+      preview: adapter.previewOverrides !== undefined,
+      htmlClasses: Array.from(html.classList),
+      customProperties,
+      composer: getComposerPosition(generation.selectors),
+      problem: findLayoutProblem(generation.selectors, appliedFeatures),
+    };
+  }
+
+  /**
+   * Answer messages from the background service worker and the popup
+   * @param {Object} adapter - Site adapter
+   */
+  function setupMessageListener(adapter) {
+    if (!browserApi.isAvailable('runtime')) {
+      return;
+    }
+
+    browserApi.runtime.onMessage((message) => {
+      if (!message) return undefined;
+
+      if (message.type === FOCUS_COMPOSER_MESSAGE) {
+        return { focused: focusComposer(adapter) };
+      }
+      if (message.type === SHOW_BREAK_BANNER_MESSAGE) {
+        return { shown: showBreakBanner(message.minutes) };
+      }
+      if (message.type === DIAGNOSE_MESSAGE) {
+        return getDiagnostics(adapter);
+      }
+      return undefined;
+    });
+  }
+
+  /**
+   * Preview overrides the popup sends, until it closes
+   * Each message holds the overrides as the popup would store them; closing
+   * the port goes back to the saved ones
+   * @param {Object} adapter - Site adapter
+   */
+  function setupOverridePreview(adapter) {
+    if (!browserApi.isAvailable('runtime')) {
+      return;
+    }
+
+    browserApi.runtime.onConnect((port) => {
+      if (port.name !== OVERRIDE_PREVIEW_PORT) return;
+
+      port.onMessage.addListener((message) => {
+        adapter.previewOverrides = resolveSiteOverrides({ [adapter.id]: message.overrides }, adapter.id);
+        loadAndApplySettings(adapter);
+      });
+
+      port.onDisconnect.addListener(() => {
+        console.log(LOG_PREFIX, `${adapter.name}: preview ended`);
+        adapter.previewOverrides = undefined;
+        loadAndApplySettings(adapter);
+      });
+    });
+  }
+
+  /**
+   * Start the core for an adapter once the DOM is ready
+   * @param {Object} adapter - Site adapter
+   */
+  function start(adapter) {
+    console.log(LOG_PREFIX, `Content script loaded for ${adapter.name}`);
+
+    const init = () => {
+      loadAndApplySettings(adapter);
+      setupStorageListener(adapter);
+      setupNavigationListener(adapter);
+      setupMessageListener(adapter);
+      setupOverridePreview(adapter);
+      setupThemeListener(adapter);
+    };
+
+    // Apply settings immediately if DOM is ready
+    if (document.documentElement) {
+      init();
+    } else {
+      // Wait for DOM
+      document.addEventListener('DOMContentLoaded', init);
+    }
+  }
+
+  /**
+   * Register a site adapter and start applying settings for it
+   * @param {Object} adapter - Site adapter (see shape above)
+   * @returns {Object} The registered adapter
+   */
+  function registerAdapter(adapter) {
+    if (!adapter || !adapter.id || !Array.isArray(adapter.features)) {
+      throw new Error(`${LOG_PREFIX} Adapters need an id and a features list`);
+    }
+
+    const unknown = adapter.features.filter(feature => !FEATURES.includes(feature));
+    if (unknown.length > 0) {
+      throw new Error(`${LOG_PREFIX} ${adapter.id} declares unknown features: ${unknown.join(', ')}`);
+    }
+
+    if (adapters[adapter.id]) {
+      console.warn(LOG_PREFIX, `Adapter ${adapter.id} already registered`);
+      return adapters[adapter.id];
+    }
+
+    const generations = adapter.generations ||
+      [{ name: 'default', detect: null, selectors: adapter.selectors || {} }];
+
+    if (!Array.isArray(generations) || generations.length === 0 ||
+        generations.some(generation => !generation.name || !generation.selectors)) {
+      throw new Error(`${LOG_PREFIX} ${adapter.id} needs generations with a name and selectors`);
+    }
+
+    adapters[adapter.id] = {
+      name: adapter.id,
+      ...adapter,
+      generations,
+      defaultGenerations: generations,
+      activeGeneration: null,
+      selectors: {},
+      selectorOverrides: {},
+      customCss: '',
+      previewOverrides: undefined,
+    };
+
+    start(adapters[adapter.id]);
+    return adapters[adapter.id];
+  }
+
+  /**
+   * Look up a registered adapter
+   * @param {string} id - Adapter id
+   * @returns {Object|undefined}
+   */
+  function getAdapter(id) {
+    return adapters[id];
+  }
+
+  ErgonomicGPT.core = {
+    registerAdapter,
+    getAdapter,
+  };
+})(globalThis);
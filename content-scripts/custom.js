@@ -0,0 +1,40 @@
+/**
+ * ErgonomicGPT - Custom Site Content Script
+ *
+ * Registers an adapter for a chat site the user added themselves, e.g. an
+ * internal or self-hosted frontend. It isn't listed in manifest.json:
+ * background/custom-sites.js registers it at runtime for each origin the
+ * user granted, and the element picker (content-scripts/picker.js) stores
+ * the selectors it uses in chrome.storage.local under customSites.
+ *
+ * There is no stylesheet for these sites; the core generates the layout
+ * rules from the picked containers (generatedLayout)
+ */
+
+(function() {
+  'use strict';
+
+  const { CUSTOM_SITES_KEY, findCustomSiteByUrl } = ErgonomicGPT.settings;
+  const { browserApi } = ErgonomicGPT;
+
+  const LOG_PREFIX = '[ErgonomicGPT]';
+
+  browserApi.storage.get('local', { [CUSTOM_SITES_KEY]: {} }).then((items) => {
+    const site = findCustomSiteByUrl(items[CUSTOM_SITES_KEY], location.href);
+    if (!site) {
+      // Removed since the script was registered
+      console.warn(LOG_PREFIX, `No custom site stored for ${location.origin}`);
+      return;
+    }
+
+    ErgonomicGPT.core.registerAdapter({
+      id: site.id,
+      name: site.name,
+      features: ['chatboxTop', 'reverseMessages'],
+      generatedLayout: true,
+      selectors: site.selectors,
+    });
+  }, (error) => {
+    console.error(LOG_PREFIX, 'Error loading custom sites:', error);
+  });
+})();
@@ -1,10 +1,28 @@
-// ErgonomicGPT - Gemini Layout Reversal
-// Coming in Phase 2
+/**
+ * ErgonomicGPT - Gemini Content Script
+ *
+ * Registers the Gemini adapter with the shared core (content-scripts/core.js),
+ * which toggles these classes on <html> from the synced settings:
+ * - ergonomic-chatbox-top: Moves chat input to top
+ * - ergonomic-reverse-messages: Reverses turn order (newest first)
+ *
+ * Layout rules live in styles/gemini.css
+ */
 
 (function() {
   'use strict';
 
-  console.log('[ErgonomicGPT] Extension loaded for Gemini (Phase 2 - Coming Soon)');
-
-  // TODO: Implement Gemini-specific reversal logic
+  ErgonomicGPT.core.registerAdapter({
+    id: 'gemini',
+    name: 'Gemini',
+    features: ['chatboxTop', 'reverseMessages'],
+    selectors: {
+      composerParent: 'chat-window div.chat-container',
+      composer: 'input-container',
+      composerInput: 'rich-textarea .ql-editor[contenteditable="true"]',
+      messagesContainer: 'infinite-scroller.chat-history',
+      message: 'div.conversation-container',
+      prompt: 'user-query .query-text',
+    },
+  });
 })();
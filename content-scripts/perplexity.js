@@ -1,10 +1,28 @@
-// ErgonomicGPT - Perplexity Layout Reversal
-// Coming in Phase 2
+/**
+ * ErgonomicGPT - Perplexity Content Script
+ *
+ * Registers the Perplexity adapter with the shared core (content-scripts/core.js),
+ * which toggles these classes on <html> from the synced settings:
+ * - ergonomic-chatbox-top: Moves the follow-up input to top
+ * - ergonomic-reverse-messages: Reverses entry order (newest first)
+ *
+ * Layout rules live in styles/perplexity.css
+ */
 
 (function() {
   'use strict';
 
-  console.log('[ErgonomicGPT] Extension loaded for Perplexity (Phase 2 - Coming Soon)');
-
-  // TODO: Implement Perplexity-specific reversal logic
+  ErgonomicGPT.core.registerAdapter({
+    id: 'perplexity',
+    name: 'Perplexity',
+    features: ['chatboxTop', 'reverseMessages'],
+    selectors: {
+      composerParent: 'div.thread-wrapper:has(#ask-input)',
+      composer: 'div.sticky.bottom-0:has(#ask-input)',
+      composerInput: '#ask-input',
+      messagesContainer: 'div[data-testid="thread"]',
+      message: 'div[data-testid="thread-entry"]',
+      prompt: 'div[class~="group/query"] h1',
+    },
+  });
 })();
@@ -0,0 +1,460 @@
+/**
+ * ErgonomicGPT - Element Picker
+ *
+ * Injected by the popup into a page the user wants to add as a custom site,
+ * after common/browser-api.js and common/i18n.js, and walks them through
+ * pointing at its containers one at a time:
+ * - composer: the box the user types in
+ * - messagesContainer: the element holding the messages
+ * - scroller: the element that scrolls the conversation, which may be
+ *   skipped to let the core find it
+ *
+ * The element under the pointer is highlighted; ArrowUp widens the
+ * highlight to its parent and ArrowDown narrows it back, Enter or a click
+ * picks it and Escape cancels. The other selectors are derived from the
+ * picks: composerParent is the closest element holding both the composer
+ * and the messages, message is every child of the messages container, and
+ * composerInput is the text field within the composer.
+ *
+ * The selectors go to background/custom-sites.js as a custom-site-picked
+ * message, which stores them and reloads the page with the site's layout
+ */
+
+(function(root) {
+  'use strict';
+
+  const { getMessage } = root.ErgonomicGPT.i18n;
+  const { browserApi } = root.ErgonomicGPT;
+
+  const LOG_PREFIX = '[ErgonomicGPT]';
+
+  // Message background/custom-sites.js answers by saving the site
+  const CUSTOM_SITE_PICKED_MESSAGE = 'custom-site-picked';
+
+  // Host of the picker's panel and highlight; its shadow root keeps site styles out
+  const PICKER_ID = 'ergonomic-element-picker';
+
+  // What the user picks, in order
+  const STEPS = [
+    { name: 'composer', messageKey: 'pickComposer' },
+    { name: 'messagesContainer', messageKey: 'pickMessages' },
+    { name: 'scroller', messageKey: 'pickScroller', optional: true },
+  ];
+
+  // Fields a chat input is typed into
+  const TEXT_INPUT_SELECTOR = 'textarea, [contenteditable="true"], [contenteditable=""], input[type="text"], input:not([type])';
+
+  // Attributes sites keep stable for tests and accessibility, best first
+  const STABLE_ATTRIBUTES = ['data-testid', 'data-test-id', 'name', 'role', 'aria-label'];
+
+  // Enough classes to tell elements apart without copying utility soup
+  const MAX_CLASSES = 3;
+
+  // Pointer events the page must not see while picking
+  const BLOCKED_EVENTS = ['pointerdown', 'pointerup', 'mousedown', 'mouseup', 'click', 'dblclick'];
+
+  const PICKER_STYLES = `
+    .highlight {
+      position: fixed;
+      z-index: 2147483646;
+      pointer-events: none;
+      border: 2px solid #10a37f;
+      border-radius: 4px;
+      background: rgba(16, 163, 127, 0.12);
+    }
+    .panel {
+      position: fixed;
+      top: 16px;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 2147483647;
+      max-width: 420px;
+      padding: 16px;
+      border-radius: 12px;
+      background: #ffffff;
+      color: #1f2937;
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.2);
+      font: 14px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    }
+    .title { margin: 0 0 4px; font-weight: 600; }
+    .text { margin: 0 0 4px; }
+    .hint { margin: 0 0 12px; color: #6b7280; font-size: 12px; }
+    .actions { display: flex; gap: 8px; justify-content: flex-end; }
+    button {
+      padding: 6px 10px;
+      border: 1px solid #d1d5db;
+      border-radius: 6px;
+      background: #f9fafb;
+      color: inherit;
+      font: inherit;
+      cursor: pointer;
+    }
+    button:focus-visible { outline: 2px solid #10a37f; outline-offset: 2px; }
+  `;
+
+  // Injected again when the user picks again from the popup
+  if (document.getElementById(PICKER_ID)) {
+    return;
+  }
+
+  /**
+   * Check that a selector matches exactly one element, the given one
+   * @param {string} selector - CSS selector
+   * @param {Element} element - Element it should find
+   * @returns {boolean}
+   */
+  function isUnique(selector, element) {
+    try {
+      const matches = document.querySelectorAll(selector);
+      return matches.length === 1 && matches[0] === element;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Check that an id or class name is worth keeping in a selector
+   * Generated names, e.g. with hashes or Tailwind's arbitrary values,
+   * change with every release of the site
+   * @param {string} name - Id or class name
+   * @returns {boolean}
+   */
+  function isStableName(name) {
+    return /^[a-zA-Z][\w-]*$/.test(name) && !/\d{3,}/.test(name);
+  }
+
+  /**
+   * List selectors for an element on its own, most readable first
+   * @param {Element} element - Element to describe
+   * @returns {Array<string>}
+   */
+  function getCandidates(element) {
+    const tag = element.localName;
+    const candidates = [];
+
+    if (element.id && isStableName(element.id)) {
+      candidates.push(`#${CSS.escape(element.id)}`);
+    }
+
+    STABLE_ATTRIBUTES.forEach((attribute) => {
+      const value = element.getAttribute(attribute);
+      if (value) {
+        candidates.push(`${tag}[${attribute}="${value.replace(/["\\]/g, '\\$&')}"]`);
+      }
+    });
+
+    const classes = Array.from(element.classList).filter(isStableName).slice(0, MAX_CLASSES);
+    if (classes.length > 0) {
+      candidates.push(tag + classes.map(name => `.${CSS.escape(name)}`).join(''));
+    }
+
+    candidates.push(tag);
+    return candidates;
+  }
+
+  /**
+   * Describe an element among its siblings, for one step of a child chain
+   * @param {Element} element - Element to describe
+   * @returns {string}
+   */
+  function getChainStep(element) {
+    const candidates = getCandidates(element);
+    // The id didn't make it unique, so leave it out
+    const step = candidates.find(candidate => !candidate.startsWith('#'));
+    const sameTag = Array.from(element.parentElement.children).filter(child => child.localName === element.localName);
+
+    if (sameTag.length === 1) {
+      return step;
+    }
+    return `${step}:nth-of-type(${sameTag.indexOf(element) + 1})`;
+  }
+
+  /**
+   * Build a selector that finds an element and nothing else
+   * Uses the element's own id, attributes or classes when they are unique,
+   * or else a child chain from the closest ancestor that has a unique one
+   * @param {Element} element - Picked element
+   * @returns {string}
+   */
+  function buildSelector(element) {
+    const own = getCandidates(element).find(candidate => isUnique(candidate, element));
+    if (own) {
+      return own;
+    }
+
+    const steps = [getChainStep(element)];
+    for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+      const anchor = getCandidates(ancestor).find(candidate => isUnique(candidate, ancestor));
+      if (anchor) {
+        steps.unshift(anchor);
+        break;
+      }
+      steps.unshift(getChainStep(ancestor));
+    }
+
+    return steps.join(' > ');
+  }
+
+  /**
+   * Find the closest element holding both picks
+   * @param {Element} first - One picked element
+   * @param {Element} second - The other
+   * @returns {Element}
+   */
+  function findCommonAncestor(first, second) {
+    let ancestor = first.parentElement;
+    while (ancestor && !ancestor.contains(second)) {
+      ancestor = ancestor.parentElement;
+    }
+    return ancestor || document.documentElement;
+  }
+
+  /**
+   * Turn the picked elements into the selectors a custom site stores
+   * @param {Object} picked - Elements by step name; scroller may be missing
+   * @returns {Object} Selectors by name, see CUSTOM_SITE_SELECTORS in common/settings.js
+   */
+  function buildSelectors(picked) {
+    const composer = buildSelector(picked.composer);
+    const messagesContainer = buildSelector(picked.messagesContainer);
+    const selectors = {
+      composerParent: buildSelector(findCommonAncestor(picked.composer, picked.messagesContainer)),
+      composer,
+      messagesContainer,
+      message: `${messagesContainer} > *`,
+    };
+
+    if (picked.composer.matches(TEXT_INPUT_SELECTOR)) {
+      selectors.composerInput = composer;
+    } else if (picked.composer.querySelector(TEXT_INPUT_SELECTOR)) {
+      selectors.composerInput = `${composer} :is(${TEXT_INPUT_SELECTOR})`;
+    }
+
+    if (picked.scroller) {
+      selectors.scroller = buildSelector(picked.scroller);
+    }
+    return selectors;
+  }
+
+  /**
+   * Show the picker and walk the user through every step
+   */
+  function startPicker() {
+    const host = document.createElement('div');
+    host.id = PICKER_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = PICKER_STYLES;
+
+    const highlight = document.createElement('div');
+    highlight.className = 'highlight';
+    highlight.hidden = true;
+
+    const panel = document.createElement('div');
+    panel.className = 'panel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-labelledby', 'picker-title');
+    panel.setAttribute('aria-describedby', 'picker-text');
+
+    const title = document.createElement('p');
+    title.className = 'title';
+    title.id = 'picker-title';
+    title.textContent = getMessage('pickerTitle', location.hostname);
+
+    const text = document.createElement('p');
+    text.className = 'text';
+    text.id = 'picker-text';
+    text.setAttribute('role', 'status');
+
+    const hint = document.createElement('p');
+    hint.className = 'hint';
+    hint.textContent = getMessage('pickerHint');
+
+    const actions = document.createElement('div');
+    actions.className = 'actions';
+
+    const skipButton = document.createElement('button');
+    skipButton.type = 'button';
+    skipButton.textContent = getMessage('skip');
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.textContent = getMessage('cancel');
+
+    actions.append(skipButton, cancelButton);
+    panel.append(title, text, hint, actions);
+    shadow.append(style, highlight, panel);
+    document.body.appendChild(host);
+
+    const picked = {};
+    let stepIndex = 0;
+    let current = null;
+    // Elements ArrowUp widened from, for ArrowDown to go back to
+    let narrower = [];
+
+    /**
+     * Check whether an event happened on the picker's own panel
+     * @param {Event} event - DOM event
+     * @returns {boolean}
+     */
+    const isOwnEvent = event => event.composedPath().includes(host);
+
+    /**
+     * Move the highlight over an element
+     * @param {Element|null} element - Element to highlight
+     */
+    const highlightElement = (element) => {
+      current = element;
+      highlight.hidden = !element;
+      if (!element) return;
+
+      const rect = element.getBoundingClientRect();
+      Object.assign(highlight.style, {
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`,
+      });
+    };
+
+    /**
+     * Show the instructions of the current step
+     * @param {string} [messageKey] - Message shown instead, e.g. a problem
+     */
+    const showStep = (messageKey) => {
+      const step = STEPS[stepIndex];
+      text.textContent = getMessage(messageKey || step.messageKey);
+      skipButton.hidden = !step.optional;
+    };
+
+    /**
+     * Remove the picker and give the page its events back
+     */
+    const stop = () => {
+      host.remove();
+      BLOCKED_EVENTS.forEach(type => root.removeEventListener(type, handleBlockedEvent, true));
+      root.removeEventListener('mousemove', handleMouseMove, true);
+      root.removeEventListener('keydown', handleKeyDown, true);
+      root.removeEventListener('scroll', handleScroll, true);
+    };
+
+    /**
+     * Send the picks to the background worker, which reloads the page
+     */
+    const finish = () => {
+      const selectors = buildSelectors(picked);
+      console.log(LOG_PREFIX, 'Picked selectors:', selectors);
+
+      highlightElement(null);
+      hint.hidden = true;
+      skipButton.hidden = true;
+      text.textContent = getMessage('pickerSaving');
+
+      browserApi.runtime.sendMessage({ type: CUSTOM_SITE_PICKED_MESSAGE, selectors }).then((response) => {
+        text.textContent = getMessage(response && response.saved ? 'pickerSaved' : 'pickerFailed');
+      }).catch((error) => {
+        console.error(LOG_PREFIX, 'Error saving custom site:', error);
+        text.textContent = getMessage('pickerFailed');
+      });
+    };
+
+    /**
+     * Pick an element for the current step and move on
+     * @param {Element|null} element - Picked element, or null to skip
+     */
+    const pick = (element) => {
+      const step = STEPS[stepIndex];
+      if (element) {
+        // The messages and the composer must be side by side to swap them
+        const other = step.name === 'messagesContainer' ? picked.composer : null;
+        if (other && (element.contains(other) || other.contains(element))) {
+          showStep('pickOverlap');
+          return;
+        }
+        picked[step.name] = element;
+      }
+
+      narrower = [];
+      stepIndex += 1;
+      if (stepIndex < STEPS.length) {
+        showStep();
+      } else {
+        finish();
+      }
+    };
+
+    /**
+     * Keep the page from reacting to clicks meant for the picker
+     * @param {Event} event - Pointer or mouse event
+     */
+    function handleBlockedEvent(event) {
+      if (isOwnEvent(event) || stepIndex >= STEPS.length) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      if (event.type === 'click' && current) {
+        pick(current);
+      }
+    }
+
+    /**
+     * Highlight the element under the pointer
+     * @param {MouseEvent} event - Mouse event
+     */
+    function handleMouseMove(event) {
+      if (isOwnEvent(event) || stepIndex >= STEPS.length) return;
+
+      narrower = [];
+      highlightElement(event.target);
+    }
+
+    /**
+     * Widen, narrow, pick or cancel from the keyboard
+     * @param {KeyboardEvent} event - Keyboard event
+     */
+    function handleKeyDown(event) {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        event.stopPropagation();
+        stop();
+        return;
+      }
+      if (isOwnEvent(event) || stepIndex >= STEPS.length || !current) return;
+
+      if (event.key === 'ArrowUp' && current.parentElement && current.parentElement !== document.documentElement) {
+        narrower.push(current);
+        highlightElement(current.parentElement);
+      } else if (event.key === 'ArrowDown' && narrower.length > 0) {
+        highlightElement(narrower.pop());
+      } else if (event.key === 'Enter') {
+        pick(current);
+      } else {
+        return;
+      }
+
+      event.preventDefault();
+      event.stopPropagation();
+    }
+
+    /**
+     * Keep the highlight on its element while the page scrolls
+     */
+    function handleScroll() {
+      if (current) {
+        highlightElement(current);
+      }
+    }
+
+    skipButton.addEventListener('click', () => pick(null));
+    cancelButton.addEventListener('click', stop);
+    BLOCKED_EVENTS.forEach(type => root.addEventListener(type, handleBlockedEvent, true));
+    root.addEventListener('mousemove', handleMouseMove, true);
+    root.addEventListener('keydown', handleKeyDown, true);
+    root.addEventListener('scroll', handleScroll, true);
+
+    showStep();
+  }
+
+  startPicker();
+})(globalThis);
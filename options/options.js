@@ -0,0 +1,574 @@
+/**
+ * ErgonomicGPT Options Script
+ *
+ * Full settings page, opened from the popup or chrome://extensions
+ * - Shows every setting for All sites, then one group per supported site
+ *   and per site the user added, whose settings can follow All sites or
+ *   override it
+ * - Edits each site's on/off switch and URL rules
+ * - Edits the posture break reminders, which apply to every site
+ * - Exports all settings as a JSON file
+ * - Imports a JSON file after checking it against common/schema.js,
+ *   listing every unknown or malformed key instead of saving
+ * - Renders its strings from the message catalogs, like the popup
+ */
+
+(function() {
+  'use strict';
+
+  // Default settings and storage keys (shared with the content scripts)
+  const {
+    SITES,
+    SITE_SETTINGS_KEY,
+    URL_RULES_KEY,
+    NUMBER_SETTINGS,
+    BREAK_REMINDERS_KEY,
+    STORAGE_DEFAULTS,
+    CUSTOM_SITES_KEY,
+    listCustomSites,
+    resolveSettings,
+    resolveBreakReminders,
+    isSiteEnabled,
+  } = ErgonomicGPT.settings;
+
+  const { createSettingsFile, validateSettingsFile } = ErgonomicGPT.schema;
+  const { getMessage, localizePage } = ErgonomicGPT.i18n;
+  const { browserApi } = ErgonomicGPT;
+
+  // Scope value for the settings every site inherits
+  const GLOBAL_SCOPE = 'global';
+
+  // Name offered when saving an export
+  const EXPORT_FILENAME = 'ergonomic-gpt-settings.json';
+
+  /**
+   * Describe a numeric setting's presets
+   * @param {string} key - Key in NUMBER_SETTINGS
+   * @param {Function} formatValue - Label for a value
+   * @returns {Array<Object>} Choices for SETTING_FIELDS
+   */
+  function getNumberChoices(key, formatValue) {
+    return NUMBER_SETTINGS[key].presets.map(value => ({ value, label: formatValue(value) }));
+  }
+
+  // Labels for numeric setting values
+  const formatOffset = offset => (offset === 0 ? getMessage('composerOffsetTop') : getMessage('composerOffsetDown', String(offset)));
+  const formatFontScale = scale => (scale === 100 ? getMessage('siteDefault') : getMessage('percent', String(scale)));
+  const formatLineHeight = height => (height === 0 ? getMessage('siteDefault') : (height / 100).toFixed(1));
+  const formatLineWidth = width => (width === 0 ? getMessage('siteDefault') : getMessage('maxLineWidthCharacters', String(width)));
+  const formatCollapseTurns = turns => (turns === 0 ? getMessage('collapseTurnsNever') : getMessage('collapseTurnsKeep', String(turns)));
+
+  // Every setting, with the choices offered for it; formatValue labels
+  // stored values that aren't among the choices, e.g. from an import
+  const SETTING_FIELDS = [
+    {
+      key: 'chatboxTop',
+      label: getMessage('chatboxPosition'),
+      description: getMessage('chatboxTopDescription'),
+      choices: [
+        { value: true, label: getMessage('chatboxPositionTop') },
+        { value: false, label: getMessage('chatboxPositionBottom') },
+      ],
+    },
+    {
+      key: 'reverseMessages',
+      label: getMessage('messageOrder'),
+      description: getMessage('reverseMessagesDescription'),
+      choices: [
+        { value: true, label: getMessage('messageOrderNewest') },
+        { value: false, label: getMessage('messageOrderOldest') },
+      ],
+    },
+    {
+      key: 'reverseMode',
+      label: getMessage('reverseMode'),
+      description: getMessage('reverseModeDescription'),
+      choices: [
+        { value: 'message', label: getMessage('reverseModeMessage') },
+        { value: 'turn', label: getMessage('reverseModeTurn') },
+      ],
+    },
+    {
+      key: 'collapseTurns',
+      label: getMessage('collapseTurns'),
+      description: getMessage('collapseTurnsDescription'),
+      choices: getNumberChoices('collapseTurns', formatCollapseTurns),
+      formatValue: formatCollapseTurns,
+    },
+    {
+      key: 'composerOffset',
+      label: getMessage('composerOffset'),
+      description: getMessage('composerOffsetDescription'),
+      choices: getNumberChoices('composerOffset', formatOffset),
+      formatValue: formatOffset,
+    },
+    {
+      key: 'fontScale',
+      label: getMessage('fontScale'),
+      description: getMessage('fontScaleDescription'),
+      choices: getNumberChoices('fontScale', formatFontScale),
+      formatValue: formatFontScale,
+    },
+    {
+      key: 'lineHeight',
+      label: getMessage('lineHeight'),
+      description: getMessage('lineHeightDescription'),
+      choices: getNumberChoices('lineHeight', formatLineHeight),
+      formatValue: formatLineHeight,
+    },
+    {
+      key: 'maxLineWidth',
+      label: getMessage('maxLineWidth'),
+      description: getMessage('maxLineWidthDescription'),
+      choices: getNumberChoices('maxLineWidth', formatLineWidth),
+      formatValue: formatLineWidth,
+    },
+  ];
+
+  // DOM elements
+  let statusElement;
+  let siteGroupsElement;
+  let siteGroupTemplate;
+  let settingFieldTemplate;
+  let urlRuleTemplate;
+  let exportButton;
+  let importInput;
+  let breakRemindersElement;
+  let breakEnabledCheckbox;
+  let breakIntervalSelect;
+  let breakStyleSelect;
+
+  /**
+   * Get the label of a setting's value
+   * @param {Object} field - Entry from SETTING_FIELDS
+   * @param {*} value - Setting value
+   * @returns {string}
+   */
+  function getChoiceLabel(field, value) {
+    const choice = field.choices.find(entry => entry.value === value);
+    if (choice) {
+      return choice.label;
+    }
+    return field.formatValue ? field.formatValue(value) : String(value);
+  }
+
+  /**
+   * Select a setting's value, adding an option for it when it isn't one of
+   * the choices, so saving never silently swaps it for another
+   * @param {HTMLSelectElement} select - Select filled by fillChoices
+   * @param {Object} field - Entry from SETTING_FIELDS
+   * @param {*} value - Setting value
+   */
+  function selectValue(select, field, value) {
+    const json = JSON.stringify(value);
+
+    if (!Array.from(select.options).some(option => option.value === json)) {
+      const option = document.createElement('option');
+      option.value = json;
+      option.textContent = getChoiceLabel(field, value);
+      select.appendChild(option);
+    }
+
+    select.value = json;
+  }
+
+  /**
+   * Fill a select with a setting's choices
+   * Option values are JSON so booleans and strings survive the round trip;
+   * an empty value means "inherit"
+   * @param {HTMLSelectElement} select - Select to fill
+   * @param {Object} field - Entry from SETTING_FIELDS
+   * @param {string|null} inheritLabel - Label of the inherit option, or null for none
+   */
+  function fillChoices(select, field, inheritLabel) {
+    select.dataset.setting = field.key;
+
+    if (inheritLabel) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = inheritLabel;
+      select.appendChild(option);
+    }
+
+    field.choices.forEach((choice) => {
+      const option = document.createElement('option');
+      option.value = JSON.stringify(choice.value);
+      option.textContent = choice.label;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Build the All sites group and one group per supported or added site,
+   * replacing any built before
+   * @param {Array<Object>} customSites - Sites the user added, from listCustomSites()
+   */
+  function renderGroups(customSites) {
+    const scopes = [{ id: GLOBAL_SCOPE, name: getMessage('allSites') }].concat(SITES, customSites);
+
+    siteGroupsElement.textContent = '';
+
+    scopes.forEach((scope) => {
+      const isGlobal = scope.id === GLOBAL_SCOPE;
+      const group = siteGroupTemplate.content.firstElementChild.cloneNode(true);
+      group.dataset.scope = scope.id;
+
+      group.querySelector('.site-group-title').textContent = scope.name;
+      group.querySelector('.scope-hint').textContent = getMessage(isGlobal ? 'scopeHintGlobal' : 'scopeHintInherit');
+
+      const enabledItem = group.querySelector('.site-enabled-item');
+      const enabledCheckbox = group.querySelector('.site-enabled');
+      enabledItem.hidden = isGlobal;
+      enabledCheckbox.id = `${scope.id}-enabled`;
+      enabledItem.querySelector('.setting-label').htmlFor = enabledCheckbox.id;
+
+      const fields = group.querySelector('.setting-fields');
+      SETTING_FIELDS.forEach((field) => {
+        const item = settingFieldTemplate.content.firstElementChild.cloneNode(true);
+        const select = item.querySelector('.setting-value');
+        const label = item.querySelector('.setting-label');
+
+        select.id = `${scope.id}-${field.key}`;
+        label.htmlFor = select.id;
+        label.textContent = field.label;
+        item.querySelector('.setting-description').textContent = field.description;
+        fillChoices(select, field, isGlobal ? null : getMessage('sameAsAllSites'));
+
+        fields.appendChild(item);
+      });
+
+      group.querySelector('.site-rules').hidden = isGlobal;
+      siteGroupsElement.appendChild(group);
+    });
+  }
+
+  /**
+   * Add a row for a rule to a site's list
+   * @param {HTMLElement} list - The site's .url-rule-list
+   * @param {Object} rule - Rule to show
+   * @returns {HTMLElement} The new row
+   */
+  function addUrlRuleRow(list, rule) {
+    const row = urlRuleTemplate.content.firstElementChild.cloneNode(true);
+    const removeButton = row.querySelector('.url-rule-remove');
+    const settings = rule.settings || {};
+
+    row.querySelector('.url-rule-pattern').value = rule.pattern || '';
+
+    SETTING_FIELDS.forEach((field) => {
+      const select = document.createElement('select');
+      select.className = 'url-rule-feature';
+      select.setAttribute('aria-label', field.label);
+      fillChoices(select, field, getMessage('settingInherit', field.label));
+      if (field.key in settings) {
+        selectValue(select, field, settings[field.key]);
+      }
+
+      row.insertBefore(select, removeButton);
+    });
+
+    list.appendChild(row);
+    return row;
+  }
+
+  /**
+   * Show stored settings in every group
+   * @param {Object} items - Items read from synced storage
+   * @param {boolean} withRules - Also rebuild the URL rule rows
+   */
+  function renderSettings(items, withRules) {
+    const globalSettings = resolveSettings(items, null);
+    const siteSettings = items[SITE_SETTINGS_KEY] || {};
+    const rules = items[URL_RULES_KEY] || [];
+
+    siteGroupsElement.querySelectorAll('.site-group').forEach((group) => {
+      const scope = group.dataset.scope;
+      const isGlobal = scope === GLOBAL_SCOPE;
+      const overrides = isGlobal ? {} : (siteSettings[scope] || {});
+      const enabled = isGlobal || isSiteEnabled(items, scope);
+
+      group.querySelector('.site-enabled').checked = enabled;
+
+      group.querySelectorAll('.setting-fields .setting-value').forEach((select) => {
+        const field = SETTING_FIELDS.find(entry => entry.key === select.dataset.setting);
+
+        if (isGlobal) {
+          selectValue(select, field, globalSettings[field.key]);
+          return;
+        }
+
+        if (field.key in overrides) {
+          selectValue(select, field, overrides[field.key]);
+        } else {
+          select.value = '';
+        }
+        select.options[0].textContent = getMessage('sameAsAllSitesValue', getChoiceLabel(field, globalSettings[field.key]));
+        select.disabled = !enabled;
+      });
+
+      if (withRules && !isGlobal) {
+        const list = group.querySelector('.url-rule-list');
+        list.textContent = '';
+        rules.filter(rule => rule.site === scope).forEach(rule => addUrlRuleRow(list, rule));
+      }
+    });
+  }
+
+  /**
+   * Read every group back into storage items
+   * Rule rows without a pattern yet are left out
+   * @returns {Object} Items for synced storage
+   */
+  function readSettings() {
+    const items = { [SITE_SETTINGS_KEY]: {}, [URL_RULES_KEY]: [] };
+
+    siteGroupsElement.querySelectorAll('.site-group').forEach((group) => {
+      const scope = group.dataset.scope;
+
+      if (scope === GLOBAL_SCOPE) {
+        group.querySelectorAll('.setting-fields .setting-value').forEach((select) => {
+          items[select.dataset.setting] = JSON.parse(select.value);
+        });
+        return;
+      }
+
+      const overrides = {};
+      if (!group.querySelector('.site-enabled').checked) {
+        overrides.enabled = false;
+      }
+      group.querySelectorAll('.setting-fields .setting-value').forEach((select) => {
+        if (select.value) {
+          overrides[select.dataset.setting] = JSON.parse(select.value);
+        }
+      });
+      if (Object.keys(overrides).length > 0) {
+        items[SITE_SETTINGS_KEY][scope] = overrides;
+      }
+
+      group.querySelectorAll('.url-rule').forEach((row) => {
+        const pattern = row.querySelector('.url-rule-pattern').value.trim();
+        if (!pattern) return;
+
+        const settings = {};
+        row.querySelectorAll('.url-rule-feature').forEach((select) => {
+          if (select.value) {
+            settings[select.dataset.setting] = JSON.parse(select.value);
+          }
+        });
+
+        items[URL_RULES_KEY].push({ site: scope, pattern, settings });
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * Update the break reminder controls
+   * @param {Object} items - Items read from synced storage
+   */
+  function renderBreakReminders(items) {
+    const breakReminders = resolveBreakReminders(items);
+
+    breakEnabledCheckbox.checked = breakReminders.enabled;
+    breakIntervalSelect.value = String(breakReminders.intervalMinutes);
+    breakIntervalSelect.disabled = !breakReminders.enabled;
+    breakStyleSelect.value = breakReminders.style;
+    breakStyleSelect.disabled = !breakReminders.enabled;
+  }
+
+  /**
+   * Read the break reminder controls back into storage items
+   * @returns {Object}
+   */
+  function readBreakReminders() {
+    return {
+      [BREAK_REMINDERS_KEY]: {
+        enabled: breakEnabledCheckbox.checked,
+        intervalMinutes: Number(breakIntervalSelect.value),
+        style: breakStyleSelect.value,
+      },
+    };
+  }
+
+  /**
+   * Show a message above the settings
+   * @param {Array<string>} lines - Lines to show
+   * @param {boolean} isWarning - Style as a warning
+   */
+  function showStatus(lines, isWarning) {
+    statusElement.textContent = '';
+    lines.forEach((text) => {
+      const line = document.createElement('p');
+      line.textContent = text;
+      statusElement.appendChild(line);
+    });
+
+    statusElement.classList.toggle('status-warning', isWarning);
+    statusElement.hidden = lines.length === 0;
+  }
+
+  /**
+   * Save settings to storage
+   * @param {Object} settings - Settings object to save
+   * @param {Function} [callback] - Called once saved
+   */
+  function saveSettings(settings, callback) {
+    browserApi.storage.set('sync', settings).then(() => {
+      console.log('[ErgonomicGPT] Settings saved:', settings);
+      if (callback) callback();
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error saving settings:', error);
+      showStatus([getMessage('saveSettingsFailed', error.message)], true);
+    });
+  }
+
+  /**
+   * Load settings from storage and update UI
+   * @param {boolean} withRules - Also rebuild the URL rule rows
+   */
+  function loadSettings(withRules) {
+    browserApi.storage.get('sync', STORAGE_DEFAULTS).then((items) => {
+      renderSettings(items, withRules);
+      renderBreakReminders(items);
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error loading settings:', error);
+    });
+  }
+
+  /**
+   * Download every setting as a JSON file
+   */
+  function handleExport() {
+    browserApi.storage.get('sync', STORAGE_DEFAULTS).then((items) => {
+      const file = createSettingsFile(items);
+      const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = EXPORT_FILENAME;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      showStatus([getMessage('settingsExported', EXPORT_FILENAME)], false);
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error loading settings:', error);
+    });
+  }
+
+  /**
+   * Check a chosen JSON file and replace every setting with it
+   */
+  function handleImport() {
+    const file = importInput.files[0];
+    if (!file) return;
+
+    // Let the same file be picked again after fixing it
+    importInput.value = '';
+
+    file.text().then((text) => {
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (e) {
+        showStatus([getMessage('importNotJson', [file.name, e.message])], true);
+        return;
+      }
+
+      const result = validateSettingsFile(parsed);
+      if (!result.valid) {
+        showStatus([getMessage('importInvalid', file.name)].concat(result.errors), true);
+        return;
+      }
+
+      saveSettings(result.settings, () => {
+        showStatus([getMessage('settingsImported', file.name)], false);
+        loadSettings(true);
+      });
+    });
+  }
+
+  /**
+   * Setup event listeners
+   */
+  function setupEventListeners() {
+    exportButton.addEventListener('click', handleExport);
+    importInput.addEventListener('change', handleImport);
+
+    // Groups and rule rows are built at runtime, so listen on the container
+    siteGroupsElement.addEventListener('change', () => saveSettings(readSettings()));
+    breakRemindersElement.addEventListener('change', () => saveSettings(readBreakReminders()));
+
+    siteGroupsElement.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('.url-rule-remove');
+      if (removeButton) {
+        removeButton.closest('.url-rule').remove();
+        saveSettings(readSettings());
+        return;
+      }
+
+      const addButton = event.target.closest('.add-url-rule');
+      if (addButton) {
+        const list = addButton.closest('.site-rules').querySelector('.url-rule-list');
+        addUrlRuleRow(list, {}).querySelector('.url-rule-pattern').focus();
+      }
+    });
+
+    // Keep in sync with the popup, shortcuts and other devices, leaving
+    // rule rows alone while one is being edited
+    browserApi.storage.onChanged((changes, areaName) => {
+      if (areaName === 'local' && changes[CUSTOM_SITES_KEY]) {
+        renderGroups(listCustomSites(changes[CUSTOM_SITES_KEY].newValue));
+        loadSettings(true);
+        return;
+      }
+      if (areaName !== 'sync') return;
+
+      const active = document.activeElement;
+      loadSettings(!(active && active.closest('.url-rule')));
+    });
+  }
+
+  /**
+   * Initialize options page
+   */
+  function init() {
+    localizePage();
+
+    // Get DOM elements
+    statusElement = document.getElementById('optionsStatus');
+    siteGroupsElement = document.getElementById('siteGroups');
+    siteGroupTemplate = document.getElementById('siteGroupTemplate');
+    settingFieldTemplate = document.getElementById('settingFieldTemplate');
+    urlRuleTemplate = document.getElementById('urlRuleTemplate');
+    exportButton = document.getElementById('exportSettings');
+    importInput = document.getElementById('importSettings');
+    breakRemindersElement = document.querySelector('.break-reminders');
+    breakEnabledCheckbox = document.getElementById('breakRemindersEnabled');
+    breakIntervalSelect = document.getElementById('breakInterval');
+    breakStyleSelect = document.getElementById('breakStyle');
+
+    if (!statusElement || !siteGroupsElement || !siteGroupTemplate ||
+        !settingFieldTemplate || !urlRuleTemplate || !exportButton || !importInput ||
+        !breakRemindersElement || !breakEnabledCheckbox || !breakIntervalSelect || !breakStyleSelect) {
+      console.error('[ErgonomicGPT] Required DOM elements not found');
+      return;
+    }
+
+    // Sites the user added get a group too, so saving never drops their settings
+    browserApi.storage.get('local', { [CUSTOM_SITES_KEY]: {} }).catch((error) => {
+      console.error('[ErgonomicGPT] Error loading custom sites:', error);
+      return {};
+    }).then((items) => {
+      renderGroups(listCustomSites(items[CUSTOM_SITES_KEY]));
+      loadSettings(true);
+    });
+    setupEventListeners();
+
+    console.log('[ErgonomicGPT] Options page initialized');
+  }
+
+  // Initialize when DOM is ready
+  document.addEventListener('DOMContentLoaded', init);
+})();
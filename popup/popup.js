@@ -2,75 +2,1142 @@
  * ErgonomicGPT Popup Script
  *
  * Manages extension settings UI
+ * - Opens on the site of the active tab, or on "All sites" elsewhere
  * - Loads current settings from storage
- * - Saves settings when toggles change
+ * - Saves settings when toggles change, as a site override or globally
+ * - Switches ErgonomicGPT off or on for the selected site
+ * - Edits the URL rules of the selected site
+ * - Switches between named profiles in one click, and saves new ones
+ * - Turns posture break reminders on or off, with their interval and style
+ * - Links to the options page and the keyboard shortcut settings
+ * - Diagnoses the active tab: asks its content script what it sees and
+ *   shows the answer as a report to copy into bug reports
+ * - Edits the selected site's selector overrides and custom CSS, previewing
+ *   them on the active tab until they are saved or the popup closes
+ * - Adds the active tab's origin as a custom site: asks for its host
+ *   permission, then starts the element picker (content-scripts/picker.js)
+ *   on the tab; custom sites can be picked again or removed
  * - Shows confirmation message on save
+ * - Warns when a site's layout failed its health check
+ * - Shows when synced storage refuses a change, e.g. over its quota
+ * - Shows every string in the browser's language, right to left where needed
  */
 
 (function() {
   'use strict';
 
-  // Default settings (same as content script)
-  const DEFAULT_SETTINGS = {
-    chatboxTop: true,
-    reverseMessages: true,
+  // Default settings and storage keys (shared with the content scripts)
+  const {
+    DEFAULT_SETTINGS,
+    SITES,
+    SITE_SETTINGS_KEY,
+    URL_RULES_KEY,
+    BREAK_REMINDERS_KEY,
+    STORAGE_DEFAULTS,
+    LAYOUT_STATUS_KEY,
+    SITE_OVERRIDES_KEY,
+    OVERRIDABLE_SELECTORS,
+    CUSTOM_SITES_KEY,
+    resolveSettings,
+    resolveBreakReminders,
+    isSiteEnabled,
+    findSiteByUrl,
+    getOriginPattern,
+    listCustomSites,
+    findCustomSiteByUrl,
+  } = ErgonomicGPT.settings;
+
+  const {
+    ACTIVE_PROFILE_KEY,
+    getProfiles,
+    createProfile,
+    switchProfile,
+    deleteProfile,
+  } = ErgonomicGPT.profiles;
+
+  const { getMessage, localizePage } = ErgonomicGPT.i18n;
+  const { browserApi } = ErgonomicGPT;
+
+  // Everything the popup reads besides the profiles, which have a key each
+  const POPUP_STORAGE_DEFAULTS = {
+    ...STORAGE_DEFAULTS,
+    [ACTIVE_PROFILE_KEY]: null,
+  };
+
+  // Scope value for the settings every site inherits
+  const GLOBAL_SCOPE = 'global';
+
+  // Screen readers skip a live region whose text changes in the same
+  // task it was cleared in, so a repeated message needs a pause
+  const ANNOUNCE_DELAY_MS = 100;
+
+  // Message the content-script core answers with its diagnostics
+  const DIAGNOSE_MESSAGE = 'diagnose';
+
+  // Messages wording the problem codes a failed layout health check stores
+  const LAYOUT_PROBLEM_MESSAGES = {
+    'no-layout': 'layoutProblemNoLayout',
+    'composer-parent-missing': 'layoutProblemComposerParent',
+    'composer-missing': 'layoutProblemComposer',
+    'composer-off-screen': 'layoutProblemComposerOffScreen',
+    'messages-container-missing': 'layoutProblemMessagesContainer',
   };
 
+  // Port the content-script core previews overrides on
+  const OVERRIDE_PREVIEW_PORT = 'override-preview';
+
+  // Pause in typing before the preview catches up
+  const PREVIEW_DELAY_MS = 300;
+
+  // Scripts injected into the active tab to pick a custom site's elements
+  const PICKER_SCRIPTS = [
+    'common/browser-api.js',
+    'common/i18n.js',
+    'content-scripts/picker.js',
+  ];
+
   // DOM elements
   let chatboxTopCheckbox;
   let reverseMessagesCheckbox;
+  let reverseModeSelect;
+  let collapseTurnsSelect;
+  let composerOffsetSelect;
+  let fontScaleSelect;
+  let lineHeightSelect;
+  let maxLineWidthSelect;
+  let siteEnabledCheckbox;
+  let siteEnabledItem;
+  let layoutStatusElement;
+  let saveStatusElement;
+  let scopeSelect;
+  let scopeHintElement;
+  let resetSiteButton;
+  let urlRulesSection;
+  let urlRuleList;
+  let urlRuleTemplate;
+  let addUrlRuleButton;
+  let openOptionsButton;
+  let openShortcutsButton;
+  let profileList;
+  let profileHintElement;
+  let newProfileButton;
+  let newProfileForm;
+  let newProfileNameInput;
+  let cancelNewProfileButton;
+  let deleteProfileButton;
+  let breakEnabledCheckbox;
+  let breakIntervalSelect;
+  let breakStyleSelect;
+  let announcerElement;
+  let diagnoseButton;
+  let diagnosticsPanel;
+  let diagnosticsReport;
+  let copyDiagnosticsButton;
+  let siteOverridesSection;
+  let siteOverridesHint;
+  let overridesEnabledCheckbox;
+  let overrideSelectorsElement;
+  let overrideSelectorTemplate;
+  let overrideCssInput;
+  let overridePreviewStatus;
+  let saveOverridesButton;
+  let discardOverridesButton;
+  let removeOverridesButton;
+  let customSiteSection;
+  let customSiteHint;
+  let addCustomSiteButton;
+  let repickCustomSiteButton;
+  let removeCustomSiteButton;
+
+  // Scope the toggles currently edit: GLOBAL_SCOPE or a site id
+  let currentScope = GLOBAL_SCOPE;
+
+  // Tab the popup was opened on, or null where tabs can't be read
+  let activeTabId = null;
+
+  // Site of that tab, or null for other pages
+  let activeSiteId = null;
+
+  // Origin of that tab if it is a web page, to offer adding it as a site
+  let activeOrigin = null;
+
+  // Sites the user added, from listCustomSites()
+  let customSites = [];
+
+  // Overrides stored for the current scope, as last read or saved
+  let savedOverrides = {};
+
+  // Port previewing overrides on the active tab, or null
+  let previewPort = null;
+  let previewTimer = null;
 
   /**
-   * Load settings from storage and update UI
+   * Get the display name of a scope
+   * @param {string} scope - GLOBAL_SCOPE or a site id
+   * @returns {string}
+   */
+  function getScopeName(scope) {
+    const site = SITES.concat(customSites).find(entry => entry.id === scope);
+    return site ? site.name : getMessage('allSites');
+  }
+
+  /**
+   * Read a message out to screen readers through the live region
+   * @param {string} message - Message to announce
    */
-  function loadSettings() {
-    chrome.storage.sync.get(DEFAULT_SETTINGS, (items) => {
-      if (chrome.runtime.lastError) {
-        console.error('[ErgonomicGPT] Error loading settings:', chrome.runtime.lastError);
-        return;
+  function announce(message) {
+    announcerElement.textContent = '';
+    setTimeout(() => {
+      announcerElement.textContent = message;
+    }, ANNOUNCE_DELAY_MS);
+  }
+
+  /**
+   * Announce the new value of a changed control
+   * @param {HTMLInputElement|HTMLSelectElement} control - Switch or select
+   * @param {string} [scope] - Scope the change applies to, if any
+   */
+  function announceChange(control, scope) {
+    const label = document.querySelector(`label[for="${control.id}"]`);
+    const name = label ? label.textContent.trim() : control.id;
+    const value = control.type === 'checkbox'
+      ? getMessage(control.checked ? 'stateOn' : 'stateOff')
+      : control.options[control.selectedIndex].text;
+
+    announce(scope
+      ? getMessage('announceSiteChange', [name, value, getScopeName(scope)])
+      : getMessage('announceChange', [name, value]));
+  }
+
+  /**
+   * Select a number setting's value, adding an option for values outside
+   * the presets, e.g. from an imported file
+   * @param {HTMLSelectElement} select - Setting select
+   * @param {number} value - Setting value
+   * @param {string} label - Option text for a value outside the presets
+   */
+  function selectNumber(select, value, label) {
+    const option = String(value);
+    if (!Array.from(select.options).some(entry => entry.value === option)) {
+      select.add(new Option(label, option));
+    }
+    select.value = option;
+  }
+
+  /**
+   * Update the toggles and hints for the current scope
+   * @param {Object} items - Items read from synced storage
+   * @param {boolean} withRules - Also rebuild the URL rule rows
+   */
+  function renderSettings(items, withRules) {
+    const isGlobal = currentScope === GLOBAL_SCOPE;
+    const overrides = isGlobal ? {} : ((items[SITE_SETTINGS_KEY] || {})[currentScope] || {});
+    const settings = resolveSettings(items, isGlobal ? null : currentScope);
+    const enabled = isGlobal || isSiteEnabled(items, currentScope);
+
+    // Update checkboxes to match saved settings
+    siteEnabledItem.hidden = isGlobal;
+    siteEnabledCheckbox.checked = enabled;
+    chatboxTopCheckbox.checked = settings.chatboxTop;
+    chatboxTopCheckbox.disabled = !enabled;
+    reverseMessagesCheckbox.checked = settings.reverseMessages;
+    reverseMessagesCheckbox.disabled = !enabled;
+    reverseModeSelect.value = settings.reverseMode;
+    reverseModeSelect.disabled = !enabled || !settings.reverseMessages;
+    collapseTurnsSelect.disabled = !enabled || !settings.reverseMessages;
+    selectNumber(collapseTurnsSelect, settings.collapseTurns, getMessage('collapseTurnsKeep', String(settings.collapseTurns)));
+    composerOffsetSelect.disabled = !enabled || !settings.chatboxTop;
+    selectNumber(composerOffsetSelect, settings.composerOffset, getMessage('composerOffsetDown', String(settings.composerOffset)));
+    fontScaleSelect.disabled = !enabled;
+    selectNumber(fontScaleSelect, settings.fontScale, getMessage('percent', String(settings.fontScale)));
+    lineHeightSelect.disabled = !enabled;
+    selectNumber(lineHeightSelect, settings.lineHeight, (settings.lineHeight / 100).toFixed(1));
+    maxLineWidthSelect.disabled = !enabled;
+    selectNumber(maxLineWidthSelect, settings.maxLineWidth, getMessage('maxLineWidthCharacters', String(settings.maxLineWidth)));
+
+    // Label each site setting as inherited or overridden
+    Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+      const source = document.querySelector(`.setting-item[data-setting="${key}"] .setting-source`);
+      if (!source) return;
+
+      const overridden = key in overrides;
+      source.hidden = isGlobal;
+      source.textContent = overridden ? getMessage('sourceSite', getScopeName(currentScope)) : getMessage('sourceGlobal');
+      source.classList.toggle('overridden', overridden);
+    });
+
+    if (isGlobal) {
+      scopeHintElement.textContent = getMessage('scopeHintGlobal');
+    } else if (!enabled) {
+      scopeHintElement.textContent = getMessage('scopeHintOff', getScopeName(currentScope));
+    } else {
+      scopeHintElement.textContent = getMessage('scopeHintSite', getScopeName(currentScope));
+    }
+    resetSiteButton.hidden = isGlobal || Object.keys(overrides).length === 0;
+
+    // URL rules always belong to one site
+    urlRulesSection.hidden = isGlobal;
+    if (withRules && !isGlobal) {
+      renderUrlRules(items[URL_RULES_KEY] || []);
+    }
+  }
+
+  /**
+   * Read the rules of the current site from the rule rows
+   * @returns {Array<Object>}
+   */
+  function readUrlRules() {
+    return Array.from(urlRuleList.querySelectorAll('.url-rule')).map((row) => {
+      const settings = {};
+
+      row.querySelectorAll('.url-rule-feature').forEach((select) => {
+        if (select.value) {
+          settings[select.dataset.feature] = select.value === 'on';
+        }
+      });
+
+      return {
+        site: currentScope,
+        pattern: row.querySelector('.url-rule-pattern').value.trim(),
+        settings,
+      };
+    });
+  }
+
+  /**
+   * Add a row for a rule to the list
+   * @param {Object} rule - Rule to show
+   * @returns {HTMLElement} The new row
+   */
+  function addUrlRuleRow(rule) {
+    const row = urlRuleTemplate.content.firstElementChild.cloneNode(true);
+    const settings = rule.settings || {};
+
+    row.querySelector('.url-rule-pattern').value = rule.pattern || '';
+    row.querySelectorAll('.url-rule-feature').forEach((select) => {
+      const value = settings[select.dataset.feature];
+      select.value = typeof value === 'boolean' ? (value ? 'on' : 'off') : '';
+    });
+
+    urlRuleList.appendChild(row);
+    return row;
+  }
+
+  /**
+   * Show the rules of the current site
+   * @param {Array<Object>} rules - Every stored rule
+   */
+  function renderUrlRules(rules) {
+    urlRuleList.textContent = '';
+    rules.filter(rule => rule.site === currentScope).forEach(addUrlRuleRow);
+  }
+
+  /**
+   * Save the rule rows as the current site's rules, keeping other sites' rules
+   * Rows without a pattern yet are left out
+   */
+  function saveUrlRules() {
+    const siteRules = readUrlRules().filter(rule => rule.pattern);
+    const scope = currentScope;
+
+    browserApi.storage.get('sync', { [URL_RULES_KEY]: [] }).then((items) => {
+      const otherRules = (items[URL_RULES_KEY] || []).filter(rule => rule.site !== scope);
+
+      saveSettings({ [URL_RULES_KEY]: otherRules.concat(siteRules) });
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error loading URL rules:', error);
+    });
+  }
+
+  /**
+   * Show a button per profile, marking the active one
+   * @param {Object} items - Items read from synced storage
+   */
+  function renderProfiles(items) {
+    const profiles = getProfiles(items);
+    const activeId = items[ACTIVE_PROFILE_KEY];
+    const active = profiles[activeId];
+    const ids = Object.keys(profiles);
+
+    // Rebuilding drops the focused chip, so keyboard users get it back
+    const focused = profileList.contains(document.activeElement) ? document.activeElement.dataset.profile : null;
+
+    profileList.textContent = '';
+    ids.forEach((id) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'profile-chip';
+      button.dataset.profile = id;
+      button.textContent = profiles[id].name;
+      button.setAttribute('aria-pressed', String(id === activeId));
+      profileList.appendChild(button);
+      if (id === focused) {
+        button.focus();
       }
+    });
+
+    if (active) {
+      profileHintElement.textContent = getMessage('profileHintActive', active.name);
+    } else if (ids.length > 0) {
+      profileHintElement.textContent = getMessage('profileHintUnsaved');
+    } else {
+      profileHintElement.textContent = getMessage('profileHintEmpty');
+    }
+
+    deleteProfileButton.hidden = !active;
+  }
 
+  /**
+   * Read the settings and every profile from synced storage
+   * @returns {Promise<Object>} Stored items over POPUP_STORAGE_DEFAULTS
+   */
+  function readSyncedItems() {
+    return browserApi.storage.get('sync', null).then(items => ({ ...POPUP_STORAGE_DEFAULTS, ...items }));
+  }
+
+  /**
+   * Load settings from storage and update UI
+   * @param {boolean} withRules - Also rebuild the URL rule rows
+   */
+  function loadSettings(withRules) {
+    readSyncedItems().then((items) => {
       console.log('[ErgonomicGPT] Settings loaded:', items);
+      renderSettings(items, withRules);
+      renderProfiles(items);
+      renderBreakReminders(items);
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error loading settings:', error);
+    });
+  }
+
+  /**
+   * Read all settings and profiles, then store what a profile helper returns
+   * @param {Function} change - Gets the stored items, returns { items, removedKeys } or null
+   * @param {string} message - Announced once stored
+   */
+  function changeProfiles(change, message) {
+    readSyncedItems().then((items) => {
+      const update = change(items);
+      if (!update) return;
+
+      browserApi.storage.set('sync', update.items).then(() => {
+        if (update.removedKeys.length > 0) {
+          return browserApi.storage.remove('sync', update.removedKeys);
+        }
+        return undefined;
+      }).then(() => {
+        console.log('[ErgonomicGPT] Profiles saved:', update);
+        saveStatusElement.hidden = true;
+        // A switch replaces the URL rules too, so rebuild their rows
+        loadSettings(true);
+        announce(message);
+      }, showSaveError);
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error loading profiles:', error);
+    });
+  }
+
+  /**
+   * Switch to the clicked profile
+   * @param {Event} event - Click event
+   */
+  function handleProfileClick(event) {
+    const button = event.target.closest('.profile-chip');
+    if (!button) return;
+
+    console.log(`[ErgonomicGPT] Switching to profile ${button.textContent}`);
+    changeProfiles(items => switchProfile(items, button.dataset.profile),
+      getMessage('announceProfileSwitched', button.textContent));
+  }
+
+  /**
+   * Save the current settings as a new profile
+   * @param {Event} event - Submit event
+   */
+  function handleNewProfileSubmit(event) {
+    event.preventDefault();
+
+    const name = newProfileNameInput.value;
+    if (!name.trim()) {
+      newProfileNameInput.focus();
+      return;
+    }
+
+    changeProfiles(items => createProfile(items, name), getMessage('announceProfileSaved', name.trim()));
+
+    newProfileForm.hidden = true;
+    newProfileButton.hidden = false;
+    newProfileButton.focus();
+  }
+
+  /**
+   * Delete the active profile, keeping the current settings
+   */
+  function handleDeleteProfile() {
+    changeProfiles(items => deleteProfile(items, items[ACTIVE_PROFILE_KEY]), getMessage('announceProfileDeleted'));
+  }
+
+  /**
+   * Fill the scope picker and preselect the site of the active tab
+   * @param {Function} callback - Called once the scope is chosen
+   */
+  function setupScope(callback) {
+    const queryTabs = browserApi.isAvailable('tabs') ?
+      browserApi.tabs.query({ active: true, currentWindow: true }).catch((error) => {
+        console.error('[ErgonomicGPT] Error reading active tab:', error);
+        return [];
+      }) :
+      Promise.resolve([]);
+    const readCustomSites = browserApi.storage.get('local', { [CUSTOM_SITES_KEY]: {} }).catch((error) => {
+      console.error('[ErgonomicGPT] Error loading custom sites:', error);
+      return {};
+    });
+
+    Promise.all([queryTabs, readCustomSites]).then(([tabs, items]) => {
+      customSites = listCustomSites(items[CUSTOM_SITES_KEY]);
+      SITES.concat(customSites).forEach((site) => {
+        const option = document.createElement('option');
+        option.value = site.id;
+        option.textContent = site.name;
+        scopeSelect.appendChild(option);
+      });
+
+      const tab = tabs && tabs[0];
+      activeTabId = tab ? tab.id : null;
+
+      // Opening the popup grants activeTab, so the URL is visible on any page
+      const url = tab && tab.url ? tab.url : '';
+      const site = findSiteByUrl(url) || findCustomSiteByUrl(items[CUSTOM_SITES_KEY], url);
+      activeOrigin = /^https?:/.test(url) ? new URL(url).origin : null;
+      activeSiteId = site ? site.id : null;
+      currentScope = site ? site.id : GLOBAL_SCOPE;
+      scopeSelect.value = currentScope;
+      callback();
+    });
+  }
+
+  /**
+   * Offer to add the active tab's origin, or to pick again or remove the
+   * selected custom site
+   */
+  function renderCustomSite() {
+    const site = customSites.find(entry => entry.id === currentScope);
+    const canAdd = !site && currentScope === GLOBAL_SCOPE && !activeSiteId && activeOrigin !== null;
+
+    customSiteSection.hidden = !site && !canAdd;
+    addCustomSiteButton.hidden = !canAdd;
+    repickCustomSiteButton.hidden = !site || site.id !== activeSiteId;
+    removeCustomSiteButton.hidden = !site;
+
+    if (site) {
+      customSiteHint.textContent = getMessage('customSiteHint', site.origin);
+    } else if (canAdd) {
+      customSiteHint.textContent = getMessage('addSiteHint', new URL(activeOrigin).host);
+    }
+  }
+
+  /**
+   * Ask for access to the active tab's origin, then start the element
+   * picker there; the popup closes so the page can be clicked
+   * Permission requests need the click that asked for them, so this must
+   * run straight from the button's handler
+   */
+  function handlePickSite() {
+    const origin = activeOrigin;
 
-      // Update checkboxes to match saved settings
-      chatboxTopCheckbox.checked = items.chatboxTop;
-      reverseMessagesCheckbox.checked = items.reverseMessages;
+    browserApi.permissions.request({ origins: [getOriginPattern(origin)] }).then((granted) => {
+      if (!granted) {
+        announce(getMessage('addSiteDenied', new URL(origin).host));
+        return undefined;
+      }
+
+      return browserApi.scripting.executeScript({ target: { tabId: activeTabId }, files: PICKER_SCRIPTS })
+        .then(() => window.close());
+    }).catch((error) => {
+      console.error('[ErgonomicGPT] Error starting the element picker:', error);
+      announce(getMessage('addSiteFailed'));
+    });
+  }
+
+  /**
+   * Remove the selected custom site with its settings and overrides, and
+   * give up access to its origin unless another custom site shares it
+   */
+  function handleRemoveSite() {
+    const site = customSites.find(entry => entry.id === currentScope);
+    const pattern = getOriginPattern(site.origin);
+    const others = customSites.filter(entry => entry.id !== site.id);
+
+    stopPreview();
+
+    Promise.all([
+      browserApi.storage.get('local', { [CUSTOM_SITES_KEY]: {}, [SITE_OVERRIDES_KEY]: {} }),
+      browserApi.storage.get('sync', { [SITE_SETTINGS_KEY]: {}, [URL_RULES_KEY]: [] }),
+    ]).then(([localItems, syncItems]) => {
+      const sites = localItems[CUSTOM_SITES_KEY] || {};
+      const siteOverrides = localItems[SITE_OVERRIDES_KEY] || {};
+      const siteSettings = syncItems[SITE_SETTINGS_KEY] || {};
+      delete sites[site.id];
+      delete siteOverrides[site.id];
+      delete siteSettings[site.id];
+
+      // background/custom-sites.js unregisters the site's scripts
+      return Promise.all([
+        browserApi.storage.set('local', { [CUSTOM_SITES_KEY]: sites, [SITE_OVERRIDES_KEY]: siteOverrides }),
+        browserApi.storage.set('sync', {
+          [SITE_SETTINGS_KEY]: siteSettings,
+          [URL_RULES_KEY]: (syncItems[URL_RULES_KEY] || []).filter(rule => rule.site !== site.id),
+        }),
+      ]);
+    }).then(() => {
+      if (others.some(entry => getOriginPattern(entry.origin) === pattern)) {
+        return undefined;
+      }
+      return browserApi.permissions.remove({ origins: [pattern] });
+    }).then(() => {
+      console.log(`[ErgonomicGPT] Custom site removed: ${site.origin}`);
+      customSites = others;
+      if (activeSiteId === site.id) {
+        activeSiteId = null;
+      }
+
+      scopeSelect.querySelector(`option[value="${site.id}"]`).remove();
+      currentScope = GLOBAL_SCOPE;
+      scopeSelect.value = currentScope;
+      loadSettings(true);
+      loadOverrides();
+      renderCustomSite();
+      announce(getMessage('announceSiteRemoved', site.name));
+    }).catch((error) => {
+      console.error('[ErgonomicGPT] Error removing custom site:', error);
+    });
+  }
+
+  /**
+   * Show a warning for every site whose layout is currently unsupported
+   * @param {Object} statuses - Health check results keyed by site id
+   */
+  function renderLayoutStatus(statuses) {
+    const unsupported = Object.values(statuses || {}).filter(status => !status.supported);
+
+    layoutStatusElement.textContent = '';
+    unsupported.forEach((status) => {
+      const line = document.createElement('p');
+      const reasonMessage = LAYOUT_PROBLEM_MESSAGES[status.reason];
+      const reason = reasonMessage ? getMessage(reasonMessage) : status.reason;
+      line.textContent = getMessage('layoutUnsupported', [status.name, reason]);
+      layoutStatusElement.appendChild(line);
+    });
+
+    layoutStatusElement.hidden = unsupported.length === 0;
+  }
+
+  /**
+   * Load layout health results from storage and keep them up to date
+   */
+  function loadLayoutStatus() {
+    browserApi.storage.get('local', { [LAYOUT_STATUS_KEY]: {} }).then((items) => {
+      renderLayoutStatus(items[LAYOUT_STATUS_KEY]);
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error loading layout status:', error);
+    });
+
+    browserApi.storage.onChanged((changes, areaName) => {
+      if (areaName === 'local' && changes[LAYOUT_STATUS_KEY]) {
+        renderLayoutStatus(changes[LAYOUT_STATUS_KEY].newValue);
+      }
     });
   }
 
   /**
    * Save settings to storage
    * @param {Object} settings - Settings object to save
+   * @param {Function} [callback] - Called once saved
+   */
+  function saveSettings(settings, callback) {
+    browserApi.storage.set('sync', settings).then(() => {
+      console.log('[ErgonomicGPT] Settings saved:', settings);
+      saveStatusElement.hidden = true;
+      if (callback) callback();
+    }, showSaveError);
+  }
+
+  /**
+   * Say that synced storage refused a change, and show what it still holds
+   * @param {Error} error - Storage error, e.g. QUOTA_BYTES_PER_ITEM exceeded
    */
-  function saveSettings(settings) {
-    chrome.storage.sync.set(settings, () => {
-      if (chrome.runtime.lastError) {
-        console.error('[ErgonomicGPT] Error saving settings:', chrome.runtime.lastError);
-        return;
+  function showSaveError(error) {
+    console.error('[ErgonomicGPT] Error saving settings:', error);
+
+    // Chrome names the quota it hit, Firefox says it exceeded its quota
+    const overQuota = /quota/i.test((error && error.message) || '');
+    saveStatusElement.textContent = getMessage(overQuota ? 'saveFailedQuota' : 'saveFailed');
+    saveStatusElement.hidden = false;
+    loadSettings(true);
+  }
+
+  /**
+   * Get the message labelling an overridable selector
+   * @param {string} name - Selector name, e.g. 'composerParent'
+   * @returns {string} Message key, e.g. 'selectorComposerParent'
+   */
+  function getSelectorLabelKey(name) {
+    return `selector${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  }
+
+  /**
+   * Add a field for each selector a site's overrides may replace
+   */
+  function setupOverrideFields() {
+    OVERRIDABLE_SELECTORS.forEach((name) => {
+      const field = overrideSelectorTemplate.content.firstElementChild.cloneNode(true);
+      const input = field.querySelector('.override-selector');
+      const label = field.querySelector('label');
+      const error = field.querySelector('.override-error');
+
+      input.id = `${name}Override`;
+      input.dataset.selector = name;
+      label.htmlFor = input.id;
+      label.textContent = getMessage(getSelectorLabelKey(name));
+      error.id = `${input.id}Error`;
+      input.setAttribute('aria-describedby', error.id);
+
+      overrideSelectorsElement.appendChild(field);
+    });
+  }
+
+  /**
+   * Check that the browser accepts a selector
+   * @param {string} selector - CSS selector
+   * @returns {boolean}
+   */
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Mark the selector fields the browser rejects
+   * @returns {HTMLInputElement|null} First rejected field, or null if all are fine
+   */
+  function validateOverrides() {
+    let firstInvalid = null;
+
+    overrideSelectorsElement.querySelectorAll('.override-selector').forEach((input) => {
+      const value = input.value.trim();
+      const invalid = Boolean(value) && !isValidSelector(value);
+
+      input.setAttribute('aria-invalid', String(invalid));
+      input.parentElement.querySelector('.override-error').hidden = !invalid;
+      if (invalid && !firstInvalid) {
+        firstInvalid = input;
       }
+    });
 
-      console.log('[ErgonomicGPT] Settings saved:', settings);
+    return firstInvalid;
+  }
+
+  /**
+   * Read the override fields, leaving out blank and rejected selectors
+   * @returns {Object} Overrides as stored for a site
+   */
+  function readOverrides() {
+    const selectors = {};
+
+    overrideSelectorsElement.querySelectorAll('.override-selector').forEach((input) => {
+      const value = input.value.trim();
+      if (value && isValidSelector(value)) {
+        selectors[input.dataset.selector] = value;
+      }
+    });
+
+    return {
+      enabled: overridesEnabledCheckbox.checked,
+      selectors,
+      css: overrideCssInput.value,
+    };
+  }
+
+  /**
+   * Fill the override fields
+   * @param {Object} overrides - Overrides as stored for a site
+   */
+  function renderOverrides(overrides) {
+    const selectors = overrides.selectors || {};
+
+    overridesEnabledCheckbox.checked = overrides.enabled !== false;
+    overrideSelectorsElement.querySelectorAll('.override-selector').forEach((input) => {
+      input.value = selectors[input.dataset.selector] || '';
+    });
+    overrideCssInput.value = overrides.css || '';
+    validateOverrides();
+  }
+
+  /**
+   * Show the overrides of the current site, or hide them for All sites
+   */
+  function loadOverrides() {
+    const scope = currentScope;
+
+    siteOverridesSection.hidden = scope === GLOBAL_SCOPE;
+    if (scope === GLOBAL_SCOPE) return;
+
+    siteOverridesHint.textContent = getMessage('siteOverridesHint', getScopeName(scope));
+
+    browserApi.storage.get('local', { [SITE_OVERRIDES_KEY]: {} }).then((items) => {
+      // The scope may have changed while reading
+      if (scope !== currentScope) return;
+
+      savedOverrides = (items[SITE_OVERRIDES_KEY] || {})[scope] || {};
+      renderOverrides(savedOverrides);
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error loading overrides:', error);
+    });
+  }
+
+  /**
+   * Store the current site's overrides, keeping other sites' overrides
+   * @param {Object|null} overrides - Overrides to store, or null to remove them
+   * @param {Function} [callback] - Called once stored
+   */
+  function saveOverrides(overrides, callback) {
+    const scope = currentScope;
+
+    browserApi.storage.get('local', { [SITE_OVERRIDES_KEY]: {} }).then((items) => {
+      const siteOverrides = items[SITE_OVERRIDES_KEY] || {};
+
+      if (overrides) {
+        siteOverrides[scope] = overrides;
+      } else {
+        delete siteOverrides[scope];
+      }
+
+      return browserApi.storage.set('local', { [SITE_OVERRIDES_KEY]: siteOverrides });
+    }).then(() => {
+      console.log(`[ErgonomicGPT] Overrides saved (${getScopeName(scope)}):`, overrides);
+      savedOverrides = overrides || {};
+      if (callback) callback();
+    }).catch((error) => {
+      console.error('[ErgonomicGPT] Error saving overrides:', error);
+    });
+  }
+
+  /**
+   * Say whether the active tab shows the fields' overrides
+   */
+  function renderPreviewStatus() {
+    overridePreviewStatus.textContent = previewPort ?
+      getMessage('overridesPreviewing') :
+      getMessage('overridesNoPreview', getScopeName(currentScope));
+  }
+
+  /**
+   * Show the built-in selectors the active tab uses as placeholders
+   */
+  function loadSelectorPlaceholders() {
+    browserApi.tabs.sendMessage(activeTabId, { type: DIAGNOSE_MESSAGE }).then((report) => {
+      ((report && report.selectors) || []).forEach((entry) => {
+        const input = overrideSelectorsElement.querySelector(`[data-selector="${entry.name}"]`);
+        if (input && entry.builtIn) {
+          input.placeholder = entry.builtIn;
+        }
+      });
+    }).catch((error) => {
+      console.warn('[ErgonomicGPT] Could not read built-in selectors:', error.message);
+    });
+  }
+
+  /**
+   * Preview the override fields on the active tab, if it shows the current site
+   * The content script goes back to the saved overrides once the port closes
+   */
+  function startPreview() {
+    if (!previewPort && activeTabId !== null && currentScope === activeSiteId) {
+      previewPort = browserApi.tabs.connect(activeTabId, OVERRIDE_PREVIEW_PORT);
+
+      // No content script to preview on, e.g. the tab wasn't reloaded after an update
+      previewPort.onDisconnect.addListener(() => {
+        previewPort = null;
+        renderPreviewStatus();
+      });
+      loadSelectorPlaceholders();
+    }
+
+    renderPreviewStatus();
+  }
+
+  /**
+   * End the preview, so the active tab shows the saved overrides again
+   */
+  function stopPreview() {
+    clearTimeout(previewTimer);
+    if (previewPort) {
+      previewPort.disconnect();
+      previewPort = null;
+    }
+    renderPreviewStatus();
+  }
+
+  /**
+   * Send the override fields to the preview once typing pauses
+   */
+  function schedulePreview() {
+    validateOverrides();
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(() => {
+      if (previewPort) {
+        previewPort.postMessage({ overrides: readOverrides() });
+      }
+    }, PREVIEW_DELAY_MS);
+  }
+
+  /**
+   * Save the override fields, unless a selector is rejected
+   */
+  function handleSaveOverrides() {
+    const invalid = validateOverrides();
+    if (invalid) {
+      invalid.focus();
+      announce(getMessage('overridesInvalid'));
+      return;
+    }
+
+    const scope = currentScope;
+    saveOverrides(readOverrides(), () => {
+      announce(getMessage('announceOverridesSaved', getScopeName(scope)));
+    });
+  }
+
+  /**
+   * Switch the saved overrides off or on right away, leaving unsaved edits
+   * in the fields, so a page the overrides broke is one click from working
+   */
+  function handleOverridesEnabledChange() {
+    const scope = currentScope;
+
+    saveOverrides({ ...savedOverrides, enabled: overridesEnabledCheckbox.checked },
+      () => announceChange(overridesEnabledCheckbox, scope));
+    schedulePreview();
+  }
+
+  /**
+   * Put the saved overrides back in the fields
+   */
+  function handleDiscardOverrides() {
+    renderOverrides(savedOverrides);
+    schedulePreview();
+  }
+
+  /**
+   * Drop the current site's overrides, so it uses the built-in selectors again
+   */
+  function handleRemoveOverrides() {
+    const scope = currentScope;
+
+    saveOverrides(null, () => {
+      renderOverrides({});
+      schedulePreview();
+      announce(getMessage('announceOverridesRemoved', getScopeName(scope)));
+    });
+  }
+
+  /**
+   * Turn a content script's diagnostics into plain text for bug reports
+   * Left in English, like the console logs, so maintainers can read it
+   * @param {Object} report - Diagnostics from the content-script core
+   * @returns {string}
+   */
+  function formatDiagnostics(report) {
+    const manifest = browserApi.runtime.getManifest();
+    const version = manifest ? ` ${manifest.version}` : '';
+    const composer = report.composer;
+    const overrides = report.selectors.filter(entry => entry.overridden).map(entry => entry.name);
+    if (report.customCss) {
+      overrides.push('custom CSS');
+    }
+    const lines = [
+      `ErgonomicGPT${version} diagnostics`,
+      `Page: ${report.page}`,
+      `Site adapter: ${report.site.name} (${report.site.id})`,
+      `Layout: ${report.layout || 'none matched'}`,
+      `Generations: ${report.generations.map(entry => `${entry.name} ${entry.detected ? '(matches)' : '(no match)'}`).join(', ')}`,
+      `Layout check: ${report.problem || 'OK'}`,
+      'Selectors:',
+      ...report.selectors.map(entry => (
+        `  ${entry.name}: ${entry.selector} -> ${entry.count === null ? 'invalid selector' : entry.count}` +
+        (entry.overridden ? ` (override, built-in: ${entry.builtIn || 'none'})` : '')
+      )),
+      `Overrides: ${overrides.join(', ') || 'none'}${report.preview ? ' (unsaved preview)' : ''}`,
+      `HTML classes: ${report.htmlClasses.join(' ') || 'none'}`,
+      ...Object.keys(report.customProperties).map(name => `${name}: ${report.customProperties[name]}`),
+    ];
+
+    if (!composer) {
+      lines.push('Composer: not found');
+    } else if (composer.firstMessageTop === null) {
+      lines.push(`Composer: top ${composer.composerTop}px of ${composer.viewportHeight}px, no messages`);
+    } else {
+      lines.push(`Composer: top ${composer.composerTop}px of ${composer.viewportHeight}px, ` +
+        `first message at ${composer.firstMessageTop}px ` +
+        `(${composer.composerBeforeMessages ? 'above' : 'below'} the messages)`);
+    }
+
+    lines.push(`Browser: ${navigator.userAgent}`);
+    return lines.join('\n');
+  }
+
+  /**
+   * Ask the active tab's content script for diagnostics and show them
+   */
+  function handleDiagnose() {
+    diagnoseButton.setAttribute('aria-expanded', 'true');
+    diagnosticsPanel.hidden = false;
+
+    const request = activeTabId === null ?
+      Promise.reject(new Error('No active tab')) :
+      browserApi.tabs.sendMessage(activeTabId, { type: DIAGNOSE_MESSAGE });
+
+    request.then((report) => {
+      // No answer means no content script, e.g. an unsupported page
+      if (!report) {
+        throw new Error('No diagnostics received');
+      }
+
+      diagnosticsReport.textContent = formatDiagnostics(report);
+      copyDiagnosticsButton.hidden = false;
+      announce(getMessage('announceReportReady'));
+    }).catch((error) => {
+      console.warn('[ErgonomicGPT] Could not diagnose tab:', error.message);
+      diagnosticsReport.textContent = getMessage('diagnoseUnavailable');
+      copyDiagnosticsButton.hidden = true;
+      announce(getMessage('diagnoseUnavailable'));
     });
   }
 
   /**
-   * Handle checkbox changes
+   * Copy the diagnostics report, or select it to copy by hand
+   */
+  function handleCopyDiagnostics() {
+    const copy = navigator.clipboard ?
+      navigator.clipboard.writeText(diagnosticsReport.textContent) :
+      Promise.reject(new Error('Clipboard not available'));
+
+    copy.then(() => {
+      announce(getMessage('announceReportCopied'));
+    }, (error) => {
+      console.warn('[ErgonomicGPT] Could not copy report:', error.message);
+      window.getSelection().selectAllChildren(diagnosticsReport);
+      diagnosticsReport.focus();
+      announce(getMessage('reportCopyFailed'));
+    });
+  }
+
+  /**
+   * Handle checkbox and select changes
    * @param {Event} event - Change event
    */
-  function handleCheckboxChange(event) {
-    const checkbox = event.target;
-    const settingName = checkbox.id;
-    const value = checkbox.checked;
+  function handleSettingChange(event) {
+    const control = event.target;
+    const settingName = control.id;
+    let value = control.type === 'checkbox' ? control.checked : control.value;
+    if (typeof DEFAULT_SETTINGS[settingName] === 'number') {
+      value = Number(value);
+    }
+    const scope = currentScope;
+
+    console.log(`[ErgonomicGPT] Setting ${settingName} changed to:`, value, `(${getScopeName(scope)})`);
+
+    if (scope === GLOBAL_SCOPE) {
+      saveSettings({ [settingName]: value }, () => announceChange(control, scope));
+      return;
+    }
 
-    console.log(`[ErgonomicGPT] Setting ${settingName} changed to:`, value);
+    // Get all current site overrides
+    browserApi.storage.get('sync', { [SITE_SETTINGS_KEY]: {} }).then((items) => {
+      const siteSettings = items[SITE_SETTINGS_KEY] || {};
 
-    // Get all current settings
-    chrome.storage.sync.get(DEFAULT_SETTINGS, (items) => {
-      // Update only the changed setting
-      items[settingName] = value;
+      // Update only the changed setting for this site
+      siteSettings[scope] = { ...siteSettings[scope], [settingName]: value };
 
       // Save back to storage
-      saveSettings(items);
+      saveSettings({ [SITE_SETTINGS_KEY]: siteSettings }, () => announceChange(control, scope));
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error loading site settings:', error);
+    });
+  }
+
+  /**
+   * Update the break reminder controls
+   * @param {Object} items - Items read from synced storage
+   */
+  function renderBreakReminders(items) {
+    const breakReminders = resolveBreakReminders(items);
+
+    breakEnabledCheckbox.checked = breakReminders.enabled;
+    breakIntervalSelect.value = String(breakReminders.intervalMinutes);
+    breakIntervalSelect.disabled = !breakReminders.enabled;
+    breakStyleSelect.value = breakReminders.style;
+    breakStyleSelect.disabled = !breakReminders.enabled;
+  }
+
+  /**
+   * Save the break reminder controls; they apply to every site
+   */
+  function handleBreakRemindersChange(event) {
+    saveSettings({
+      [BREAK_REMINDERS_KEY]: {
+        enabled: breakEnabledCheckbox.checked,
+        intervalMinutes: Number(breakIntervalSelect.value),
+        style: breakStyleSelect.value,
+      },
+    }, () => announceChange(event.target));
+  }
+
+  /**
+   * Switch ErgonomicGPT off or back on for the current site
+   */
+  function handleSiteEnabledChange() {
+    const scope = currentScope;
+    const enabled = siteEnabledCheckbox.checked;
+
+    console.log(`[ErgonomicGPT] ${getScopeName(scope)} ${enabled ? 'enabled' : 'disabled'}`);
+
+    browserApi.storage.get('sync', { [SITE_SETTINGS_KEY]: {} }).then((items) => {
+      const siteSettings = items[SITE_SETTINGS_KEY] || {};
+      const overrides = { ...siteSettings[scope] };
+
+      if (enabled) {
+        delete overrides.enabled;
+      } else {
+        overrides.enabled = false;
+      }
+
+      siteSettings[scope] = overrides;
+      saveSettings({ [SITE_SETTINGS_KEY]: siteSettings }, () => announceChange(siteEnabledCheckbox, scope));
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error loading site settings:', error);
+    });
+  }
+
+  /**
+   * Drop the overrides of the current site so it follows All sites again
+   */
+  function handleResetSite() {
+    const scope = currentScope;
+
+    browserApi.storage.get('sync', { [SITE_SETTINGS_KEY]: {} }).then((items) => {
+      const siteSettings = items[SITE_SETTINGS_KEY] || {};
+      delete siteSettings[scope];
+
+      saveSettings({ [SITE_SETTINGS_KEY]: siteSettings }, () => {
+        announce(getMessage('announceSiteReset', getScopeName(scope)));
+      });
+    }, (error) => {
+      console.error('[ErgonomicGPT] Error loading site settings:', error);
     });
   }
 
@@ -78,25 +1145,193 @@
    * Setup event listeners
    */
   function setupEventListeners() {
-    chatboxTopCheckbox.addEventListener('change', handleCheckboxChange);
-    reverseMessagesCheckbox.addEventListener('change', handleCheckboxChange);
+    chatboxTopCheckbox.addEventListener('change', handleSettingChange);
+    reverseMessagesCheckbox.addEventListener('change', handleSettingChange);
+    reverseModeSelect.addEventListener('change', handleSettingChange);
+    collapseTurnsSelect.addEventListener('change', handleSettingChange);
+    composerOffsetSelect.addEventListener('change', handleSettingChange);
+    fontScaleSelect.addEventListener('change', handleSettingChange);
+    lineHeightSelect.addEventListener('change', handleSettingChange);
+    maxLineWidthSelect.addEventListener('change', handleSettingChange);
+    siteEnabledCheckbox.addEventListener('change', handleSiteEnabledChange);
+    resetSiteButton.addEventListener('click', handleResetSite);
+    breakEnabledCheckbox.addEventListener('change', handleBreakRemindersChange);
+    breakIntervalSelect.addEventListener('change', handleBreakRemindersChange);
+    breakStyleSelect.addEventListener('change', handleBreakRemindersChange);
+
+    openOptionsButton.addEventListener('click', () => {
+      browserApi.runtime.openOptionsPage().catch((error) => {
+        console.error('[ErgonomicGPT] Error opening options:', error);
+      });
+    });
+
+    // Extension pages can't link to the browser's own pages, so open it for them
+    openShortcutsButton.addEventListener('click', () => {
+      browserApi.openShortcutSettings().catch((error) => {
+        console.error('[ErgonomicGPT] Error opening shortcut settings:', error);
+      });
+    });
+
+    diagnoseButton.addEventListener('click', handleDiagnose);
+    copyDiagnosticsButton.addEventListener('click', handleCopyDiagnostics);
+
+    // The preview runs while the advanced area is open
+    siteOverridesSection.addEventListener('toggle', () => {
+      if (siteOverridesSection.open) {
+        startPreview();
+      } else {
+        stopPreview();
+      }
+    });
+    overridesEnabledCheckbox.addEventListener('change', handleOverridesEnabledChange);
+    overrideSelectorsElement.addEventListener('input', schedulePreview);
+    overrideCssInput.addEventListener('input', schedulePreview);
+    saveOverridesButton.addEventListener('click', handleSaveOverrides);
+    discardOverridesButton.addEventListener('click', handleDiscardOverrides);
+    removeOverridesButton.addEventListener('click', handleRemoveOverrides);
+
+    // Rule rows come and go, so listen on the list
+    urlRuleList.addEventListener('change', saveUrlRules);
+    urlRuleList.addEventListener('click', (event) => {
+      const removeButton = event.target.closest('.url-rule-remove');
+      if (!removeButton) return;
+
+      removeButton.closest('.url-rule').remove();
+      saveUrlRules();
+    });
+
+    profileList.addEventListener('click', handleProfileClick);
+    newProfileForm.addEventListener('submit', handleNewProfileSubmit);
+    deleteProfileButton.addEventListener('click', handleDeleteProfile);
+
+    newProfileButton.addEventListener('click', () => {
+      newProfileNameInput.value = '';
+      newProfileForm.hidden = false;
+      newProfileButton.hidden = true;
+      newProfileNameInput.focus();
+    });
+
+    cancelNewProfileButton.addEventListener('click', () => {
+      newProfileForm.hidden = true;
+      newProfileButton.hidden = false;
+      newProfileButton.focus();
+    });
+
+    addUrlRuleButton.addEventListener('click', () => {
+      addUrlRuleRow({}).querySelector('.url-rule-pattern').focus();
+    });
+
+    addCustomSiteButton.addEventListener('click', handlePickSite);
+    repickCustomSiteButton.addEventListener('click', handlePickSite);
+    removeCustomSiteButton.addEventListener('click', handleRemoveSite);
+
+    scopeSelect.addEventListener('change', () => {
+      stopPreview();
+      currentScope = scopeSelect.value;
+      loadSettings(true);
+      loadOverrides();
+      renderCustomSite();
+      if (siteOverridesSection.open) {
+        startPreview();
+      }
+    });
+
+    // Keep the toggles in sync with saves from here or another device
+    // (rule rows are left alone so typing in them isn't interrupted)
+    browserApi.storage.onChanged((changes, areaName) => {
+      if (areaName === 'sync') {
+        loadSettings(false);
+      }
+    });
   }
 
   /**
    * Initialize popup
    */
   function init() {
+    localizePage();
+
     // Get DOM elements
     chatboxTopCheckbox = document.getElementById('chatboxTop');
     reverseMessagesCheckbox = document.getElementById('reverseMessages');
+    reverseModeSelect = document.getElementById('reverseMode');
+    collapseTurnsSelect = document.getElementById('collapseTurns');
+    composerOffsetSelect = document.getElementById('composerOffset');
+    fontScaleSelect = document.getElementById('fontScale');
+    lineHeightSelect = document.getElementById('lineHeight');
+    maxLineWidthSelect = document.getElementById('maxLineWidth');
+    siteEnabledCheckbox = document.getElementById('siteEnabled');
+    siteEnabledItem = document.getElementById('siteEnabledItem');
+    layoutStatusElement = document.getElementById('layoutStatus');
+    saveStatusElement = document.getElementById('saveStatus');
+    scopeSelect = document.getElementById('settingsScope');
+    scopeHintElement = document.getElementById('scopeHint');
+    resetSiteButton = document.getElementById('resetSiteSettings');
+    urlRulesSection = document.getElementById('urlRules');
+    urlRuleList = document.getElementById('urlRuleList');
+    urlRuleTemplate = document.getElementById('urlRuleTemplate');
+    addUrlRuleButton = document.getElementById('addUrlRule');
+    openOptionsButton = document.getElementById('openOptions');
+    openShortcutsButton = document.getElementById('openShortcuts');
+    profileList = document.getElementById('profileList');
+    profileHintElement = document.getElementById('profileHint');
+    newProfileButton = document.getElementById('newProfile');
+    newProfileForm = document.getElementById('newProfileForm');
+    newProfileNameInput = document.getElementById('newProfileName');
+    cancelNewProfileButton = document.getElementById('cancelNewProfile');
+    deleteProfileButton = document.getElementById('deleteProfile');
+    breakEnabledCheckbox = document.getElementById('breakRemindersEnabled');
+    breakIntervalSelect = document.getElementById('breakInterval');
+    breakStyleSelect = document.getElementById('breakStyle');
+    announcerElement = document.getElementById('announcer');
+    diagnoseButton = document.getElementById('diagnoseTab');
+    diagnosticsPanel = document.getElementById('diagnostics');
+    diagnosticsReport = document.getElementById('diagnosticsReport');
+    copyDiagnosticsButton = document.getElementById('copyDiagnostics');
+    siteOverridesSection = document.getElementById('siteOverrides');
+    siteOverridesHint = document.getElementById('siteOverridesHint');
+    overridesEnabledCheckbox = document.getElementById('overridesEnabled');
+    overrideSelectorsElement = document.getElementById('overrideSelectors');
+    overrideSelectorTemplate = document.getElementById('overrideSelectorTemplate');
+    overrideCssInput = document.getElementById('overrideCss');
+    overridePreviewStatus = document.getElementById('overridePreviewStatus');
+    saveOverridesButton = document.getElementById('saveOverrides');
+    discardOverridesButton = document.getElementById('discardOverrides');
+    removeOverridesButton = document.getElementById('removeOverrides');
+    customSiteSection = document.getElementById('customSite');
+    customSiteHint = document.getElementById('customSiteHint');
+    addCustomSiteButton = document.getElementById('addCustomSite');
+    repickCustomSiteButton = document.getElementById('repickCustomSite');
+    removeCustomSiteButton = document.getElementById('removeCustomSite');
 
-    if (!chatboxTopCheckbox || !reverseMessagesCheckbox) {
+    if (!chatboxTopCheckbox || !reverseMessagesCheckbox || !reverseModeSelect || !collapseTurnsSelect || !composerOffsetSelect ||
+        !fontScaleSelect || !lineHeightSelect || !maxLineWidthSelect ||
+        !siteEnabledCheckbox || !siteEnabledItem || !layoutStatusElement || !saveStatusElement ||
+        !scopeSelect || !scopeHintElement || !resetSiteButton ||
+        !urlRulesSection || !urlRuleList || !urlRuleTemplate ||
+        !addUrlRuleButton || !openOptionsButton || !openShortcutsButton ||
+        !profileList || !profileHintElement || !newProfileButton || !newProfileForm ||
+        !newProfileNameInput || !cancelNewProfileButton || !deleteProfileButton ||
+        !breakEnabledCheckbox || !breakIntervalSelect || !breakStyleSelect || !announcerElement ||
+        !diagnoseButton || !diagnosticsPanel || !diagnosticsReport || !copyDiagnosticsButton ||
+        !siteOverridesSection || !siteOverridesHint || !overridesEnabledCheckbox ||
+        !overrideSelectorsElement || !overrideSelectorTemplate || !overrideCssInput ||
+        !overridePreviewStatus || !saveOverridesButton || !discardOverridesButton || !removeOverridesButton ||
+        !customSiteSection || !customSiteHint || !addCustomSiteButton || !repickCustomSiteButton ||
+        !removeCustomSiteButton) {
       console.error('[ErgonomicGPT] Required DOM elements not found');
       return;
     }
 
-    // Load current settings
-    loadSettings();
+    setupOverrideFields();
+
+    // Load current settings for the active tab's site
+    setupScope(() => {
+      loadSettings(true);
+      loadOverrides();
+      renderCustomSite();
+    });
+    loadLayoutStatus();
 
     // Setup event listeners
     setupEventListeners();
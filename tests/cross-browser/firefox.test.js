@@ -0,0 +1,139 @@
+/**
+ * Firefox Tests
+ * Verifies manifest.firefox.json stays in step with manifest.json, and that
+ * the extension runs in Firefox when installed with it, see
+ * launchPlaywrightWithExtension
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { launchPlaywrightWithExtension, getAppliedSettings } = require('../utils/browser');
+const { isChatboxAtTop } = require('../utils/dom');
+
+const EXTENSION_PATH = global.TEST_CONFIG.EXTENSION_PATH;
+
+// Site whose content scripts run on the ChatGPT example
+const CHATGPT_ORIGIN = 'https://chatgpt.com';
+
+// Keys only the Firefox manifest may change
+const FIREFOX_ONLY_KEYS = ['background', 'browser_specific_settings'];
+
+/**
+ * Read a manifest from the extension root
+ * @param {string} file - Manifest file name
+ * @returns {Object}
+ */
+function readManifest(file) {
+  return JSON.parse(fs.readFileSync(path.join(EXTENSION_PATH, file), 'utf8'));
+}
+
+/**
+ * Drop the keys only the Firefox manifest may change
+ * @param {Object} manifest - Parsed manifest
+ * @returns {Object}
+ */
+function withoutFirefoxOnlyKeys(manifest) {
+  const shared = { ...manifest };
+  FIREFOX_ONLY_KEYS.forEach(key => delete shared[key]);
+  return shared;
+}
+
+/**
+ * Open chatgpt.com, served from the ChatGPT example, and wait for the
+ * add-on's content scripts
+ * @param {Page} page - Playwright page
+ */
+async function openChatGPT(page) {
+  await page.goto(`${CHATGPT_ORIGIN}/`, { waitUntil: 'load' });
+  await page.waitForSelector('main', { timeout: 15000 });
+  await page.waitForTimeout(1000);
+}
+
+describe('Firefox Tests', () => {
+  describe('Firefox manifest', () => {
+    const manifest = readManifest('manifest.json');
+    const firefoxManifest = readManifest('manifest.firefox.json');
+
+    test('should match manifest.json apart from the background and Gecko settings', () => {
+      expect(withoutFirefoxOnlyKeys(firefoxManifest)).toEqual(withoutFirefoxOnlyKeys(manifest));
+    });
+
+    test('should load the scripts the service worker imports, in the same order', () => {
+      const worker = fs.readFileSync(path.join(EXTENSION_PATH, 'background', 'service-worker.js'), 'utf8');
+      const imported = worker.match(/importScripts\(([^)]*)\)/)[1]
+        .match(/'([^']+)'/g)
+        .map(file => path.posix.join('background', file.slice(1, -1)));
+
+      expect(firefoxManifest.background.scripts).toEqual([...imported, 'background/service-worker.js']);
+    });
+
+    test('should give the extension a Gecko id for storage.sync', () => {
+      expect(firefoxManifest.browser_specific_settings.gecko.id).toMatch(/@/);
+    });
+  });
+
+  describe('Extension in Firefox', () => {
+    let browser;
+    let context;
+    let page;
+    let extensionPage;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchPlaywrightWithExtension({ browserName: 'firefox' });
+      browser = result.browser;
+      context = result.context;
+      page = result.page;
+
+      // Serve the example at the real origin, which the content scripts match
+      await page.route(`${CHATGPT_ORIGIN}/**`, route => route.fulfill({
+        path: global.TEST_CONFIG.CHATGPT_EXAMPLE_PATH,
+        contentType: 'text/html',
+      }));
+
+      // Extension pages see the add-on's own browser.* APIs
+      extensionPage = await context.newPage();
+      await extensionPage.goto(`${result.extensionUrl}popup/popup.html`);
+    }, 60000);
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    beforeEach(async () => {
+      await page.goto('about:blank');
+      await extensionPage.evaluate(() => browser.storage.sync.clear());
+    });
+
+    test('should apply the default settings', async () => {
+      await openChatGPT(page);
+
+      expect(await getAppliedSettings(page)).toEqual({ chatboxTop: true, reverseMessages: true });
+      expect(await isChatboxAtTop(page)).toBe(true);
+    });
+
+    test('should apply stored settings and follow changes', async () => {
+      await extensionPage.evaluate(() => browser.storage.sync.set({ reverseMessages: false }));
+      await openChatGPT(page);
+
+      expect(await getAppliedSettings(page)).toEqual({ chatboxTop: true, reverseMessages: false });
+
+      await extensionPage.evaluate(() => browser.storage.sync.set({ chatboxTop: false }));
+      await page.waitForTimeout(500);
+
+      expect(await getAppliedSettings(page)).toEqual({ chatboxTop: false, reverseMessages: false });
+    });
+
+    test('should answer the focus-composer message', async () => {
+      await openChatGPT(page);
+
+      const response = await extensionPage.evaluate((origin) => {
+        return browser.tabs.query({ url: `${origin}/*` })
+          .then(tabs => browser.tabs.sendMessage(tabs[0].id, { type: 'focus-composer' }));
+      }, CHATGPT_ORIGIN);
+
+      expect(response).toEqual({ focused: true });
+    });
+  });
+});
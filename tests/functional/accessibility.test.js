@@ -0,0 +1,147 @@
+/**
+ * Popup Accessibility Tests
+ * Verifies the popup passes automated WCAG A/AA checks in both themes, that
+ * its switches are named and keyboard operable with their new state read
+ * out, and that focus and reduced motion are respected
+ */
+
+const path = require('path');
+const { launchWithExtension } = require('../utils/browser');
+
+const POPUP_PATH = path.join(global.TEST_CONFIG.EXTENSION_PATH, 'popup', 'popup.html');
+const AXE_PATH = require.resolve('axe-core');
+
+/**
+ * Run axe against the popup
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Array<Object>>} Violations as { id, targets }
+ */
+async function runAxe(page) {
+  await page.addScriptTag({ path: AXE_PATH });
+
+  return await page.evaluate(async () => {
+    const results = await axe.run(document, {
+      runOnly: { type: 'tag', values: ['wcag2a', 'wcag2aa'] },
+    });
+    return results.violations.map(violation => ({
+      id: violation.id,
+      targets: violation.nodes.map(node => node.target.join(' ')),
+    }));
+  });
+}
+
+/**
+ * Read the live region
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<string>}
+ */
+async function getAnnouncement(page) {
+  // Announcements are set after a short pause so repeats are read again
+  await page.waitForTimeout(300);
+  return await page.$eval('#announcer', element => element.textContent);
+}
+
+/**
+ * Tab forward until an element has focus
+ * @param {Page} page - Puppeteer page
+ * @param {string} id - Element id
+ * @returns {Promise<boolean>} Whether the element was reached
+ */
+async function tabTo(page, id) {
+  for (let i = 0; i < 30; i++) {
+    await page.keyboard.press('Tab');
+    if (await page.evaluate(() => document.activeElement.id) === id) {
+      return true;
+    }
+  }
+  return false;
+}
+
+describe('Popup Accessibility Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await page.emulateMediaFeatures([
+      { name: 'prefers-color-scheme', value: 'light' },
+      { name: 'prefers-reduced-motion', value: 'no-preference' },
+    ]);
+    await page.goto(`file://${POPUP_PATH}`, { waitUntil: 'networkidle0' });
+  });
+
+  test('should pass WCAG A and AA checks in the light theme', async () => {
+    expect(await runAxe(page)).toEqual([]);
+  });
+
+  test('should pass WCAG A and AA checks in the dark theme', async () => {
+    await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: 'dark' }]);
+
+    expect(await runAxe(page)).toEqual([]);
+  });
+
+  test('should expose every toggle as a named, described switch', async () => {
+    const switches = await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('.toggle input')).map(input => ({
+        role: input.getAttribute('role'),
+        label: input.labels.length > 0 && Array.from(input.labels).some(label => label.textContent.trim()),
+        description: !!document.getElementById(input.getAttribute('aria-describedby')),
+      }));
+    });
+
+    expect(switches.length).toBeGreaterThan(0);
+    switches.forEach((entry) => {
+      expect(entry).toEqual({ role: 'switch', label: true, description: true });
+    });
+  });
+
+  test('should flip a switch from the keyboard and announce it', async () => {
+    expect(await tabTo(page, 'chatboxTop')).toBe(true);
+
+    await page.keyboard.press('Space');
+
+    expect(await page.$eval('#chatboxTop', input => input.checked)).toBe(false);
+    expect(await getAnnouncement(page)).toBe('Move chatbox to top: off (All sites)');
+  });
+
+  test('should announce a new select value', async () => {
+    await page.select('#fontScale', '125');
+
+    expect(await getAnnouncement(page)).toBe('Message text size: 125% (All sites)');
+  });
+
+  test('should show a focus ring on a focused switch', async () => {
+    await tabTo(page, 'chatboxTop');
+
+    const outline = await page.evaluate(() => {
+      const style = getComputedStyle(document.querySelector('#chatboxTop + .toggle-slider'));
+      return { style: style.outlineStyle, width: style.outlineWidth };
+    });
+    expect(outline).toEqual({ style: 'solid', width: '2px' });
+  });
+
+  test('should stop the switch animation when reduced motion is asked for', async () => {
+    const getDuration = () => page.$eval('.toggle-slider', element => getComputedStyle(element).transitionDuration);
+
+    expect(await getDuration()).toBe('0.3s');
+
+    await page.emulateMediaFeatures([{ name: 'prefers-reduced-motion', value: 'reduce' }]);
+    expect(await getDuration()).toBe('0s');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Break Reminder Tests
+ * Verifies active chatting is counted from content-script activity, the
+ * reminder shows as a notification or banner, and snooze and "skip today"
+ * hold it back
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  loadServiceWorker,
+} = require('../utils/browser');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Turn break reminders on
+ * @param {Page} page - Puppeteer page
+ * @param {Object} overrides - Settings to change from the defaults
+ */
+async function enableReminders(page, overrides = {}) {
+  await page.evaluate((overrides) => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set({
+        breakReminders: { enabled: true, intervalMinutes: 45, style: 'notification', ...overrides },
+      }, () => resolve());
+    });
+  }, overrides);
+
+  await page.waitForTimeout(300);
+}
+
+/**
+ * Store progress towards the next break, relative to now
+ * @param {Page} page - Puppeteer page
+ * @param {Object} state - activeMs plus how long ago the last ping was
+ */
+async function setBreakState(page, { activeMs, idleMs, ...rest }) {
+  await page.evaluate((activeMs, idleMs, rest) => {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({
+        breakState: { activeMs, lastActivityAt: Date.now() - idleMs, lastTabId: 1, ...rest },
+      }, () => resolve());
+    });
+  }, activeMs, idleMs, rest);
+}
+
+/**
+ * Read the progress towards the next break
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object|undefined>}
+ */
+async function getBreakState(page) {
+  return await page.evaluate(() => {
+    return new Promise((resolve) => {
+      chrome.storage.local.get('breakState', items => resolve(items.breakState));
+    });
+  });
+}
+
+/**
+ * Type in the page, then give the worker time to count it
+ * @param {Page} page - Puppeteer page
+ */
+async function chat(page) {
+  await page.keyboard.press('Shift');
+  await page.waitForTimeout(300);
+}
+
+/**
+ * Get the notifications the worker created
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>}
+ */
+async function getNotifications(page) {
+  return await page.evaluate(() => window.__notifications);
+}
+
+describe('Break Reminder Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => chrome.storage.local.clear(() => resolve()));
+      });
+    });
+    await navigateToChatGPT(page);
+    await loadServiceWorker(page);
+  });
+
+  test('should not count anything while reminders are off', async () => {
+    await chat(page);
+
+    expect(await getBreakState(page)).toBeUndefined();
+  });
+
+  test('should add up active minutes between pings', async () => {
+    await enableReminders(page);
+    await setBreakState(page, { activeMs: 10 * MINUTE_MS, idleMs: MINUTE_MS });
+    await chat(page);
+
+    const state = await getBreakState(page);
+    expect(state.activeMs).toBeGreaterThanOrEqual(11 * MINUTE_MS);
+    expect(state.activeMs).toBeLessThan(12 * MINUTE_MS);
+    expect(state.lastTabId).toBe(1);
+  });
+
+  test('should answer activity pings and break actions', async () => {
+    await enableReminders(page);
+
+    // Chrome rejects a sendMessage nobody answers
+    const replies = await page.evaluate(() => Promise.all(
+      [{ type: 'break-activity' }, { type: 'break-action', action: 'snooze' }].map(message => (
+        new Promise(resolve => chrome.runtime.sendMessage(message, resolve))
+      ))
+    ));
+
+    expect(replies).toEqual([{ ok: true }, { ok: true }]);
+  });
+
+  test('should start over after a quiet spell', async () => {
+    await enableReminders(page);
+    await setBreakState(page, { activeMs: 44 * MINUTE_MS, idleMs: 10 * MINUTE_MS });
+    await chat(page);
+
+    const state = await getBreakState(page);
+    expect(state.activeMs).toBe(0);
+    expect(await getNotifications(page)).toEqual({});
+  });
+
+  test('should notify once the interval is reached', async () => {
+    await enableReminders(page);
+    await setBreakState(page, { activeMs: 44 * MINUTE_MS, idleMs: MINUTE_MS });
+    await chat(page);
+
+    const notification = (await getNotifications(page))['break-reminder'];
+    expect(notification).toBeDefined();
+    expect(notification.message).toContain('45 minutes');
+    expect(notification.buttons.map(button => button.title)).toEqual(['Snooze 10 minutes', 'Skip today']);
+
+    const state = await getBreakState(page);
+    expect(state.activeMs).toBe(0);
+  });
+
+  test('should show a banner on the page when asked to', async () => {
+    await enableReminders(page, { style: 'banner', intervalMinutes: 20 });
+    await setBreakState(page, { activeMs: 20 * MINUTE_MS, idleMs: MINUTE_MS });
+    await chat(page);
+
+    const text = await page.evaluate(() => {
+      const host = document.getElementById('ergonomic-break-banner');
+      return host && host.shadowRoot.querySelector('[role="alertdialog"]').textContent;
+    });
+    expect(text).toContain('20 minutes');
+    expect(await getNotifications(page)).toEqual({});
+  });
+
+  test('should skip the rest of the day from the banner', async () => {
+    await enableReminders(page, { style: 'banner' });
+    await setBreakState(page, { activeMs: 45 * MINUTE_MS, idleMs: MINUTE_MS });
+    await chat(page);
+
+    await page.evaluate(() => {
+      const host = document.getElementById('ergonomic-break-banner');
+      host.shadowRoot.querySelector('button[data-action="skip"]').click();
+    });
+    await page.waitForTimeout(300);
+
+    const banner = await page.$('#ergonomic-break-banner');
+    expect(banner).toBeNull();
+
+    const state = await getBreakState(page);
+    expect(state.skippedDay).toBe(await page.evaluate(() => new Date().toDateString()));
+  });
+
+  test('should hold the reminder back while snoozed, then bring it back', async () => {
+    await enableReminders(page);
+    await setBreakState(page, { activeMs: 45 * MINUTE_MS, idleMs: MINUTE_MS });
+    await chat(page);
+
+    // Snooze from the notification's first button
+    await page.evaluate(() => {
+      window.__notificationButtonListeners.forEach(listener => listener('break-reminder', 0));
+    });
+    await page.waitForTimeout(300);
+
+    const alarm = await page.evaluate(() => window.__alarms['break-reminder-snooze']);
+    expect(alarm.when - Date.now()).toBeGreaterThan(9 * MINUTE_MS);
+    expect(await getNotifications(page)).toEqual({});
+
+    // Still chatting when the alarm fires, with the snooze over
+    await setBreakState(page, { activeMs: 0, idleMs: MINUTE_MS, snoozedUntil: 0 });
+    await page.evaluate(() => {
+      window.__alarmListeners.forEach(listener => listener({ name: 'break-reminder-snooze' }));
+    });
+    await page.waitForTimeout(300);
+
+    expect((await getNotifications(page))['break-reminder']).toBeDefined();
+  });
+});
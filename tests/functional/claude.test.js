@@ -0,0 +1,193 @@
+/**
+ * Functional Claude DOM Tests
+ * Verifies Claude DOM structure and CSS application
+ */
+
+const {
+  launchWithExtension,
+  navigateToClaude,
+  getAppliedSettings,
+  applySettings,
+} = require('../utils/browser');
+
+const {
+  getClaudeStructure,
+  isChatboxAtTop,
+  areMessagesReversed,
+  getComposerPosition,
+  verifyCSSApplication,
+  getComputedStyle,
+} = require('../utils/dom');
+
+describe('Functional Claude DOM Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension({ site: 'claude' });
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  describe('Extension Loading', () => {
+    test('should have correct Claude DOM structure', async () => {
+      await navigateToClaude(page);
+
+      const structure = await getClaudeStructure(page);
+
+      expect(structure.hasHeader).toBe(true);
+      expect(structure.hasComposerParent).toBe(true);
+      expect(structure.hasMessagesContainer).toBe(true);
+      expect(structure.hasFieldset).toBe(true);
+      expect(structure.hasEditor).toBe(true);
+      expect(structure.messageCount).toBeGreaterThan(0);
+      expect(structure.userMessageCount + structure.assistantMessageCount)
+        .toBe(structure.messageCount);
+    });
+  });
+
+  describe('Feature 1: Chatbox at Top', () => {
+    beforeEach(async () => {
+      await navigateToClaude(page);
+    });
+
+    test('should reverse the conversation column', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      const isAtTop = await isChatboxAtTop(page, 'claude');
+      expect(isAtTop).toBe(true);
+    });
+
+    test('should pin the composer to the top instead of the bottom', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      const top = await getComputedStyle(page, 'div.sticky.bottom-0', 'top');
+      expect(top).toBe('0px');
+    });
+
+    test('should verify composer appears before messages', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      const position = await getComposerPosition(page, 'claude');
+      expect(position).toBeTruthy();
+      expect(position.composerBeforeMessages).toBe(true);
+    });
+
+    test('should NOT apply when disabled', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(false);
+
+      const isAtTop = await isChatboxAtTop(page, 'claude');
+      expect(isAtTop).toBe(false);
+
+      const position = await getComposerPosition(page, 'claude');
+      expect(position.composerBeforeMessages).toBe(false);
+    });
+  });
+
+  describe('Feature 2: Reverse Messages', () => {
+    beforeEach(async () => {
+      await navigateToClaude(page);
+    });
+
+    test('should reverse messages container flex-direction', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: true });
+
+      const isReversed = await areMessagesReversed(page, 'claude');
+      expect(isReversed).toBe(true);
+    });
+
+    test('should show the newest message first', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: true });
+
+      const firstVisible = await page.evaluate(() => {
+        const messages = Array.from(document.querySelectorAll('div[data-test-render-count]'));
+        const sorted = messages
+          .map((el, index) => ({ index, top: el.getBoundingClientRect().top }))
+          .sort((a, b) => a.top - b.top);
+        return { index: sorted[0].index, total: messages.length };
+      });
+
+      expect(firstVisible.index).toBe(firstVisible.total - 1);
+    });
+
+    test('should NOT apply when disabled', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+
+      const isReversed = await areMessagesReversed(page, 'claude');
+      expect(isReversed).toBe(false);
+    });
+
+    test('should keep each prompt above its reply in turn mode', async () => {
+      await page.evaluate(() => {
+        return new Promise((resolve) => {
+          chrome.storage.sync.set({ reverseMessages: true, reverseMode: 'turn' }, () => resolve());
+        });
+      });
+      await page.waitForTimeout(500);
+
+      const visible = await page.evaluate(() => {
+        const messages = Array.from(document.querySelectorAll('div[data-test-render-count]'));
+        return messages
+          .map((el, index) => ({
+            index,
+            isPrompt: !!el.querySelector('[data-testid="user-message"]'),
+            top: el.getBoundingClientRect().top,
+          }))
+          .sort((a, b) => a.top - b.top);
+      });
+
+      // Newest prompt first, directly followed by its reply
+      const total = visible.length;
+      expect(visible[0].isPrompt).toBe(true);
+      expect(visible[0].index).toBe(total - 2);
+      expect(visible[1].index).toBe(total - 1);
+
+      await page.evaluate(() => {
+        return new Promise((resolve) => {
+          chrome.storage.sync.set({ reverseMode: 'message' }, () => resolve());
+        });
+      });
+    });
+  });
+
+  describe('Combined Features', () => {
+    beforeEach(async () => {
+      await navigateToClaude(page);
+    });
+
+    test('should verify CSS application for both features', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+
+      const verification = await verifyCSSApplication(page, {
+        chatboxTop: true,
+        reverseMessages: true,
+      }, 'claude');
+
+      expect(verification.valid).toBe(true);
+      expect(verification.issues).toHaveLength(0);
+    });
+
+    test('should switch the composer background in dark mode', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+      const lightBackground = await getComputedStyle(page, 'div.sticky.bottom-0', 'background-color');
+
+      await page.evaluate(() => {
+        document.documentElement.setAttribute('data-mode', 'dark');
+      });
+      await page.waitForTimeout(300);
+      const darkBackground = await getComputedStyle(page, 'div.sticky.bottom-0', 'background-color');
+
+      expect(darkBackground).not.toBe('rgba(0, 0, 0, 0)');
+      expect(darkBackground).not.toBe(lightBackground);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Turn Card Tests
+ * Verifies collapseTurns folds every turn but the latest ones into one-line
+ * cards showing their prompt, that a card opens its turn, and that turns
+ * stay collapsed or open while the site re-renders them
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  navigateToClaude,
+  navigateToGemini,
+  navigateToPerplexity,
+} = require('../utils/browser');
+
+// Sites with the prompt of their first turn
+const SITES = [
+  ['ChatGPT', navigateToChatGPT, 'Hello! Can you help me understand how flexbox works in CSS?'],
+  ['Claude', navigateToClaude, 'Hello! Can you help me understand how flexbox works in CSS?'],
+  ['Gemini', navigateToGemini, 'Hello! Can you help me understand how flexbox works in CSS?'],
+  ['Perplexity', navigateToPerplexity, 'How does CSS flexbox work?'],
+];
+
+/**
+ * Store settings and give the content script time to apply them
+ * @param {Page} page - Puppeteer page
+ * @param {Object} settings - Settings to store
+ */
+async function storeSettings(page, settings) {
+  await page.evaluate((settings) => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set(settings, () => resolve());
+    });
+  }, settings);
+
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Read the prompt text of every turn card, in DOM order
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Array<string>>}
+ */
+async function getCardPrompts(page) {
+  return await page.evaluate(() => {
+    return Array.from(document.querySelectorAll('.ergonomic-turn-card'))
+      .map(card => card.shadowRoot.querySelector('.prompt').textContent);
+  });
+}
+
+/**
+ * Count the message rows hidden behind cards
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<number>}
+ */
+async function countHiddenRows(page) {
+  return await page.evaluate(() => {
+    return Array.from(document.querySelectorAll('[data-ergonomic-collapsed]'))
+      .filter(row => getComputedStyle(row).display === 'none')
+      .length;
+  });
+}
+
+/**
+ * Open the turn behind a card
+ * @param {Page} page - Puppeteer page
+ * @param {number} index - Card index in DOM order
+ */
+async function openCard(page, index) {
+  await page.evaluate((index) => {
+    const card = document.querySelectorAll('.ergonomic-turn-card')[index];
+    card.shadowRoot.querySelector('button').click();
+  }, index);
+
+  await page.waitForTimeout(100);
+}
+
+/**
+ * Replace every ChatGPT message with a fresh copy, like a re-render
+ * @param {Page} page - Puppeteer page
+ */
+async function rerenderMessages(page) {
+  await page.evaluate(() => {
+    document.querySelectorAll('article').forEach((article) => {
+      const copy = article.cloneNode(true);
+      copy.removeAttribute('style');
+      copy.removeAttribute('data-ergonomic-collapsed');
+      article.replaceWith(copy);
+    });
+  });
+
+  await page.waitForTimeout(300);
+}
+
+describe('Turn Card Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await navigateToChatGPT(page);
+  });
+
+  test('should keep every turn open by default', async () => {
+    expect(await getCardPrompts(page)).toEqual([]);
+    expect(await countHiddenRows(page)).toBe(0);
+  });
+
+  SITES.forEach(([name, navigate, firstPrompt]) => {
+    test(`should collapse older ${name} turns into prompt cards`, async () => {
+      await navigate(page);
+      await storeSettings(page, { collapseTurns: 1 });
+
+      const prompts = await getCardPrompts(page);
+      expect(prompts.length).toBeGreaterThan(0);
+      expect(prompts[0]).toBe(firstPrompt);
+      expect(await countHiddenRows(page)).toBeGreaterThanOrEqual(prompts.length);
+    });
+  });
+
+  test('should show a collapsed turn as a single line', async () => {
+    await storeSettings(page, { collapseTurns: 1 });
+
+    const height = await page.evaluate(() => {
+      return document.querySelector('.ergonomic-turn-card').getBoundingClientRect().height;
+    });
+    expect(height).toBeGreaterThan(0);
+    expect(height).toBeLessThan(60);
+  });
+
+  test('should open a turn from its card', async () => {
+    await storeSettings(page, { collapseTurns: 1 });
+    const before = await getCardPrompts(page);
+
+    await openCard(page, 0);
+
+    expect(await getCardPrompts(page)).toEqual(before.slice(1));
+  });
+
+  test('should keep turns collapsed and opened across re-renders', async () => {
+    await storeSettings(page, { collapseTurns: 1 });
+    await openCard(page, 0);
+    const prompts = await getCardPrompts(page);
+    const hidden = await countHiddenRows(page);
+
+    await rerenderMessages(page);
+
+    expect(await getCardPrompts(page)).toEqual(prompts);
+    expect(await countHiddenRows(page)).toBe(hidden);
+  });
+
+  test('should open every turn with messages in normal order', async () => {
+    await storeSettings(page, { collapseTurns: 1 });
+    await storeSettings(page, { reverseMessages: false });
+
+    expect(await getCardPrompts(page)).toEqual([]);
+    expect(await countHiddenRows(page)).toBe(0);
+  });
+});
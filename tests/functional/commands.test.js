@@ -0,0 +1,161 @@
+/**
+ * Keyboard Shortcut Tests
+ * Runs the background command handler against the example page and
+ * verifies each command through the settings the content script applies
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  loadServiceWorker,
+  getAppliedSettings,
+} = require('../utils/browser');
+
+const CHATGPT_TAB = { id: 1, url: 'https://chatgpt.com/c/abc' };
+const OTHER_TAB = { id: 2, url: 'https://example.com/' };
+
+/**
+ * Fire a command as if its shortcut was pressed
+ * @param {Page} page - Puppeteer page
+ * @param {string} command - Command name from manifest.json
+ * @param {Object} tab - Active tab
+ */
+async function runCommand(page, command, tab) {
+  await page.evaluate((command, tab) => {
+    window.__commandListeners.forEach(listener => listener(command, tab));
+  }, command, tab);
+
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Read everything in synced storage
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>}
+ */
+async function getStoredSettings(page) {
+  return await page.evaluate(() => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(null, items => resolve(items));
+    });
+  });
+}
+
+describe('Keyboard Shortcut Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await navigateToChatGPT(page);
+    await loadServiceWorker(page);
+  });
+
+  describe('Manifest', () => {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(global.TEST_CONFIG.EXTENSION_PATH, 'manifest.json'), 'utf8')
+    );
+
+    test('should declare every command with a suggested shortcut', () => {
+      const commands = ['toggle-chatbox-top', 'toggle-reverse-messages', 'toggle-site', 'focus-composer'];
+
+      commands.forEach((command) => {
+        expect(manifest.commands[command]).toBeDefined();
+        expect(manifest.commands[command].suggested_key.default).toMatch(/^Alt\+Shift\+/);
+      });
+    });
+
+    test('should register the background service worker', () => {
+      expect(manifest.background.service_worker).toBe('background/service-worker.js');
+    });
+  });
+
+  describe('Feature Toggles', () => {
+    test('should toggle chatboxTop for the active site only', async () => {
+      await runCommand(page, 'toggle-chatbox-top', CHATGPT_TAB);
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(false);
+      expect(settings.reverseMessages).toBe(true);
+
+      const stored = await getStoredSettings(page);
+      expect(stored.siteSettings.chatgpt).toEqual({ chatboxTop: false });
+      expect(stored.chatboxTop).toBeUndefined();
+    });
+
+    test('should toggle reverseMessages back and forth', async () => {
+      await runCommand(page, 'toggle-reverse-messages', CHATGPT_TAB);
+      let settings = await getAppliedSettings(page);
+      expect(settings.reverseMessages).toBe(false);
+
+      await runCommand(page, 'toggle-reverse-messages', CHATGPT_TAB);
+      settings = await getAppliedSettings(page);
+      expect(settings.reverseMessages).toBe(true);
+    });
+
+    test('should change the All sites settings on other pages', async () => {
+      await runCommand(page, 'toggle-chatbox-top', OTHER_TAB);
+
+      const stored = await getStoredSettings(page);
+      expect(stored.chatboxTop).toBe(false);
+      expect(stored.siteSettings).toBeUndefined();
+    });
+  });
+
+  describe('Site Toggle', () => {
+    test('should switch the extension off and back on for the site', async () => {
+      await runCommand(page, 'toggle-site', CHATGPT_TAB);
+
+      let settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(false);
+      expect(settings.reverseMessages).toBe(false);
+
+      await runCommand(page, 'toggle-site', CHATGPT_TAB);
+
+      settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(true);
+      expect(settings.reverseMessages).toBe(true);
+    });
+
+    test('should ignore the site toggle on unsupported pages', async () => {
+      await runCommand(page, 'toggle-site', OTHER_TAB);
+
+      const stored = await getStoredSettings(page);
+      expect(stored).toEqual({});
+    });
+  });
+
+  describe('Focus Composer', () => {
+    test('should focus the chat input', async () => {
+      await runCommand(page, 'focus-composer', CHATGPT_TAB);
+
+      const focused = await page.evaluate(() => {
+        const input = document.querySelector('#prompt-textarea, textarea[name="prompt-textarea"]');
+        return document.activeElement === input;
+      });
+      expect(focused).toBe(true);
+
+      const responses = await page.evaluate(() => window.__messageResponses);
+      expect(responses).toEqual([{ focused: true }]);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Content Script Core Tests
+ * Verifies the shared core and its adapter registry
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  getAppliedSettings,
+} = require('../utils/browser');
+
+describe('Content Script Core Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await navigateToChatGPT(page);
+  });
+
+  describe('Adapter Registry', () => {
+    test('should register the ChatGPT adapter from the site script', async () => {
+      const adapter = await page.evaluate(() => {
+        const registered = ErgonomicGPT.core.getAdapter('chatgpt');
+        return registered && { name: registered.name, features: registered.features };
+      });
+
+      expect(adapter).toEqual({
+        name: 'ChatGPT',
+        features: ['chatboxTop', 'reverseMessages'],
+      });
+    });
+
+    test('should apply default settings through the core', async () => {
+      const settings = await getAppliedSettings(page);
+
+      expect(settings.chatboxTop).toBe(true);
+      expect(settings.reverseMessages).toBe(true);
+    });
+
+    test('should reject adapters declaring unknown features', async () => {
+      const error = await page.evaluate(() => {
+        try {
+          ErgonomicGPT.core.registerAdapter({ id: 'broken', features: ['tiltScreen'] });
+          return null;
+        } catch (e) {
+          return e.message;
+        }
+      });
+
+      expect(error).toContain('tiltScreen');
+    });
+
+    test('should reject generations without selectors', async () => {
+      const error = await page.evaluate(() => {
+        try {
+          ErgonomicGPT.core.registerAdapter({
+            id: 'no-selectors',
+            features: ['chatboxTop'],
+            generations: [{ name: 'current', detect: 'main' }],
+          });
+          return null;
+        } catch (e) {
+          return e.message;
+        }
+      });
+
+      expect(error).toContain('no-selectors');
+    });
+
+    test('should only toggle features the adapter supports', async () => {
+      await page.evaluate(() => {
+        ErgonomicGPT.core.registerAdapter({
+          id: 'composer-only',
+          name: 'Composer Only',
+          features: ['chatboxTop'],
+        });
+      });
+      await page.waitForTimeout(500);
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(true);
+      expect(settings.reverseMessages).toBe(false);
+    });
+  });
+
+  describe('Shared Defaults', () => {
+    test('should expose the same defaults to every script', async () => {
+      const defaults = await page.evaluate(() => ({ ...ErgonomicGPT.settings.DEFAULT_SETTINGS }));
+
+      expect(defaults).toEqual({
+        chatboxTop: true,
+        reverseMessages: true,
+        reverseMode: 'message',
+        composerOffset: 0,
+        fontScale: 100,
+        lineHeight: 0,
+        maxLineWidth: 0,
+        collapseTurns: 0,
+      });
+    });
+  });
+});
@@ -0,0 +1,467 @@
+/**
+ * Custom Site Tests
+ * Verifies sites the user added themselves: the content script lays out a
+ * stored site, the element picker turns clicks into selectors, the
+ * background worker stores the site and registers its scripts for granted
+ * origins, and the popup asks for access, starts the picker and removes sites
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  launchWithExtension,
+  serveExampleAt,
+  loadServiceWorker,
+} = require('../utils/browser');
+const { getComposerPosition } = require('../utils/dom');
+
+const EXTENSION_PATH = global.TEST_CONFIG.EXTENSION_PATH;
+const POPUP_PATH = path.join(EXTENSION_PATH, 'popup', 'popup.html');
+
+const SITE_ORIGIN = 'https://chat.example.com';
+const SITE_URL = `${SITE_ORIGIN}/c/1`;
+const SITE_ID = 'custom-https-chat-example-com';
+
+// What the picker produces for the ChatGPT example
+const SITE_SELECTORS = {
+  composerParent: 'div.composer-parent',
+  composer: 'form',
+  messagesContainer: 'div.flex.flex-col.text-sm',
+  message: 'div.flex.flex-col.text-sm > *',
+};
+
+const STORED_SITE = { id: SITE_ID, name: 'chat.example.com', origin: SITE_ORIGIN, selectors: SITE_SELECTORS };
+
+/**
+ * Store custom sites in local storage, as the background worker does
+ * @param {Page} page - Puppeteer page
+ * @param {Object} customSites - Sites by id
+ */
+async function storeCustomSites(page, customSites) {
+  await page.evaluate((customSites) => {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ customSites }, () => resolve());
+    });
+  }, customSites);
+}
+
+/**
+ * Read the stored custom sites
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>}
+ */
+async function getStoredSites(page) {
+  return await page.evaluate(() => new Promise((resolve) => {
+    chrome.storage.local.get({ customSites: {} }, items => resolve(items.customSites));
+  }));
+}
+
+describe('Custom Site Tests', () => {
+  describe('Content script', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension({ site: 'custom' });
+      browser = result.browser;
+      page = result.page;
+
+      await serveExampleAt(page, SITE_ORIGIN, global.TEST_CONFIG.CHATGPT_EXAMPLE_PATH);
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    test('should lay out a stored site from its picked containers', async () => {
+      await page.goto(SITE_URL, { waitUntil: 'networkidle0' });
+      await storeCustomSites(page, { [SITE_ID]: STORED_SITE });
+      await page.reload({ waitUntil: 'networkidle0' });
+      await page.waitForTimeout(500);
+
+      const report = await page.evaluate(() => new Promise((resolve) => {
+        window.__messageListeners.forEach(listener => listener({ type: 'diagnose' }, {}, resolve));
+      }));
+      const position = await getComposerPosition(page);
+
+      expect(report.site.id).toBe(SITE_ID);
+      expect(report.composer.composerBeforeMessages).toBe(true);
+      expect(position.composerBeforeMessages).toBe(true);
+    });
+
+    test('should collapse turns without taking its cards for messages', async () => {
+      await page.goto(SITE_URL, { waitUntil: 'networkidle0' });
+      await storeCustomSites(page, { [SITE_ID]: STORED_SITE });
+      await page.evaluate(() => new Promise((resolve) => {
+        chrome.storage.sync.set({ collapseTurns: 1 }, () => resolve());
+      }));
+      await page.reload({ waitUntil: 'networkidle0' });
+      await page.waitForTimeout(1000);
+
+      const layout = await page.evaluate(() => new Promise((resolve) => {
+        const container = document.querySelector('div.flex.flex-col.text-sm');
+        const count = () => ({
+          rows: container.querySelectorAll(':scope > :not(.ergonomic-turn-card)').length,
+          cards: container.querySelectorAll(':scope > .ergonomic-turn-card').length,
+        });
+        const before = count();
+
+        // Once collapsed, the layout must stay put
+        let mutations = 0;
+        const observer = new MutationObserver((records) => {
+          mutations += records.length;
+        });
+        observer.observe(container, { childList: true, subtree: true, attributes: true });
+        setTimeout(() => {
+          observer.disconnect();
+          resolve({ before, after: count(), mutations });
+        }, 1000);
+      }));
+
+      expect(layout.before.cards).toBe(layout.before.rows - 1);
+      expect(layout.after).toEqual(layout.before);
+      expect(layout.mutations).toBe(0);
+
+      await page.evaluate(() => new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      }));
+    });
+
+    test('should do nothing for an origin that was removed', async () => {
+      await storeCustomSites(page, {});
+      await page.reload({ waitUntil: 'networkidle0' });
+      await page.waitForTimeout(500);
+
+      expect(await page.$('#ergonomic-site-overrides')).toBeNull();
+    });
+  });
+
+  describe('Element picker', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension({ site: 'custom' });
+      browser = result.browser;
+      page = result.page;
+
+      await serveExampleAt(page, SITE_ORIGIN, global.TEST_CONFIG.CHATGPT_EXAMPLE_PATH);
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    /**
+     * Open the site and inject the picker as the popup does; messages to
+     * the worker are kept in window.__sent and answered with { saved: true }
+     */
+    async function startPicker() {
+      await page.goto(SITE_URL, { waitUntil: 'networkidle0' });
+      const sources = ['common/i18n.js', 'content-scripts/picker.js']
+        .map(file => fs.readFileSync(path.join(EXTENSION_PATH, file), 'utf8'));
+
+      await page.evaluate((sources) => {
+        window.__sent = [];
+        chrome.runtime.sendMessage = (message, callback) => {
+          window.__sent.push(message);
+          setTimeout(() => callback({ saved: true }), 0);
+        };
+        sources.forEach(source => (0, eval)(source));
+      }, sources);
+    }
+
+    /**
+     * Hover over and click an element, as the user would
+     * @param {string} selector - Element to pick
+     */
+    async function pick(selector) {
+      await page.hover(selector);
+      await page.click(selector);
+      await page.waitForTimeout(100);
+    }
+
+    /**
+     * Get the picker's instructions
+     * @returns {Promise<string>}
+     */
+    async function getPickerText() {
+      return await page.evaluate(() => (
+        document.getElementById('ergonomic-element-picker').shadowRoot.querySelector('.text').textContent
+      ));
+    }
+
+    test('should turn the picked containers into selectors', async () => {
+      await startPicker();
+
+      expect(await getPickerText()).toBe('Step 1 of 3: click the box you type your messages in.');
+
+      await pick('form');
+      await pick('div.flex.flex-col.text-sm');
+      await page.evaluate(() => {
+        document.getElementById('ergonomic-element-picker').shadowRoot.querySelector('.actions button').click();
+      });
+      await page.waitForTimeout(300);
+
+      const sent = await page.evaluate(() => window.__sent);
+      expect(sent).toHaveLength(1);
+      expect(sent[0].type).toBe('custom-site-picked');
+
+      const matches = await page.evaluate((selectors) => {
+        const count = selector => document.querySelectorAll(selector).length;
+        return {
+          composer: document.querySelector(selectors.composer) === document.querySelector('form') && count(selectors.composer),
+          messages: document.querySelector(selectors.messagesContainer) ===
+            document.querySelector('div.flex.flex-col.text-sm') && count(selectors.messagesContainer),
+          parent: document.querySelector(selectors.composerParent) === document.querySelector('div.composer-parent'),
+          message: count(selectors.message) === document.querySelector('div.flex.flex-col.text-sm').children.length,
+          input: document.querySelector(selectors.composerInput) === document.querySelector('form textarea'),
+        };
+      }, sent[0].selectors);
+
+      expect(matches).toEqual({ composer: 1, messages: 1, parent: true, message: true, input: true });
+      expect(sent[0].selectors.scroller).toBeUndefined();
+      expect(await getPickerText()).toBe('Saved. Reloading the page…');
+    });
+
+    test('should widen the pick with the arrow keys', async () => {
+      await startPicker();
+      await page.hover('form textarea');
+      await page.keyboard.press('ArrowUp');
+      await page.keyboard.press('ArrowUp');
+      await page.keyboard.press('ArrowDown');
+      await page.keyboard.press('Enter');
+      await page.waitForTimeout(100);
+
+      expect(await getPickerText()).toBe('Step 2 of 3: click the area that holds the messages.');
+    });
+
+    test('should refuse messages that hold the composer', async () => {
+      await startPicker();
+      await pick('form');
+      await pick('main');
+
+      expect(await getPickerText()).toBe(
+        "The messages can't be inside the chat input, or hold it. Pick the area next to it."
+      );
+      expect(await page.evaluate(() => window.__sent)).toEqual([]);
+    });
+
+    test('should leave the page alone once cancelled', async () => {
+      await startPicker();
+      await page.keyboard.press('Escape');
+
+      expect(await page.$('#ergonomic-element-picker')).toBeNull();
+    });
+  });
+
+  describe('Background worker', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension({ site: 'custom' });
+      browser = result.browser;
+      page = result.page;
+
+      await serveExampleAt(page, SITE_ORIGIN, global.TEST_CONFIG.CHATGPT_EXAMPLE_PATH);
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    /**
+     * Open the site with the worker loaded and the given origins granted
+     * @param {Array<string>} grantedOrigins - Host permissions the user granted
+     */
+    async function openWithWorker(grantedOrigins) {
+      await page.goto(SITE_URL, { waitUntil: 'networkidle0' });
+      await page.evaluate((grantedOrigins) => {
+        window.__grantedOrigins = grantedOrigins;
+        return new Promise(resolve => chrome.storage.local.clear(() => resolve()));
+      }, grantedOrigins);
+      await loadServiceWorker(page);
+    }
+
+    /**
+     * Send the picker's message to the worker
+     * @returns {Promise<Object>} The worker's reply
+     */
+    async function sendPicked() {
+      return await page.evaluate((selectors) => new Promise((resolve) => {
+        chrome.runtime.sendMessage({ type: 'custom-site-picked', selectors: { ...selectors, unknown: 'x' } }, resolve);
+      }), SITE_SELECTORS);
+    }
+
+    test('should store a picked site and register its scripts', async () => {
+      await openWithWorker([`${SITE_ORIGIN}/*`]);
+
+      expect(await sendPicked()).toEqual({ saved: true });
+      expect(await getStoredSites(page)).toEqual({ [SITE_ID]: STORED_SITE });
+      expect(await page.evaluate(() => window.__registeredScripts)).toEqual([{
+        id: SITE_ID,
+        matches: [`${SITE_ORIGIN}/*`],
+        js: ['common/browser-api.js', 'common/i18n.js', 'common/settings.js', 'content-scripts/core.js', 'content-scripts/custom.js'],
+        runAt: 'document_idle',
+      }]);
+      expect(await page.evaluate(() => window.__reloadedTabs)).toEqual([1]);
+    });
+
+    test('should unregister the scripts of a removed site', async () => {
+      await openWithWorker([`${SITE_ORIGIN}/*`]);
+      await sendPicked();
+      await storeCustomSites(page, {});
+      await page.waitForTimeout(300);
+
+      expect(await page.evaluate(() => window.__registeredScripts)).toEqual([]);
+    });
+
+    test('should not register a site without its host permission', async () => {
+      await openWithWorker([]);
+      await sendPicked();
+
+      expect(await getStoredSites(page)).toEqual({ [SITE_ID]: STORED_SITE });
+      expect(await page.evaluate(() => window.__registeredScripts)).toEqual([]);
+    });
+
+    test('should re-register a script left with another match pattern', async () => {
+      await openWithWorker([`${SITE_ORIGIN}/*`]);
+      await page.evaluate((id) => {
+        window.__registeredScripts = [{
+          id,
+          matches: ['https://*.example.com/*'],
+          js: ['common/browser-api.js', 'common/i18n.js', 'common/settings.js', 'content-scripts/core.js', 'content-scripts/custom.js'],
+          runAt: 'document_idle',
+        }];
+      }, SITE_ID);
+      await sendPicked();
+
+      const registered = await page.evaluate(() => window.__registeredScripts);
+      expect(registered.map(script => [script.id, script.matches])).toEqual([[SITE_ID, [`${SITE_ORIGIN}/*`]]]);
+    });
+
+    test('should keep the port in the match pattern', async () => {
+      const patterns = await page.evaluate(() => ['http://localhost:3000', 'https://chat.example.com:443']
+        .map(origin => ErgonomicGPT.settings.getOriginPattern(origin)));
+
+      expect(patterns).toEqual(['http://localhost:3000/*', 'https://chat.example.com/*']);
+    });
+  });
+
+  describe('Popup', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension();
+      browser = result.browser;
+      page = result.page;
+
+      // The active tab is on a site ErgonomicGPT doesn't know; permission
+      // requests are answered with window.__grant
+      await page.evaluateOnNewDocument((siteUrl) => {
+        window.chrome = window.chrome || {};
+        window.__calls = { requested: [], removed: [], injected: [], closed: false };
+        window.chrome.tabs = {
+          query: (queryInfo, callback) => callback([{ id: 4, url: siteUrl }]),
+          sendMessage: (tabId, message, callback) => callback(null),
+          connect: () => ({ postMessage: () => {}, disconnect: () => {}, onDisconnect: { addListener: () => {} } }),
+        };
+        window.chrome.permissions = {
+          request: (permissions, callback) => {
+            window.__calls.requested.push(permissions);
+            callback(localStorage.getItem('grant') === 'yes');
+          },
+          remove: (permissions, callback) => {
+            window.__calls.removed.push(permissions);
+            callback(true);
+          },
+        };
+        window.chrome.scripting = {
+          executeScript: (injection, callback) => {
+            window.__calls.injected.push(injection);
+            callback([]);
+          },
+        };
+        window.close = () => {
+          window.__calls.closed = true;
+        };
+      }, SITE_URL);
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    /**
+     * Open the popup with the given custom sites stored
+     * @param {Object} customSites - Sites by id
+     * @param {boolean} grant - Whether the user grants access when asked
+     */
+    async function openPopup(customSites, grant) {
+      await page.goto(`file://${POPUP_PATH}`, { waitUntil: 'networkidle0' });
+      await page.evaluate((grant) => localStorage.setItem('grant', grant ? 'yes' : 'no'), grant);
+      await storeCustomSites(page, customSites);
+      await page.reload({ waitUntil: 'networkidle0' });
+    }
+
+    test('should offer to add the site and start the picker once granted', async () => {
+      await openPopup({}, true);
+
+      const offer = await page.evaluate(() => ({
+        shown: !document.getElementById('customSite').hidden,
+        add: !document.getElementById('addCustomSite').hidden,
+        remove: !document.getElementById('removeCustomSite').hidden,
+        scope: document.getElementById('settingsScope').value,
+      }));
+      expect(offer).toEqual({ shown: true, add: true, remove: false, scope: 'global' });
+
+      await page.click('#addCustomSite');
+      await page.waitForTimeout(300);
+
+      expect(await page.evaluate(() => window.__calls)).toEqual({
+        requested: [{ origins: [`${SITE_ORIGIN}/*`] }],
+        removed: [],
+        injected: [{
+          target: { tabId: 4 },
+          files: ['common/browser-api.js', 'common/i18n.js', 'content-scripts/picker.js'],
+        }],
+        closed: true,
+      });
+    });
+
+    test('should explain when access is declined', async () => {
+      await openPopup({}, false);
+      await page.click('#addCustomSite');
+      await page.waitForTimeout(300);
+
+      expect(await page.evaluate(() => window.__calls.injected)).toEqual([]);
+      expect(await page.$eval('#announcer', element => element.textContent))
+        .toBe("Access to chat.example.com wasn't granted");
+    });
+
+    test('should remove a stored site and give up its access', async () => {
+      await openPopup({ [SITE_ID]: STORED_SITE }, true);
+
+      expect(await page.$eval('#settingsScope', select => select.value)).toBe(SITE_ID);
+      expect(await page.$eval('#addCustomSite', button => button.hidden)).toBe(true);
+
+      await page.click('#removeCustomSite');
+      await page.waitForTimeout(300);
+
+      expect(await getStoredSites(page)).toEqual({});
+      expect(await page.evaluate(() => window.__calls.removed)).toEqual([{ origins: [`${SITE_ORIGIN}/*`] }]);
+      expect(await page.$eval('#settingsScope', select => select.value)).toBe('global');
+      expect(await page.$eval('#announcer', element => element.textContent)).toBe('chat.example.com removed');
+    });
+  });
+});
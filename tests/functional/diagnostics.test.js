@@ -0,0 +1,210 @@
+/**
+ * Diagnostics Tests
+ * Verifies the content-script core answers the popup's diagnose message
+ * with what it sees on the page, and that the popup shows the report,
+ * copies it, and explains when the tab has nothing to diagnose
+ */
+
+const path = require('path');
+const { launchWithExtension, navigateToChatGPT } = require('../utils/browser');
+const { getChatGPTStructure, getComposerPosition } = require('../utils/dom');
+
+const POPUP_PATH = path.join(global.TEST_CONFIG.EXTENSION_PATH, 'popup', 'popup.html');
+
+/**
+ * Ask the content script for its diagnostics, as the popup does
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>}
+ */
+async function diagnose(page) {
+  return await page.evaluate(() => new Promise((resolve) => {
+    window.__messageListeners.forEach(listener => listener({ type: 'diagnose' }, {}, resolve));
+  }));
+}
+
+/**
+ * Store settings, then reload the ChatGPT example so they apply
+ * @param {Page} page - Puppeteer page
+ * @param {Object} settings - Settings to store
+ * @param {string} [url] - Example URL, defaults to the plain file
+ */
+async function openChatGPTWith(page, settings, url) {
+  await page.evaluate((settings) => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.clear(() => chrome.storage.sync.set(settings, () => resolve()));
+    });
+  }, settings);
+  await navigateToChatGPT(page, url);
+}
+
+describe('Diagnostics Tests', () => {
+  describe('Content script report', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension();
+      browser = result.browser;
+      page = result.page;
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    test('should name the adapter and the layout it matched', async () => {
+      await openChatGPTWith(page, {});
+
+      const report = await diagnose(page);
+
+      expect(report.site).toEqual({ id: 'chatgpt', name: 'ChatGPT' });
+      expect(report.layout).toBe('unified-composer');
+      expect(report.generations).toEqual([
+        { name: 'unified-composer', detected: true },
+        { name: 'legacy', detected: false },
+      ]);
+      expect(report.problem).toBeNull();
+    });
+
+    test('should count the elements each selector matches', async () => {
+      await openChatGPTWith(page, {});
+
+      const report = await diagnose(page);
+      const structure = await getChatGPTStructure(page);
+      const counts = {};
+      report.selectors.forEach((entry) => {
+        counts[entry.name] = entry.count;
+      });
+
+      expect(counts.composerParent).toBe(1);
+      expect(counts.composer).toBe(1);
+      expect(counts.message).toBe(structure.messageCount);
+      expect(counts.turnStart).toBe(structure.userMessageCount);
+    });
+
+    test('should list the classes on the html element', async () => {
+      await openChatGPTWith(page, { reverseMessages: false });
+
+      const report = await diagnose(page);
+
+      expect(report.htmlClasses).toContain('ergonomic-chatbox-top');
+      expect(report.htmlClasses).not.toContain('ergonomic-reverse-messages');
+    });
+
+    test('should report the composer position', async () => {
+      for (const chatboxTop of [true, false]) {
+        await openChatGPTWith(page, { chatboxTop, reverseMessages: false });
+
+        const report = await diagnose(page);
+        const position = await getComposerPosition(page);
+
+        expect(report.composer.composerBeforeMessages).toBe(chatboxTop);
+        expect(report.composer.composerBeforeMessages).toBe(position.composerBeforeMessages);
+        expect(report.composer.composerTop).toBe(Math.round(position.composerTop));
+      }
+    });
+
+    test('should report the page without its query string or hash', async () => {
+      await openChatGPTWith(page, {}, `file://${global.TEST_CONFIG.CHATGPT_EXAMPLE_PATH}?q=secret#reply`);
+
+      const report = await diagnose(page);
+
+      expect(report.page).toBe(`file://${global.TEST_CONFIG.CHATGPT_EXAMPLE_PATH}`);
+    });
+  });
+
+  describe('Popup', () => {
+    let browser;
+    let page;
+    let report;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension();
+      browser = result.browser;
+      page = result.page;
+
+      await openChatGPTWith(page, {});
+      report = await diagnose(page);
+
+      // The active tab answers with whatever the test put in __diagnosticsAnswer
+      await page.evaluateOnNewDocument(() => {
+        window.chrome = window.chrome || {};
+        window.__copied = null;
+        window.chrome.tabs = {
+          query: (queryInfo, callback) => callback([{ id: 4, url: 'https://chatgpt.com/' }]),
+          sendMessage: (tabId, message, callback) => callback(window.__diagnosticsAnswer),
+        };
+        Object.defineProperty(navigator, 'clipboard', {
+          value: { writeText: text => Promise.resolve(window.__copied = text) },
+        });
+      });
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    /**
+     * Open the popup on a tab that answers with a report, or not at all
+     * @param {Object|null} answer - Report the tab sends back
+     */
+    async function openPopupOnTab(answer) {
+      await page.goto(`file://${POPUP_PATH}`, { waitUntil: 'networkidle0' });
+      await page.evaluate((answer) => {
+        window.__diagnosticsAnswer = answer;
+      }, answer);
+    }
+
+    test('should show the report of the active tab', async () => {
+      await openPopupOnTab(report);
+
+      expect(await page.$eval('#diagnostics', element => element.hidden)).toBe(true);
+      await page.click('#diagnoseTab');
+      await page.waitForTimeout(300);
+
+      const text = await page.$eval('#diagnosticsReport', element => element.textContent);
+      expect(text).toContain('Site adapter: ChatGPT (chatgpt)');
+      expect(text).toContain('Layout: unified-composer');
+      expect(text).toContain('  composer: form[data-type="unified-composer"] -> 1');
+      expect(text).toContain('HTML classes: ');
+      expect(text).toMatch(/Composer: top \d+px of \d+px, first message at \d+px \(above the messages\)/);
+      expect(await page.$eval('#diagnoseTab', element => element.getAttribute('aria-expanded'))).toBe('true');
+      expect(await page.$eval('#announcer', element => element.textContent)).toBe('Diagnostics report ready');
+    });
+
+    test('should copy the report', async () => {
+      await openPopupOnTab(report);
+      await page.click('#diagnoseTab');
+      await page.waitForTimeout(300);
+      await page.click('#copyDiagnostics');
+      await page.waitForTimeout(300);
+
+      const result = await page.evaluate(() => ({
+        copied: window.__copied,
+        shown: document.getElementById('diagnosticsReport').textContent,
+        announcement: document.getElementById('announcer').textContent,
+      }));
+
+      expect(result.copied).toBe(result.shown);
+      expect(result.announcement).toBe('Report copied');
+    });
+
+    test('should explain when the tab has no content script', async () => {
+      await openPopupOnTab(null);
+      await page.click('#diagnoseTab');
+      await page.waitForTimeout(300);
+
+      const result = await page.evaluate(() => ({
+        text: document.getElementById('diagnosticsReport').textContent,
+        copyHidden: document.getElementById('copyDiagnostics').hidden,
+      }));
+
+      expect(result.text).toBe("ErgonomicGPT isn't running in this tab. Open or reload a supported chat site and try again.");
+      expect(result.copyHidden).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Functional Gemini DOM Tests
+ * Verifies Gemini DOM structure and CSS application
+ */
+
+const {
+  launchWithExtension,
+  navigateToGemini,
+  getAppliedSettings,
+  applySettings,
+} = require('../utils/browser');
+
+const {
+  getGeminiStructure,
+  isChatboxAtTop,
+  areMessagesReversed,
+  getComposerPosition,
+  verifyCSSApplication,
+  getComputedStyle,
+} = require('../utils/dom');
+
+describe('Functional Gemini DOM Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension({ site: 'gemini' });
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  describe('Extension Loading', () => {
+    test('should have correct Gemini DOM structure', async () => {
+      await navigateToGemini(page);
+
+      const structure = await getGeminiStructure(page);
+
+      expect(structure.hasChatWindow).toBe(true);
+      expect(structure.hasComposerParent).toBe(true);
+      expect(structure.hasMessagesContainer).toBe(true);
+      expect(structure.hasInputContainer).toBe(true);
+      expect(structure.hasEditor).toBe(true);
+      expect(structure.turnCount).toBeGreaterThan(0);
+      expect(structure.userQueryCount).toBe(structure.turnCount);
+      expect(structure.modelResponseCount).toBe(structure.turnCount);
+    });
+  });
+
+  describe('Feature 1: Chatbox at Top', () => {
+    beforeEach(async () => {
+      await navigateToGemini(page);
+    });
+
+    test('should reverse the chat container', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      const isAtTop = await isChatboxAtTop(page, 'gemini');
+      expect(isAtTop).toBe(true);
+    });
+
+    test('should verify composer appears before messages', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      const position = await getComposerPosition(page, 'gemini');
+      expect(position).toBeTruthy();
+      expect(position.composerBeforeMessages).toBe(true);
+    });
+
+    test('should NOT apply when disabled', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(false);
+
+      const position = await getComposerPosition(page, 'gemini');
+      expect(position.composerBeforeMessages).toBe(false);
+    });
+  });
+
+  describe('Feature 2: Reverse Messages', () => {
+    beforeEach(async () => {
+      await navigateToGemini(page);
+    });
+
+    test('should reverse the chat history', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: true });
+
+      const isReversed = await areMessagesReversed(page, 'gemini');
+      expect(isReversed).toBe(true);
+    });
+
+    test('should show the newest turn first with its prompt above the answer', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: true });
+
+      const layout = await page.evaluate(() => {
+        const turns = Array.from(document.querySelectorAll('div.conversation-container'));
+        const newest = turns[turns.length - 1];
+        const tops = turns.map(turn => turn.getBoundingClientRect().top);
+
+        return {
+          newestIsFirst: tops[tops.length - 1] === Math.min(...tops),
+          queryTop: newest.querySelector('user-query').getBoundingClientRect().top,
+          responseTop: newest.querySelector('model-response').getBoundingClientRect().top,
+        };
+      });
+
+      expect(layout.newestIsFirst).toBe(true);
+      expect(layout.queryTop).toBeLessThan(layout.responseTop);
+    });
+
+    test('should NOT apply when disabled', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+
+      const isReversed = await areMessagesReversed(page, 'gemini');
+      expect(isReversed).toBe(false);
+    });
+  });
+
+  describe('Dark Theme', () => {
+    beforeEach(async () => {
+      await navigateToGemini(page);
+    });
+
+    test('should verify CSS application for both features in dark theme', async () => {
+      await page.evaluate(() => {
+        document.body.classList.replace('light-theme', 'dark-theme');
+      });
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+
+      const verification = await verifyCSSApplication(page, {
+        chatboxTop: true,
+        reverseMessages: true,
+      }, 'gemini');
+
+      expect(verification.valid).toBe(true);
+      expect(verification.issues).toHaveLength(0);
+    });
+
+    test('should give the composer the dark surface color', async () => {
+      await page.evaluate(() => {
+        document.body.classList.replace('light-theme', 'dark-theme');
+      });
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      const background = await getComputedStyle(page, 'input-container', 'background-color');
+      expect(background).toBe('rgb(19, 19, 20)');
+    });
+  });
+});
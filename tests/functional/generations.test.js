@@ -0,0 +1,149 @@
+/**
+ * DOM Generation Tests
+ * Verifies every known ChatGPT DOM generation against its own fixture
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  getAppliedSettings,
+  applySettings,
+} = require('../utils/browser');
+
+const {
+  isChatboxAtTop,
+  areMessagesReversed,
+  getComposerPosition,
+  verifyCSSApplication,
+} = require('../utils/dom');
+
+// Fixture and SITE_SELECTORS key for each generation the adapter declares
+const GENERATION_FIXTURES = {
+  'unified-composer': {
+    path: () => global.TEST_CONFIG.CHATGPT_EXAMPLE_PATH,
+    site: 'chatgpt',
+  },
+  legacy: {
+    path: () => global.TEST_CONFIG.CHATGPT_LEGACY_EXAMPLE_PATH,
+    site: 'chatgpt-legacy',
+  },
+};
+
+/**
+ * Wait for the core to pick a generation and return its name
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<string|null>}
+ */
+async function getActiveGeneration(page) {
+  await page.waitForFunction(
+    () => document.documentElement.hasAttribute('data-ergonomic-layout'),
+    { timeout: 5000 }
+  );
+
+  return await page.evaluate(() => document.documentElement.getAttribute('data-ergonomic-layout'));
+}
+
+describe('DOM Generation Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+  });
+
+  test('should have a fixture for every generation the adapter declares', async () => {
+    await navigateToChatGPT(page);
+
+    const names = await page.evaluate(() => {
+      return ErgonomicGPT.core.getAdapter('chatgpt').generations.map(generation => generation.name);
+    });
+
+    expect(names.sort()).toEqual(Object.keys(GENERATION_FIXTURES).sort());
+  });
+
+  describe.each(Object.entries(GENERATION_FIXTURES))('Generation: %s', (name, fixture) => {
+    beforeEach(async () => {
+      await navigateToChatGPT(page, `file://${fixture.path()}`);
+    });
+
+    test('should detect the generation from the live page', async () => {
+      expect(await getActiveGeneration(page)).toBe(name);
+    });
+
+    test('should use the generation selectors', async () => {
+      await getActiveGeneration(page);
+
+      const matches = await page.evaluate(() => {
+        const { selectors } = ErgonomicGPT.core.getAdapter('chatgpt');
+        return Object.values(selectors).every(selector => document.querySelector(selector));
+      });
+
+      expect(matches).toBe(true);
+    });
+
+    test('should move the chatbox to top', async () => {
+      await getActiveGeneration(page);
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      expect(await isChatboxAtTop(page, fixture.site)).toBe(true);
+
+      const position = await getComposerPosition(page, fixture.site);
+      expect(position).not.toBeNull();
+      expect(position.composerBeforeMessages).toBe(true);
+    });
+
+    test('should reverse messages', async () => {
+      await getActiveGeneration(page);
+      await applySettings(page, { chatboxTop: false, reverseMessages: true });
+
+      expect(await areMessagesReversed(page, fixture.site)).toBe(true);
+      expect(await isChatboxAtTop(page, fixture.site)).toBe(false);
+    });
+
+    test('should apply both features without issues', async () => {
+      await getActiveGeneration(page);
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+
+      const result = await verifyCSSApplication(page, {
+        chatboxTop: true,
+        reverseMessages: true,
+      }, fixture.site);
+
+      expect(result.valid).toBe(true);
+      expect(result.issues).toEqual([]);
+    });
+
+    test('should pass the layout health check', async () => {
+      await page.waitForTimeout(1000);
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(true);
+      expect(settings.reverseMessages).toBe(true);
+
+      const status = await page.evaluate(() => {
+        return new Promise((resolve) => {
+          chrome.storage.local.get('layoutStatus', (items) => {
+            resolve((items.layoutStatus || {}).chatgpt);
+          });
+        });
+      });
+      expect(status.supported).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Layout Health Check Tests
+ * Verifies the core backs out of broken layouts and reports why
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  getAppliedSettings,
+} = require('../utils/browser');
+
+// Slightly longer than the core's HEALTH_CHECK_TIMEOUT_MS
+const HEALTH_CHECK_WAIT_MS = 9000;
+
+/**
+ * Read the layout status recorded for a site
+ * @param {Page} page - Puppeteer page
+ * @param {string} siteId - Adapter id
+ * @returns {Promise<Object|undefined>}
+ */
+async function getLayoutStatus(page, siteId) {
+  return await page.evaluate((siteId) => {
+    return new Promise((resolve) => {
+      chrome.storage.local.get('layoutStatus', (items) => {
+        resolve((items.layoutStatus || {})[siteId]);
+      });
+    });
+  }, siteId);
+}
+
+/**
+ * Re-run the core by touching the synced settings
+ * @param {Page} page - Puppeteer page
+ */
+async function reapplySettings(page) {
+  await page.evaluate(() => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set({ chatboxTop: true, reverseMessages: true }, () => resolve());
+    });
+  });
+}
+
+describe('Layout Health Check Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.local.clear(() => resolve());
+      });
+    });
+    await navigateToChatGPT(page);
+  });
+
+  test('should report a supported layout on the example page', async () => {
+    const status = await getLayoutStatus(page, 'chatgpt');
+
+    expect(status).toBeDefined();
+    expect(status.supported).toBe(true);
+    expect(status.reason).toBeNull();
+
+    const settings = await getAppliedSettings(page);
+    expect(settings.chatboxTop).toBe(true);
+  });
+
+  test('should remove classes when the composer is missing', async () => {
+    await page.evaluate(() => {
+      document.querySelector('form[data-type="unified-composer"]').remove();
+    });
+    await reapplySettings(page);
+    await page.waitForTimeout(HEALTH_CHECK_WAIT_MS);
+
+    const settings = await getAppliedSettings(page);
+    expect(settings.chatboxTop).toBe(false);
+    expect(settings.reverseMessages).toBe(false);
+
+    const status = await getLayoutStatus(page, 'chatgpt');
+    expect(status.supported).toBe(false);
+    expect(status.reason).toBe('composer-missing');
+  }, 20000);
+
+  test('should remove classes when the composer ends up off-screen', async () => {
+    await page.evaluate(() => {
+      const form = document.querySelector('form[data-type="unified-composer"]');
+      form.style.setProperty('position', 'fixed', 'important');
+      form.style.setProperty('top', '-1000px', 'important');
+    });
+    await reapplySettings(page);
+    await page.waitForTimeout(HEALTH_CHECK_WAIT_MS);
+
+    const settings = await getAppliedSettings(page);
+    expect(settings.chatboxTop).toBe(false);
+
+    const status = await getLayoutStatus(page, 'chatgpt');
+    expect(status.supported).toBe(false);
+    expect(status.reason).toBe('composer-off-screen');
+  }, 20000);
+
+  test('should keep waiting for a composer that renders late', async () => {
+    await page.evaluate(() => {
+      const form = document.querySelector('form[data-type="unified-composer"]');
+      const parent = form.parentElement;
+      form.remove();
+      setTimeout(() => parent.appendChild(form), 2000);
+    });
+    await reapplySettings(page);
+    await page.waitForTimeout(HEALTH_CHECK_WAIT_MS);
+
+    const settings = await getAppliedSettings(page);
+    expect(settings.chatboxTop).toBe(true);
+
+    const status = await getLayoutStatus(page, 'chatgpt');
+    expect(status.supported).toBe(true);
+  }, 20000);
+});
@@ -0,0 +1,400 @@
+/**
+ * Localization Tests
+ * Verifies every catalog covers the same messages and placeholders, that
+ * the manifest, extension pages and scripts only use messages that exist,
+ * that the popup renders German and right-to-left Persian from their
+ * catalogs, and that the options page, turn cards and break reminders
+ * render German
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  loadServiceWorker,
+} = require('../utils/browser');
+
+const EXTENSION_PATH = global.TEST_CONFIG.EXTENSION_PATH;
+const POPUP_PATH = path.join(EXTENSION_PATH, 'popup', 'popup.html');
+const OPTIONS_PATH = path.join(EXTENSION_PATH, 'options', 'options.html');
+// Scripts that read messages with getMessage()
+const SCRIPTS = [
+  'popup/popup.js',
+  'options/options.js',
+  'content-scripts/core.js',
+  'content-scripts/picker.js',
+  'background/break-reminders.js',
+];
+// Locales translated from the English catalog
+const TRANSLATIONS = ['de', 'fa'];
+
+/**
+ * Read a locale's message catalog
+ * @param {string} locale - Locale directory name
+ * @returns {Object}
+ */
+function readCatalog(locale) {
+  return JSON.parse(fs.readFileSync(path.join(EXTENSION_PATH, '_locales', locale, 'messages.json'), 'utf8'));
+}
+
+/**
+ * List the placeholder names a message uses, sorted
+ * @param {Object} entry - Catalog entry
+ * @returns {Array<string>}
+ */
+function getPlaceholders(entry) {
+  return (entry.message.match(/\$\w+\$/g) || []).map(name => name.toLowerCase()).sort();
+}
+
+/**
+ * List the message names an extension page marks for localizing
+ * @param {string} pagePath - Path to the HTML file
+ * @returns {Array<string>}
+ */
+function getPageKeys(pagePath) {
+  const html = fs.readFileSync(pagePath, 'utf8');
+  // data-i18n-args holds substitutions, not message names
+  return Array.from(html.matchAll(/data-i18n(?:-placeholder|-aria-label)?="(\w+)"/g), match => match[1]);
+}
+
+/**
+ * List the message names a script passes to getMessage(), including
+ * both names of a choice such as getMessage(a ? 'x' : 'y')
+ * @param {string} file - Script path below the extension root
+ * @returns {Array<string>}
+ */
+function getScriptKeys(file) {
+  const source = fs.readFileSync(path.join(EXTENSION_PATH, file), 'utf8');
+  return Array.from(source.matchAll(/getMessage\(([^,)]*)/g))
+    .flatMap(match => Array.from(match[1].matchAll(/'(\w+)'/g), name => name[1]));
+}
+
+/**
+ * Clear synced storage and open a page
+ * @param {Page} page - Puppeteer page
+ * @param {string} pagePath - Path to the HTML file
+ */
+async function openPage(page, pagePath) {
+  await page.evaluate(() => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.clear(() => resolve());
+    });
+  });
+  await page.goto(`file://${pagePath}`, { waitUntil: 'networkidle0' });
+}
+
+/**
+ * Store items and give the extension time to react to them
+ * @param {Page} page - Puppeteer page
+ * @param {string} area - 'sync' or 'local'
+ * @param {Object} items - Items to store
+ */
+async function store(page, area, items) {
+  await page.evaluate((area, items) => {
+    return new Promise((resolve) => {
+      chrome.storage[area].set(items, () => resolve());
+    });
+  }, area, items);
+  await page.waitForTimeout(300);
+}
+
+/**
+ * Open the popup with nothing stored
+ * @param {Page} page - Puppeteer page
+ */
+async function openPopup(page) {
+  await openPage(page, POPUP_PATH);
+}
+
+describe('Localization Tests', () => {
+  describe('Message catalogs', () => {
+    const english = readCatalog('en');
+
+    TRANSLATIONS.forEach((locale) => {
+      test(`should give ${locale} the same messages and placeholders as English`, () => {
+        const catalog = readCatalog(locale);
+
+        expect(Object.keys(catalog).sort()).toEqual(Object.keys(english).sort());
+        Object.keys(english).forEach((key) => {
+          expect([key, getPlaceholders(catalog[key])]).toEqual([key, getPlaceholders(english[key])]);
+        });
+      });
+    });
+
+    test('should only use existing messages in the manifest', () => {
+      const manifest = fs.readFileSync(path.join(EXTENSION_PATH, 'manifest.json'), 'utf8');
+      const keys = Array.from(manifest.matchAll(/__MSG_(\w+)__/g), match => match[1]);
+
+      expect(keys.length).toBeGreaterThan(0);
+      keys.forEach(key => expect(english).toHaveProperty(key));
+    });
+
+    [['popup', POPUP_PATH], ['options page', OPTIONS_PATH]].forEach(([name, pagePath]) => {
+      test(`should only use existing messages in the ${name}`, () => {
+        const keys = getPageKeys(pagePath);
+
+        expect(keys.length).toBeGreaterThan(0);
+        keys.forEach(key => expect(english).toHaveProperty(key));
+      });
+    });
+
+    SCRIPTS.forEach((file) => {
+      test(`should only use existing messages in ${file}`, () => {
+        const keys = getScriptKeys(file);
+
+        expect(keys.length).toBeGreaterThan(0);
+        keys.forEach(key => expect(english).toHaveProperty(key));
+      });
+    });
+  });
+
+  describe('German popup', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension({ locale: 'de' });
+      browser = result.browser;
+      page = result.page;
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    beforeEach(async () => {
+      await openPopup(page);
+    });
+
+    test('should render every string from the German catalog', async () => {
+      const popup = await page.evaluate(() => ({
+        lang: document.documentElement.lang,
+        dir: document.documentElement.dir,
+        label: document.querySelector('label[for="chatboxTop"]').textContent,
+        option: document.querySelector('#breakInterval option[value="45"]').textContent,
+        hint: document.getElementById('scopeHint').textContent,
+        codes: Array.from(document.querySelectorAll('.url-rules code'), code => code.textContent),
+      }));
+
+      expect(popup).toEqual({
+        lang: 'de',
+        dir: 'ltr',
+        label: 'Eingabefeld nach oben verschieben',
+        option: '45 Minuten',
+        hint: 'Gilt für jede Website ohne eigene Einstellungen.',
+        codes: ['/g/**', '/share/**'],
+      });
+    });
+
+    test('should announce changes in German', async () => {
+      await page.click('#chatboxTop');
+      await page.waitForTimeout(300);
+
+      const announcement = await page.$eval('#announcer', element => element.textContent);
+      expect(announcement).toBe('Eingabefeld nach oben verschieben: aus (Alle Websites)');
+    });
+
+    test('should word layout problems in German', async () => {
+      await store(page, 'local', {
+        layoutStatus: {
+          chatgpt: { name: 'ChatGPT', supported: false, reason: 'composer-off-screen', checkedAt: Date.now() },
+        },
+      });
+
+      const warning = await page.$eval('#layoutStatus', element => element.textContent);
+      await store(page, 'local', { layoutStatus: {} });
+
+      expect(warning).toContain('(Eingabefeld liegt außerhalb des Bildschirms)');
+    });
+  });
+
+  describe('Persian popup', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension({ locale: 'fa' });
+      browser = result.browser;
+      page = result.page;
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    beforeEach(async () => {
+      await openPopup(page);
+    });
+
+    test('should lay the popup out right to left', async () => {
+      const popup = await page.evaluate(() => ({
+        lang: document.documentElement.lang,
+        dir: document.documentElement.dir,
+        label: document.querySelector('label[for="chatboxTop"]').textContent,
+        direction: getComputedStyle(document.querySelector('.setting-item')).direction,
+      }));
+
+      expect(popup).toEqual({
+        lang: 'fa',
+        dir: 'rtl',
+        label: 'انتقال کادر چت به بالا',
+        direction: 'rtl',
+      });
+    });
+
+    test('should mirror the switches', async () => {
+      // Without transitions, so the knob is read where it ends up
+      await page.emulateMediaFeatures([{ name: 'prefers-reduced-motion', value: 'reduce' }]);
+
+      const getKnob = () => page.$eval('#chatboxTop + .toggle-slider', (slider) => {
+        const knob = getComputedStyle(slider, ':before');
+        return { right: knob.right, transform: knob.transform };
+      });
+
+      // Off starts at the right edge, on moves to the left
+      await page.$eval('#chatboxTop', (input) => {
+        input.checked = false;
+      });
+      expect(await getKnob()).toEqual({ right: '3px', transform: 'none' });
+
+      await page.$eval('#chatboxTop', (input) => {
+        input.checked = true;
+      });
+      expect(await getKnob()).toEqual({ right: '3px', transform: 'matrix(1, 0, 0, 1, -22, 0)' });
+    });
+
+    test('should keep URL patterns left to right', async () => {
+      const directions = await page.$$eval('.url-rules code', codes => codes.map(code => getComputedStyle(code).direction));
+
+      expect(directions).toEqual(['ltr', 'ltr']);
+    });
+  });
+
+  describe('German options page', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension({ locale: 'de' });
+      browser = result.browser;
+      page = result.page;
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    beforeEach(async () => {
+      await openPage(page, OPTIONS_PATH);
+      await page.waitForSelector('#siteGroups .site-group');
+    });
+
+    test('should render every string from the German catalog', async () => {
+      const options = await page.evaluate(() => ({
+        lang: document.documentElement.lang,
+        heading: document.querySelector('.break-reminders h2').textContent,
+        option: document.querySelector('#breakInterval option[value="45"]').textContent,
+        groups: Array.from(document.querySelectorAll('.site-group-title'), title => title.textContent).slice(0, 2),
+        label: document.querySelector('label[for="global-chatboxTop"]').textContent,
+        inherit: document.querySelector('#claude-chatboxTop option[value=""]').textContent,
+        codes: Array.from(document.querySelectorAll('[data-scope="claude"] .site-rules code'), code => code.textContent),
+      }));
+
+      expect(options).toEqual({
+        lang: 'de',
+        heading: 'Pausenerinnerungen',
+        option: '45 Minuten',
+        groups: ['Alle Websites', 'ChatGPT'],
+        label: 'Position des Eingabefelds',
+        inherit: 'Wie „Alle Websites“ (Oben)',
+        codes: ['/g/**', '/share/**'],
+      });
+    });
+
+    test('should label new URL rules in German', async () => {
+      await page.click('[data-scope="claude"] .add-url-rule');
+
+      const row = await page.$eval('[data-scope="claude"] .url-rule', rule => ({
+        pattern: rule.querySelector('.url-rule-pattern').getAttribute('aria-label'),
+        inherit: rule.querySelector('.url-rule-feature').options[0].textContent,
+        remove: rule.querySelector('.url-rule-remove').getAttribute('aria-label'),
+      }));
+
+      expect(row).toEqual({
+        pattern: 'URL-Muster',
+        inherit: 'Position des Eingabefelds: übernehmen',
+        remove: 'Regel entfernen',
+      });
+    });
+  });
+
+  describe('German content scripts', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension({ locale: 'de' });
+      browser = result.browser;
+      page = result.page;
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    beforeEach(async () => {
+      await page.evaluate(() => {
+        return new Promise((resolve) => {
+          chrome.storage.sync.clear(() => chrome.storage.local.clear(() => resolve()));
+        });
+      });
+      await navigateToChatGPT(page);
+      await loadServiceWorker(page);
+    });
+
+    test('should label turn cards in German', async () => {
+      await store(page, 'sync', { collapseTurns: 1 });
+
+      const hint = await page.$eval('.ergonomic-turn-card', card => card.shadowRoot.querySelector('.hint').textContent);
+      expect(hint).toBe('Anzeigen');
+    });
+
+    test('should show the break banner in German', async () => {
+      await store(page, 'sync', { breakReminders: { enabled: true, intervalMinutes: 20, style: 'banner' } });
+      await store(page, 'local', { breakState: { activeMs: 20 * 60 * 1000, lastActivityAt: Date.now() - 60 * 1000, lastTabId: 1 } });
+      await page.keyboard.press('Shift');
+      await page.waitForTimeout(300);
+
+      const banner = await page.$eval('#ergonomic-break-banner', host => ({
+        title: host.shadowRoot.querySelector('.title').textContent,
+        buttons: Array.from(host.shadowRoot.querySelectorAll('button'), button => button.textContent),
+      }));
+
+      expect(banner).toEqual({
+        title: 'Zeit für eine Haltungspause',
+        buttons: ['In 10 Minuten erinnern', 'Heute nicht mehr', 'Erledigt'],
+      });
+    });
+
+    test('should show the break notification in German', async () => {
+      await store(page, 'sync', { breakReminders: { enabled: true, intervalMinutes: 45, style: 'notification' } });
+      await store(page, 'local', { breakState: { activeMs: 44 * 60 * 1000, lastActivityAt: Date.now() - 60 * 1000, lastTabId: 1 } });
+      await page.keyboard.press('Shift');
+      await page.waitForTimeout(300);
+
+      const notification = await page.evaluate(() => window.__notifications['break-reminder']);
+      expect(notification.title).toBe('Zeit für eine Haltungspause');
+      expect(notification.message).toContain('seit 45 Minuten');
+      expect(notification.buttons.map(button => button.title)).toEqual(['In 10 Minuten erinnern', 'Heute nicht mehr']);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Settings Migration Tests
+ * Starts from every storage shape a release has written and verifies the
+ * upgrade keeps what users chose, runs once, and runs on install/update
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  loadServiceWorker,
+} = require('../utils/browser');
+
+// Every shape chrome.storage.sync has held, oldest first
+const HISTORICAL_SHAPES = {
+  'fresh install': {},
+  'first release (flat toggles)': {
+    chatboxTop: false,
+    reverseMessages: true,
+  },
+  'per-site settings': {
+    chatboxTop: true,
+    reverseMessages: true,
+    siteSettings: {
+      chatgpt: { reverseMessages: false },
+      gemini: { enabled: false },
+    },
+  },
+  'URL rules': {
+    chatboxTop: true,
+    reverseMessages: false,
+    siteSettings: { claude: { chatboxTop: false } },
+    urlRules: [
+      { site: 'chatgpt', pattern: '/g/**', settings: { reverseMessages: true } },
+      { site: 'chatgpt', pattern: '/share/**', settings: {} },
+    ],
+  },
+  'reverse mode': {
+    chatboxTop: true,
+    reverseMessages: true,
+    reverseMode: 'turn',
+    siteSettings: { perplexity: { reverseMode: 'message' } },
+    urlRules: [{ site: 'claude', pattern: '/new', settings: { chatboxTop: false } }],
+  },
+};
+
+// Pages whose effective settings must survive the upgrade
+const PAGES = [
+  ['chatgpt', 'https://chatgpt.com/c/abc'],
+  ['chatgpt', 'https://chatgpt.com/g/g-abc-writer'],
+  ['claude', 'https://claude.ai/new'],
+  ['gemini', 'https://gemini.google.com/app'],
+  ['perplexity', 'https://www.perplexity.ai/search/abc'],
+];
+
+/**
+ * Run the migration pipeline on stored items in the page
+ * @param {Page} page - Puppeteer page
+ * @param {Object} items - Stored items
+ * @returns {Promise<Object>} Result of migrateSettings
+ */
+async function migrate(page, items) {
+  return await page.evaluate(items => ErgonomicGPT.migrations.migrateSettings(items), items);
+}
+
+/**
+ * Resolve the settings of every page in PAGES
+ * @param {Page} page - Puppeteer page
+ * @param {Object} items - Stored items
+ * @returns {Promise<Array<Object>>}
+ */
+async function resolveAll(page, items) {
+  return await page.evaluate((items, pages) => {
+    return pages.map(([siteId, url]) => ErgonomicGPT.settings.resolveSettings(items, siteId, url));
+  }, items, PAGES);
+}
+
+/**
+ * Read everything in synced storage
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>}
+ */
+async function getStoredSettings(page) {
+  return await page.evaluate(() => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(null, items => resolve(items));
+    });
+  });
+}
+
+describe('Settings Migration Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await navigateToChatGPT(page);
+    await loadServiceWorker(page);
+  });
+
+  describe('Historical Shapes', () => {
+    Object.keys(HISTORICAL_SHAPES).forEach((name) => {
+      test(`should upgrade ${name} without changing any page`, async () => {
+        const stored = HISTORICAL_SHAPES[name];
+        const result = await migrate(page, stored);
+
+        expect(result.changed).toBe(true);
+        expect(result.fromVersion).toBe(0);
+        expect(result.items.schemaVersion).toBe(1);
+        expect(result.removedKeys).toEqual([]);
+
+        expect(await resolveAll(page, result.items)).toEqual(await resolveAll(page, stored));
+      });
+
+      test(`should leave ${name} alone once upgraded`, async () => {
+        const first = await migrate(page, HISTORICAL_SHAPES[name]);
+        const second = await migrate(page, first.items);
+
+        expect(second.changed).toBe(false);
+        expect(second.items).toEqual(first.items);
+      });
+    });
+  });
+
+  describe('Cleanup', () => {
+    test('should drop values no release could read', async () => {
+      const result = await migrate(page, {
+        chatboxTop: 'yes',
+        reverseMessages: false,
+        reverseMode: 'sideways',
+        siteSettings: {
+          chatgpt: {},
+          bard: { chatboxTop: false },
+          claude: { enabled: false, chatboxTop: 1 },
+        },
+        urlRules: [
+          { site: 'chatgpt', pattern: '', settings: { chatboxTop: false } },
+          { site: 'chatgpt', pattern: ' /g/** ', settings: { reverseMessages: 'no' } },
+          null,
+        ],
+      });
+
+      expect(result.items).toEqual({
+        reverseMessages: false,
+        siteSettings: { claude: { enabled: false } },
+        urlRules: [{ site: 'chatgpt', pattern: '/g/**', settings: {} }],
+        schemaVersion: 1,
+      });
+      expect(result.removedKeys.sort()).toEqual(['chatboxTop', 'reverseMode']);
+    });
+
+    test('should keep flat settings added after version 1', async () => {
+      const result = await migrate(page, {
+        chatboxTop: true,
+        composerOffset: 120,
+        fontScale: 110,
+        collapseTurns: 5,
+      });
+
+      expect(result.items).toEqual({
+        chatboxTop: true,
+        composerOffset: 120,
+        fontScale: 110,
+        collapseTurns: 5,
+        schemaVersion: 1,
+      });
+      expect(result.removedKeys).toEqual([]);
+    });
+
+    test('should not touch settings from a newer release', async () => {
+      const stored = { schemaVersion: 99, futureSetting: { a: 1 } };
+      const result = await migrate(page, stored);
+
+      expect(result.changed).toBe(false);
+      expect(result.items).toEqual(stored);
+    });
+  });
+
+  describe('Install And Update', () => {
+    test('should migrate stored settings when the extension updates', async () => {
+      await page.evaluate((stored) => {
+        return new Promise((resolve) => {
+          chrome.storage.sync.set(stored, () => resolve());
+        });
+      }, { ...HISTORICAL_SHAPES['per-site settings'], chatboxTop: 'yes' });
+
+      await page.evaluate(() => {
+        window.__installedListeners.forEach(listener => listener({ reason: 'update' }));
+      });
+      await page.waitForTimeout(500);
+
+      const stored = await getStoredSettings(page);
+      expect(stored.schemaVersion).toBe(1);
+      expect(stored.chatboxTop).toBeUndefined();
+      expect(stored.siteSettings).toEqual(HISTORICAL_SHAPES['per-site settings'].siteSettings);
+    });
+
+    test('should stamp the version on a fresh install', async () => {
+      await page.evaluate(() => {
+        window.__installedListeners.forEach(listener => listener({ reason: 'install' }));
+      });
+      await page.waitForTimeout(500);
+
+      const stored = await getStoredSettings(page);
+      expect(stored).toEqual({ schemaVersion: 1 });
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Composer Offset Tests
+ * Verifies composerOffset lowers the top composer to eye level through the
+ * --ergonomic-composer-offset custom property
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+} = require('../utils/browser');
+
+const COMPOSER_SELECTOR = 'form[data-type="unified-composer"]';
+
+/**
+ * Store settings and give the content script time to apply them
+ * @param {Page} page - Puppeteer page
+ * @param {Object} settings - Settings to store
+ */
+async function storeSettings(page, settings) {
+  await page.evaluate((settings) => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set(settings, () => resolve());
+    });
+  }, settings);
+
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Read the custom property the core sets on <html>
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<string>}
+ */
+async function getOffsetProperty(page) {
+  return await page.evaluate(() => {
+    return document.documentElement.style.getPropertyValue('--ergonomic-composer-offset');
+  });
+}
+
+/**
+ * Measure where the composer's text area starts, in percent of the viewport
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<number>}
+ */
+async function getComposerInputTop(page) {
+  return await page.evaluate((selector) => {
+    const input = document.querySelector(`${selector} #prompt-textarea`) ||
+      document.querySelector(selector);
+    return input.getBoundingClientRect().top / window.innerHeight * 100;
+  }, COMPOSER_SELECTOR);
+}
+
+describe('Composer Offset Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await navigateToChatGPT(page);
+  });
+
+  test('should keep the composer at the very top by default', async () => {
+    expect(await getOffsetProperty(page)).toBe('');
+    expect(await getComposerInputTop(page)).toBeLessThan(15);
+  });
+
+  test('should lower the composer to the chosen eye level', async () => {
+    await storeSettings(page, { composerOffset: 30 });
+
+    expect(await getOffsetProperty(page)).toBe('30vh');
+
+    const top = await getComposerInputTop(page);
+    expect(top).toBeGreaterThanOrEqual(30);
+    expect(top).toBeLessThan(45);
+  });
+
+  test('should keep the newest message right below the composer', async () => {
+    await storeSettings(page, { composerOffset: 25 });
+
+    const gap = await page.evaluate((selector) => {
+      const composer = document.querySelector(selector).getBoundingClientRect();
+      const newest = Array.from(document.querySelectorAll('article'))
+        .map(article => article.getBoundingClientRect())
+        .filter(rect => rect.height > 0)
+        .sort((a, b) => a.top - b.top)[0];
+      return newest.top - composer.bottom;
+    }, COMPOSER_SELECTOR);
+
+    expect(gap).toBeGreaterThanOrEqual(0);
+    expect(gap).toBeLessThan(200);
+  });
+
+  test('should use a site override', async () => {
+    await storeSettings(page, { composerOffset: 10, siteSettings: { chatgpt: { composerOffset: 35 } } });
+
+    expect(await getOffsetProperty(page)).toBe('35vh');
+  });
+
+  test('should drop the offset with the chatbox at the bottom', async () => {
+    await storeSettings(page, { composerOffset: 30 });
+    await storeSettings(page, { chatboxTop: false });
+
+    expect(await getOffsetProperty(page)).toBe('');
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Options Page Tests
+ * Verifies the settings file schema and importing files on the options page
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { launchWithExtension } = require('../utils/browser');
+
+const OPTIONS_PATH = path.join(global.TEST_CONFIG.EXTENSION_PATH, 'options', 'options.html');
+
+// A team's standard configuration
+const TEAM_FILE = {
+  format: 'ergonomic-gpt-settings',
+  settings: {
+    chatboxTop: true,
+    reverseMessages: true,
+    reverseMode: 'turn',
+    composerOffset: 25,
+    fontScale: 110,
+    lineHeight: 0,
+    maxLineWidth: 80,
+    collapseTurns: 5,
+    siteSettings: { gemini: { enabled: false } },
+    urlRules: [{ site: 'chatgpt', pattern: '/share/**', settings: { chatboxTop: false } }],
+    breakReminders: { enabled: true, intervalMinutes: 30, style: 'banner' },
+  },
+};
+
+/**
+ * Write a settings file where the file picker can reach it
+ * @param {string} name - File name
+ * @param {string} contents - File contents
+ * @returns {string} Path to the file
+ */
+function writeSettingsFile(name, contents) {
+  const filePath = path.join(os.tmpdir(), name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+/**
+ * Pick a file in the import input and wait for the result
+ * @param {Page} page - Puppeteer page
+ * @param {string} filePath - File to import
+ */
+async function importFile(page, filePath) {
+  const input = await page.$('#importSettings');
+  await input.uploadFile(filePath);
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Read everything in synced storage
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>}
+ */
+async function getStoredSettings(page) {
+  return await page.evaluate(() => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(null, items => resolve(items));
+    });
+  });
+}
+
+/**
+ * Get the lines of the status message
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Array<string>>}
+ */
+async function getStatusLines(page) {
+  return await page.$$eval('#optionsStatus p', lines => lines.map(line => line.textContent));
+}
+
+describe('Options Page Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await page.goto(`file://${OPTIONS_PATH}`, { waitUntil: 'networkidle0' });
+    await page.waitForSelector('#siteGroups .site-group');
+  });
+
+  describe('Schema', () => {
+    test('should accept a complete settings file', async () => {
+      const result = await page.evaluate(file => ErgonomicGPT.schema.validateSettingsFile(file), TEAM_FILE);
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.settings.reverseMode).toBe('turn');
+    });
+
+    test('should fill in defaults for missing keys', async () => {
+      const result = await page.evaluate(() => {
+        return ErgonomicGPT.schema.validateSettingsFile({
+          format: 'ergonomic-gpt-settings',
+          settings: { chatboxTop: false },
+        });
+      });
+
+      expect(result.settings).toEqual({
+        chatboxTop: false,
+        reverseMessages: true,
+        reverseMode: 'message',
+        composerOffset: 0,
+        fontScale: 100,
+        lineHeight: 0,
+        maxLineWidth: 0,
+        collapseTurns: 0,
+        siteSettings: {},
+        urlRules: [],
+        breakReminders: { enabled: false, intervalMinutes: 45, style: 'notification' },
+        schemaVersion: 1,
+      });
+    });
+
+    test('should list every unknown or malformed key', async () => {
+      const result = await page.evaluate(() => {
+        return ErgonomicGPT.schema.validateSettingsFile({
+          format: 'ergonomic-gpt-settings',
+          settings: {
+            chatboxTop: 'yes',
+            reverseMode: 'sideways',
+            composerOffset: 80,
+            lineHeight: 50,
+            tiltScreen: true,
+            siteSettings: { bard: {}, claude: { reverseMessages: 1 } },
+            urlRules: [{ site: 'chatgpt', pattern: 'share', settings: {} }],
+            breakReminders: { enabled: true, intervalMinutes: 7 },
+          },
+        });
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'settings.chatboxTop: expected true or false, got "yes"',
+        'settings.reverseMode: expected "message" or "turn", got "sideways"',
+        'settings.composerOffset: expected a whole number from 0 to 50, got 80',
+        'settings.lineHeight: expected 0 or a whole number from 100 to 300, got 50',
+        'settings.tiltScreen: unknown setting',
+        'settings.siteSettings.bard: unknown site',
+        'settings.siteSettings.claude.reverseMessages: expected true or false, got 1',
+        'settings.urlRules[0].pattern: expected a path pattern starting with "/"',
+        'settings.breakReminders.intervalMinutes: expected one of 20, 30, 45, 60, 90, got 7',
+      ]);
+    });
+
+    test('should reject files from a newer release', async () => {
+      const result = await page.evaluate(() => {
+        return ErgonomicGPT.schema.validateSettingsFile({
+          format: 'ergonomic-gpt-settings',
+          schemaVersion: 99,
+          settings: {},
+        });
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('newer ErgonomicGPT');
+    });
+
+    test('should reject files in another format', async () => {
+      const result = await page.evaluate(() => {
+        return ErgonomicGPT.schema.validateSettingsFile({ chatboxTop: true });
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toContain('Not an ErgonomicGPT settings file');
+    });
+
+    test('should export what it imports', async () => {
+      const result = await page.evaluate((file) => {
+        const { createSettingsFile, validateSettingsFile } = ErgonomicGPT.schema;
+        return validateSettingsFile(createSettingsFile(validateSettingsFile(file).settings));
+      }, TEAM_FILE);
+
+      expect(result.valid).toBe(true);
+      expect(result.settings).toEqual({ ...TEAM_FILE.settings, schemaVersion: 1 });
+    });
+  });
+
+  describe('Import', () => {
+    test('should replace every setting with a valid file', async () => {
+      await importFile(page, writeSettingsFile('team.json', JSON.stringify(TEAM_FILE)));
+
+      const stored = await getStoredSettings(page);
+      expect(stored).toEqual({ ...TEAM_FILE.settings, schemaVersion: 1 });
+
+      const lines = await getStatusLines(page);
+      expect(lines).toEqual(['Imported settings from team.json.']);
+
+      const geminiEnabled = await page.$eval('#gemini-enabled', checkbox => checkbox.checked);
+      expect(geminiEnabled).toBe(false);
+    });
+
+    test('should show errors and change nothing for an invalid file', async () => {
+      const file = { format: 'ergonomic-gpt-settings', settings: { chatboxTop: 'no' } };
+      await importFile(page, writeSettingsFile('broken.json', JSON.stringify(file)));
+
+      const stored = await getStoredSettings(page);
+      expect(stored).toEqual({});
+
+      const lines = await getStatusLines(page);
+      expect(lines).toEqual([
+        'Could not import broken.json, nothing was changed:',
+        'settings.chatboxTop: expected true or false, got "no"',
+      ]);
+    });
+
+    test('should report files that are not JSON', async () => {
+      await importFile(page, writeSettingsFile('notes.json', 'chatboxTop = true'));
+
+      const lines = await getStatusLines(page);
+      expect(lines[0]).toContain('not valid JSON');
+    });
+  });
+
+  describe('Site Groups', () => {
+    test('should save a site override from its group', async () => {
+      await page.select('#claude-reverseMessages', 'false');
+      await page.waitForTimeout(300);
+
+      const stored = await getStoredSettings(page);
+      expect(stored.siteSettings).toEqual({ claude: { reverseMessages: false } });
+      expect(stored.reverseMessages).toBe(true);
+    });
+  });
+});
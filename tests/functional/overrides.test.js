@@ -0,0 +1,323 @@
+/**
+ * Selector and CSS Override Tests
+ * Verifies the content-script core swaps in the user's selectors and custom
+ * CSS from local storage, previews unsaved ones over the popup's port, and
+ * that the popup edits, validates, saves and switches them off
+ */
+
+const path = require('path');
+const { launchWithExtension, navigateToChatGPT } = require('../utils/browser');
+
+const POPUP_PATH = path.join(global.TEST_CONFIG.EXTENSION_PATH, 'popup', 'popup.html');
+
+// Overrides for the example after renameMarkup()
+const RENAMED_SELECTORS = {
+  composerParent: 'div.renamed-parent',
+  composer: 'form.renamed-composer',
+};
+
+/**
+ * Ask the content script for its diagnostics, as the popup does
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>}
+ */
+async function diagnose(page) {
+  return await page.evaluate(() => new Promise((resolve) => {
+    window.__messageListeners.forEach(listener => listener({ type: 'diagnose' }, {}, resolve));
+  }));
+}
+
+/**
+ * Store settings and overrides, then reload the ChatGPT example
+ * @param {Page} page - Puppeteer page
+ * @param {Object} settings - Settings for chrome.storage.sync
+ * @param {Object} siteOverrides - Overrides for chrome.storage.local
+ */
+async function openChatGPTWith(page, settings, siteOverrides) {
+  await page.evaluate((settings, siteOverrides) => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.clear(() => chrome.storage.sync.set(settings, () => {
+        chrome.storage.local.clear(() => chrome.storage.local.set({ siteOverrides }, () => resolve()));
+      }));
+    });
+  }, settings, siteOverrides);
+  await navigateToChatGPT(page);
+}
+
+/**
+ * Store overrides on the open page, as the popup does
+ * @param {Page} page - Puppeteer page
+ * @param {Object} siteOverrides - Overrides for chrome.storage.local
+ */
+async function storeOverrides(page, siteOverrides) {
+  await page.evaluate((siteOverrides) => {
+    return new Promise((resolve) => {
+      chrome.storage.local.set({ siteOverrides }, () => resolve());
+    });
+  }, siteOverrides);
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Rename the composer and its container, like a site release would
+ */
+function renameMarkup() {
+  const parent = document.querySelector('div.composer-parent');
+  parent.classList.replace('composer-parent', 'renamed-parent');
+
+  const form = document.querySelector('form[data-type="unified-composer"]');
+  form.removeAttribute('data-type');
+  form.classList.add('renamed-composer');
+}
+
+/**
+ * Get the outline style of <main>, which the custom CSS in these tests sets
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<string>}
+ */
+async function getMainOutline(page) {
+  return await page.$eval('main', element => getComputedStyle(element).outlineStyle);
+}
+
+describe('Selector and CSS Override Tests', () => {
+  describe('Content script', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension();
+      browser = result.browser;
+      page = result.page;
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    test('should lay out renamed markup with the overridden selectors', async () => {
+      await openChatGPTWith(page, { reverseMessages: false }, {});
+      await page.evaluate(renameMarkup);
+
+      expect((await diagnose(page)).composer).toBeNull();
+
+      await storeOverrides(page, { chatgpt: { enabled: true, selectors: RENAMED_SELECTORS, css: '' } });
+      const report = await diagnose(page);
+
+      expect(report.selectors.filter(entry => entry.overridden)).toEqual([
+        { name: 'composerParent', selector: 'div.renamed-parent', builtIn: 'div.composer-parent', overridden: true, count: 1 },
+        { name: 'composer', selector: 'form.renamed-composer', builtIn: 'form[data-type="unified-composer"]', overridden: true, count: 1 },
+      ]);
+      expect(report.composer.composerBeforeMessages).toBe(true);
+      expect(report.problem).toBeNull();
+    });
+
+    test('should add custom CSS, and drop it when switched off', async () => {
+      const css = 'main { outline: 3px solid rgb(255, 0, 0) !important; }';
+      await openChatGPTWith(page, {}, { chatgpt: { enabled: true, selectors: {}, css } });
+
+      expect(await getMainOutline(page)).toBe('solid');
+
+      await storeOverrides(page, { chatgpt: { enabled: false, selectors: {}, css } });
+
+      expect(await getMainOutline(page)).toBe('none');
+      expect(await page.$('#ergonomic-site-overrides')).toBeNull();
+    });
+
+    test('should leave a switched-off site alone', async () => {
+      await openChatGPTWith(page, { siteSettings: { chatgpt: { enabled: false } } }, {
+        chatgpt: { enabled: true, selectors: {}, css: 'main { outline: 3px solid red !important; }' },
+      });
+
+      expect(await getMainOutline(page)).toBe('none');
+    });
+
+    test('should skip selectors the browser rejects', async () => {
+      await openChatGPTWith(page, {}, { chatgpt: { enabled: true, selectors: { message: 'article[' }, css: '' } });
+
+      const report = await diagnose(page);
+      const message = report.selectors.find(entry => entry.name === 'message');
+
+      expect(message.overridden).toBe(false);
+      expect(message.selector).toBe(message.builtIn);
+    });
+
+    test('should preview overrides until the popup disconnects', async () => {
+      await openChatGPTWith(page, {}, {});
+
+      // Stand in for the popup's end of the port
+      await page.evaluate(() => {
+        const listeners = { message: [], disconnect: [] };
+        window.__previewPort = {
+          name: 'override-preview',
+          onMessage: { addListener: listener => listeners.message.push(listener) },
+          onDisconnect: { addListener: listener => listeners.disconnect.push(listener) },
+          send: message => listeners.message.forEach(listener => listener(message)),
+          close: () => listeners.disconnect.forEach(listener => listener()),
+        };
+        window.__connectListeners.forEach(listener => listener(window.__previewPort));
+        window.__previewPort.send({
+          overrides: { enabled: true, selectors: {}, css: 'main { outline: 3px dashed red !important; }' },
+        });
+      });
+      await page.waitForTimeout(300);
+
+      expect(await getMainOutline(page)).toBe('dashed');
+      expect((await diagnose(page)).preview).toBe(true);
+
+      await page.evaluate(() => window.__previewPort.close());
+      await page.waitForTimeout(300);
+
+      expect(await getMainOutline(page)).toBe('none');
+      expect((await diagnose(page)).preview).toBe(false);
+    });
+  });
+
+  describe('Popup', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension();
+      browser = result.browser;
+      page = result.page;
+
+      // The active tab is ChatGPT; its preview port records what it is sent
+      await page.evaluateOnNewDocument(() => {
+        window.chrome = window.chrome || {};
+        window.__preview = { posted: [], disconnected: false };
+        window.chrome.tabs = {
+          query: (queryInfo, callback) => callback([{ id: 4, url: 'https://chatgpt.com/' }]),
+          sendMessage: (tabId, message, callback) => callback(null),
+          connect: () => ({
+            postMessage: message => window.__preview.posted.push(message),
+            disconnect: () => {
+              window.__preview.disconnected = true;
+            },
+            onDisconnect: { addListener: () => {} },
+          }),
+        };
+      });
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    /**
+     * Open the popup with the given overrides stored, and its advanced area open
+     * @param {Object} siteOverrides - Overrides for chrome.storage.local
+     */
+    async function openAdvanced(siteOverrides) {
+      await page.goto(`file://${POPUP_PATH}`, { waitUntil: 'networkidle0' });
+      await page.evaluate((siteOverrides) => {
+        return new Promise((resolve) => {
+          chrome.storage.local.clear(() => chrome.storage.local.set({ siteOverrides }, () => resolve()));
+        });
+      }, siteOverrides);
+      await page.reload({ waitUntil: 'networkidle0' });
+      await page.click('#siteOverrides summary');
+      await page.waitForTimeout(200);
+    }
+
+    /**
+     * Read the stored overrides
+     * @returns {Promise<Object>}
+     */
+    async function getStoredOverrides() {
+      return await page.evaluate(() => new Promise((resolve) => {
+        chrome.storage.local.get({ siteOverrides: {} }, items => resolve(items.siteOverrides));
+      }));
+    }
+
+    test('should only offer overrides for a single site', async () => {
+      await openAdvanced({});
+
+      expect(await page.$eval('#siteOverrides', element => element.hidden)).toBe(false);
+      expect(await page.$$eval('.override-selector', inputs => inputs.map(input => input.dataset.selector))).toEqual([
+        'composerParent', 'composer', 'composerInput', 'messagesContainer', 'message', 'turnStart', 'prompt', 'scroller',
+      ]);
+
+      await page.select('#settingsScope', 'global');
+
+      expect(await page.$eval('#siteOverrides', element => element.hidden)).toBe(true);
+      expect(await page.evaluate(() => window.__preview.disconnected)).toBe(true);
+    });
+
+    test('should preview edits on the active tab', async () => {
+      await openAdvanced({});
+      await page.type('#composerOverride', 'form.renamed-composer');
+      await page.type('#overrideCss', 'main { outline: none; }');
+      await page.waitForTimeout(500);
+
+      const posted = await page.evaluate(() => window.__preview.posted);
+      expect(posted[posted.length - 1]).toEqual({
+        overrides: {
+          enabled: true,
+          selectors: { composer: 'form.renamed-composer' },
+          css: 'main { outline: none; }',
+        },
+      });
+      expect(await getStoredOverrides()).toEqual({});
+    });
+
+    test('should save the overrides on this device', async () => {
+      await openAdvanced({});
+      await page.type('#composerOverride', 'form.renamed-composer');
+      await page.click('#saveOverrides');
+      await page.waitForTimeout(300);
+
+      expect(await getStoredOverrides()).toEqual({
+        chatgpt: { enabled: true, selectors: { composer: 'form.renamed-composer' }, css: '' },
+      });
+      expect(await page.$eval('#announcer', element => element.textContent)).toBe('Overrides saved for ChatGPT');
+    });
+
+    test('should refuse to save a selector the browser rejects', async () => {
+      await openAdvanced({});
+      await page.type('#messageOverride', 'article[');
+      await page.click('#saveOverrides');
+      await page.waitForTimeout(300);
+
+      const field = await page.evaluate(() => ({
+        invalid: document.getElementById('messageOverride').getAttribute('aria-invalid'),
+        errorShown: !document.getElementById('messageOverrideError').hidden,
+        focused: document.activeElement.id,
+        announcement: document.getElementById('announcer').textContent,
+      }));
+
+      expect(field).toEqual({
+        invalid: 'true',
+        errorShown: true,
+        focused: 'messageOverride',
+        announcement: 'Fix the selectors marked as invalid before saving',
+      });
+      expect(await getStoredOverrides()).toEqual({});
+    });
+
+    test('should switch saved overrides off in one click, keeping them', async () => {
+      const saved = { enabled: true, selectors: { composer: 'form.renamed-composer' }, css: 'main { color: red; }' };
+      await openAdvanced({ chatgpt: saved });
+
+      expect(await page.$eval('#composerOverride', input => input.value)).toBe('form.renamed-composer');
+
+      await page.click('#overridesEnabled');
+      await page.waitForTimeout(300);
+
+      expect(await getStoredOverrides()).toEqual({ chatgpt: { ...saved, enabled: false } });
+      expect(await page.$eval('#announcer', element => element.textContent)).toBe('Use these overrides: off (ChatGPT)');
+    });
+
+    test('should remove the overrides', async () => {
+      await openAdvanced({ chatgpt: { enabled: true, selectors: { composer: 'form.x' }, css: '' } });
+      await page.click('#removeOverrides');
+      await page.waitForTimeout(300);
+
+      expect(await getStoredOverrides()).toEqual({});
+      expect(await page.$eval('#composerOverride', input => input.value)).toBe('');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Functional Perplexity DOM Tests
+ * Verifies Perplexity host matching, DOM structure and CSS application
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const {
+  launchWithExtension,
+  navigateToPerplexity,
+  getAppliedSettings,
+  applySettings,
+} = require('../utils/browser');
+
+const {
+  getPerplexityStructure,
+  isChatboxAtTop,
+  areMessagesReversed,
+  getComposerPosition,
+  verifyCSSApplication,
+  getVisualOrder,
+} = require('../utils/dom');
+
+describe('Functional Perplexity DOM Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension({ site: 'perplexity' });
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  describe('Host Matching', () => {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(global.TEST_CONFIG.EXTENSION_PATH, 'manifest.json'), 'utf8')
+    );
+
+    test('should inject the Perplexity script on www.perplexity.ai', () => {
+      const entry = manifest.content_scripts.find(script =>
+        script.js.includes('content-scripts/perplexity.js')
+      );
+
+      expect(entry.matches).toContain('https://www.perplexity.ai/*');
+      expect(entry.matches).toContain('https://perplexity.ai/*');
+      expect(entry.css).toContain('styles/perplexity.css');
+    });
+
+    test('should request host permission for www.perplexity.ai', () => {
+      expect(manifest.host_permissions).toContain('https://www.perplexity.ai/*');
+    });
+  });
+
+  describe('Extension Loading', () => {
+    test('should have correct Perplexity DOM structure', async () => {
+      await navigateToPerplexity(page);
+
+      const structure = await getPerplexityStructure(page);
+
+      expect(structure.hasMain).toBe(true);
+      expect(structure.hasComposerParent).toBe(true);
+      expect(structure.hasThread).toBe(true);
+      expect(structure.hasAskInput).toBe(true);
+      expect(structure.entryCount).toBeGreaterThan(1);
+      expect(structure.sourcesCount).toBe(structure.entryCount);
+      expect(structure.answerCount).toBe(structure.entryCount);
+      expect(structure.hasRelatedQuestions).toBe(true);
+    });
+  });
+
+  describe('Feature 1: Chatbox at Top', () => {
+    beforeEach(async () => {
+      await navigateToPerplexity(page);
+    });
+
+    test('should reverse the thread wrapper', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      const isAtTop = await isChatboxAtTop(page, 'perplexity');
+      expect(isAtTop).toBe(true);
+    });
+
+    test('should verify composer appears before entries', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      const position = await getComposerPosition(page, 'perplexity');
+      expect(position).toBeTruthy();
+      expect(position.composerBeforeMessages).toBe(true);
+    });
+
+    test('should NOT apply when disabled', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(false);
+
+      const isAtTop = await isChatboxAtTop(page, 'perplexity');
+      expect(isAtTop).toBe(false);
+    });
+  });
+
+  describe('Feature 2: Reverse Entries', () => {
+    beforeEach(async () => {
+      await navigateToPerplexity(page);
+    });
+
+    test('should reverse the thread container', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: true });
+
+      const isReversed = await areMessagesReversed(page, 'perplexity');
+      expect(isReversed).toBe(true);
+    });
+
+    test('should show the newest entry, then its follow-ups, then older entries', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: true });
+
+      const order = await page.evaluate(() => {
+        const thread = document.querySelector('div[data-testid="thread"]');
+        return Array.from(thread.children)
+          .map(el => ({
+            label: el.getAttribute('data-testid') === 'related-questions'
+              ? 'related'
+              : el.querySelector('h1').textContent,
+            top: el.getBoundingClientRect().top,
+          }))
+          .sort((a, b) => a.top - b.top)
+          .map(item => item.label);
+      });
+
+      expect(order).toEqual([
+        'When should I use grid instead?',
+        'related',
+        'What does flex-direction control?',
+        'How does CSS flexbox work?',
+      ]);
+    });
+
+    test('should keep query, sources and answer in order within an entry', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+
+      const sections = await getVisualOrder(
+        page,
+        'div[data-testid="thread-entry"]:first-child > *'
+      );
+
+      expect(sections.map(section => section.testId)).toEqual([null, 'sources', 'answer']);
+    });
+
+    test('should NOT apply when disabled', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+
+      const isReversed = await areMessagesReversed(page, 'perplexity');
+      expect(isReversed).toBe(false);
+    });
+  });
+
+  describe('Combined Features', () => {
+    beforeEach(async () => {
+      await navigateToPerplexity(page);
+    });
+
+    test('should verify CSS application for both features', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+
+      const verification = await verifyCSSApplication(page, {
+        chatboxTop: true,
+        reverseMessages: true,
+      }, 'perplexity');
+
+      expect(verification.valid).toBe(true);
+      expect(verification.issues).toHaveLength(0);
+    });
+  });
+});
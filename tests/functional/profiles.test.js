@@ -0,0 +1,332 @@
+/**
+ * Settings Profile Tests
+ * Verifies named profiles bundle every setting, switch in one step, are
+ * stored one item each, pick up later changes through the background
+ * worker, and that the popup shows when synced storage refuses a profile
+ */
+
+const path = require('path');
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  loadServiceWorker,
+  getAppliedSettings,
+} = require('../utils/browser');
+
+const LAPTOP_SETTINGS = {
+  chatboxTop: true,
+  reverseMessages: true,
+  reverseMode: 'message',
+  composerOffset: 0,
+  fontScale: 100,
+  lineHeight: 0,
+  maxLineWidth: 0,
+  collapseTurns: 0,
+  siteSettings: {},
+  urlRules: [],
+  breakReminders: { enabled: false, intervalMinutes: 45, style: 'notification' },
+};
+
+const DESK_SETTINGS = {
+  chatboxTop: true,
+  reverseMessages: false,
+  reverseMode: 'message',
+  composerOffset: 25,
+  fontScale: 125,
+  lineHeight: 160,
+  maxLineWidth: 70,
+  collapseTurns: 3,
+  siteSettings: { claude: { chatboxTop: false } },
+  urlRules: [{ site: 'chatgpt', pattern: '/share/**', settings: { chatboxTop: false } }],
+  breakReminders: { enabled: true, intervalMinutes: 60, style: 'banner' },
+};
+
+const POPUP_PATH = path.join(global.TEST_CONFIG.EXTENSION_PATH, 'popup', 'popup.html');
+
+/**
+ * Run a profile helper on the stored items and store what it returns
+ * @param {Page} page - Puppeteer page
+ * @param {string} helper - Name of a function in ErgonomicGPT.profiles
+ * @param {...*} args - Arguments after the stored items
+ */
+async function runProfileHelper(page, helper, ...args) {
+  await page.evaluate((helper, args) => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(null, (items) => {
+        const update = ErgonomicGPT.profiles[helper](items, ...args);
+        if (!update) {
+          resolve();
+          return;
+        }
+        chrome.storage.sync.set(update.items, () => chrome.storage.sync.remove(update.removedKeys, () => resolve()));
+      });
+    });
+  }, helper, args);
+
+  // Leave time for the worker to sync and the content script to apply
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Store settings directly
+ * @param {Page} page - Puppeteer page
+ * @param {Object} items - Items to store
+ */
+async function storeSettings(page, items) {
+  await page.evaluate((items) => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set(items, () => resolve());
+    });
+  }, items);
+
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Read everything in synced storage
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>}
+ */
+async function getStoredSettings(page) {
+  return await page.evaluate(() => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.get(null, items => resolve(items));
+    });
+  });
+}
+
+/**
+ * Collect the stored profiles by id
+ * @param {Object} stored - Items read from storage
+ * @returns {Object}
+ */
+function getProfiles(stored) {
+  return Object.keys(stored)
+    .filter(key => key.startsWith('profile:'))
+    .reduce((profiles, key) => ({ ...profiles, [key.slice('profile:'.length)]: stored[key] }), {});
+}
+
+/**
+ * Find a profile's id by name
+ * @param {Object} stored - Items read from storage
+ * @param {string} name - Profile name
+ * @returns {string|undefined}
+ */
+function findProfileId(stored, name) {
+  const profiles = getProfiles(stored);
+  return Object.keys(profiles).find(id => profiles[id].name === name);
+}
+
+describe('Settings Profile Tests', () => {
+  describe('Stored profiles', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension();
+      browser = result.browser;
+      page = result.page;
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    beforeEach(async () => {
+      await page.evaluate(() => {
+        return new Promise((resolve) => {
+          chrome.storage.sync.clear(() => resolve());
+        });
+      });
+      await navigateToChatGPT(page);
+      await loadServiceWorker(page);
+    });
+
+    test('should save every setting in a new active profile', async () => {
+      await storeSettings(page, DESK_SETTINGS);
+      await runProfileHelper(page, 'createProfile', '  Desk monitor  ');
+
+      const stored = await getStoredSettings(page);
+      const id = findProfileId(stored, 'Desk monitor');
+
+      expect(id).toBeDefined();
+      expect(stored.activeProfile).toBe(id);
+      expect(stored[`profile:${id}`].settings).toEqual(DESK_SETTINGS);
+    });
+
+    test('should store each profile in its own item', async () => {
+      await runProfileHelper(page, 'createProfile', 'Laptop');
+      await runProfileHelper(page, 'createProfile', 'Desk monitor');
+
+      const stored = await getStoredSettings(page);
+      expect(stored.profiles).toBeUndefined();
+      expect(Object.keys(stored).filter(key => key.startsWith('profile:'))).toHaveLength(2);
+    });
+
+    test('should not create a profile without a name', async () => {
+      await runProfileHelper(page, 'createProfile', '   ');
+
+      const stored = await getStoredSettings(page);
+      expect(getProfiles(stored)).toEqual({});
+    });
+
+    test('should switch every setting in one step', async () => {
+      await storeSettings(page, LAPTOP_SETTINGS);
+      await runProfileHelper(page, 'createProfile', 'Laptop');
+      await storeSettings(page, DESK_SETTINGS);
+      await runProfileHelper(page, 'createProfile', 'Desk monitor');
+
+      let stored = await getStoredSettings(page);
+      await runProfileHelper(page, 'switchProfile', findProfileId(stored, 'Laptop'));
+
+      stored = await getStoredSettings(page);
+      expect(stored.activeProfile).toBe(findProfileId(stored, 'Laptop'));
+      expect(stored.reverseMessages).toBe(true);
+      expect(stored.siteSettings).toEqual({});
+      expect(stored.urlRules).toEqual([]);
+
+      let settings = await getAppliedSettings(page);
+      expect(settings.reverseMessages).toBe(true);
+
+      await runProfileHelper(page, 'switchProfile', findProfileId(stored, 'Desk monitor'));
+
+      settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(true);
+      expect(settings.reverseMessages).toBe(false);
+    });
+
+    test('should keep later changes in the active profile', async () => {
+      await runProfileHelper(page, 'createProfile', 'Laptop');
+
+      // e.g. a popup toggle or a keyboard shortcut
+      await storeSettings(page, { reverseMode: 'turn' });
+
+      const stored = await getStoredSettings(page);
+      const id = findProfileId(stored, 'Laptop');
+      expect(getProfiles(stored)[id].settings.reverseMode).toBe('turn');
+    });
+
+    test('should leave other profiles alone when settings change', async () => {
+      await storeSettings(page, LAPTOP_SETTINGS);
+      await runProfileHelper(page, 'createProfile', 'Laptop');
+      await storeSettings(page, DESK_SETTINGS);
+      await runProfileHelper(page, 'createProfile', 'Desk monitor');
+
+      await storeSettings(page, { chatboxTop: false });
+
+      const stored = await getStoredSettings(page);
+      const profiles = getProfiles(stored);
+      expect(profiles[findProfileId(stored, 'Laptop')].settings).toEqual(LAPTOP_SETTINGS);
+      expect(profiles[findProfileId(stored, 'Desk monitor')].settings.chatboxTop).toBe(false);
+    });
+
+    test('should keep the current settings when deleting the active profile', async () => {
+      await storeSettings(page, DESK_SETTINGS);
+      await runProfileHelper(page, 'createProfile', 'Desk monitor');
+
+      let stored = await getStoredSettings(page);
+      await runProfileHelper(page, 'deleteProfile', stored.activeProfile);
+
+      stored = await getStoredSettings(page);
+      expect(getProfiles(stored)).toEqual({});
+      expect(stored.activeProfile).toBeNull();
+      expect(stored.reverseMessages).toBe(false);
+    });
+
+  });
+
+  describe('Popup', () => {
+    let browser;
+    let page;
+
+    // Launch browser before all tests
+    beforeAll(async () => {
+      const result = await launchWithExtension();
+      browser = result.browser;
+      page = result.page;
+
+      // Refuse items over Chrome's sync quota per item, as Chrome does
+      await page.evaluateOnNewDocument(() => {
+        const waitForStorage = () => {
+          if (!window.chrome || !window.chrome.storage) {
+            setTimeout(waitForStorage, 0);
+            return;
+          }
+          const set = chrome.storage.sync.set;
+          chrome.storage.sync.set = (items, callback) => {
+            const tooLarge = Object.keys(items).some(key => (
+              key.length + JSON.stringify(items[key]).length > window.__quotaBytesPerItem
+            ));
+            if (!tooLarge) {
+              return set(items, callback);
+            }
+            chrome.runtime.lastError = { message: 'QUOTA_BYTES_PER_ITEM quota exceeded' };
+            callback();
+            delete chrome.runtime.lastError;
+            return Promise.resolve();
+          };
+        };
+        window.__quotaBytesPerItem = 8192;
+        waitForStorage();
+      });
+    });
+
+    // Close browser after all tests
+    afterAll(async () => {
+      await global.cleanupTest(browser, page);
+    });
+
+    /**
+     * Save the current settings as a profile from the popup
+     * @param {string} name - Profile name
+     */
+    async function saveProfile(name) {
+      await page.click('#newProfile');
+      await page.type('#newProfileName', name);
+      await page.keyboard.press('Enter');
+      await page.waitForTimeout(500);
+    }
+
+    test('should keep saving profiles whose settings together outgrow one item', async () => {
+      await page.goto(`file://${POPUP_PATH}`, { waitUntil: 'networkidle0' });
+
+      // About 3 KB of URL rules, so three profiles would not fit in one item
+      const urlRules = Array.from({ length: 40 }, (value, index) => ({
+        site: 'chatgpt', pattern: `/g/project-${index}/**`, settings: { chatboxTop: false },
+      }));
+      await storeSettings(page, { urlRules });
+      await page.reload({ waitUntil: 'networkidle0' });
+
+      await saveProfile('Laptop');
+      await saveProfile('Desk monitor');
+      await saveProfile('Projector');
+
+      const stored = await getStoredSettings(page);
+      expect(Object.values(getProfiles(stored)).map(profile => profile.name).sort())
+        .toEqual(['Desk monitor', 'Laptop', 'Projector']);
+      expect(await page.$eval('#saveStatus', element => element.hidden)).toBe(true);
+    });
+
+    test('should show when synced storage refuses a profile', async () => {
+      await page.evaluate(() => {
+        window.__quotaBytesPerItem = 100;
+      });
+      await saveProfile('Too big');
+
+      const status = await page.$eval('#saveStatus', element => ({
+        hidden: element.hidden,
+        text: element.textContent,
+      }));
+      expect(status).toEqual({
+        hidden: false,
+        text: "Your change couldn't be saved: it is too large to sync. Remove some URL rules, " +
+          'site settings or profiles, then try again.',
+      });
+      expect(await page.$$eval('.profile-chip', chips => chips.map(chip => chip.textContent)))
+        .not.toContain('Too big');
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * URL Rules Tests
+ * Verifies URL-pattern rules give ChatGPT routes their own settings,
+ * including after client-side navigation
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  serveExampleAt,
+  getAppliedSettings,
+} = require('../utils/browser');
+
+const CHATGPT_ORIGIN = 'https://chatgpt.com';
+
+// One rule per kind of ChatGPT page from the settings UI examples
+const RULES = [
+  { site: 'chatgpt', pattern: '/g/g-p-*/project', settings: { chatboxTop: false } },
+  { site: 'chatgpt', pattern: '/g/**', settings: { reverseMessages: false } },
+  { site: 'chatgpt', pattern: '/share/**', settings: { chatboxTop: false, reverseMessages: false } },
+  { site: 'claude', pattern: '/**', settings: { chatboxTop: false } },
+];
+
+/**
+ * Navigate within the single-page app the way ChatGPT does
+ * @param {Page} page - Puppeteer page
+ * @param {string} pathname - Path to push
+ */
+async function pushRoute(page, pathname) {
+  await page.evaluate((pathname) => {
+    history.pushState({}, '', pathname);
+  }, pathname);
+
+  // Leave time for the core to notice and reapply
+  await page.waitForTimeout(1500);
+}
+
+describe('URL Rules Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+
+    await serveExampleAt(page, CHATGPT_ORIGIN, global.TEST_CONFIG.CHATGPT_EXAMPLE_PATH);
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate((rules) => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => {
+          chrome.storage.sync.set({ urlRules: rules }, () => resolve());
+        });
+      });
+    }, RULES);
+  });
+
+  describe('Page Load', () => {
+    test('should use the site settings when no rule matches', async () => {
+      await navigateToChatGPT(page, `${CHATGPT_ORIGIN}/c/abc`);
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(true);
+      expect(settings.reverseMessages).toBe(true);
+    });
+
+    test('should apply the rule for custom GPTs', async () => {
+      await navigateToChatGPT(page, `${CHATGPT_ORIGIN}/g/g-abc123-writer`);
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(true);
+      expect(settings.reverseMessages).toBe(false);
+    });
+
+    test('should let the first matching rule win', async () => {
+      await navigateToChatGPT(page, `${CHATGPT_ORIGIN}/g/g-p-123/project`);
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(false);
+      expect(settings.reverseMessages).toBe(true);
+    });
+
+    test('should apply the rule for shared links', async () => {
+      await navigateToChatGPT(page, `${CHATGPT_ORIGIN}/share/abc-123`);
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(false);
+      expect(settings.reverseMessages).toBe(false);
+    });
+  });
+
+  describe('Client-Side Navigation', () => {
+    test('should re-evaluate rules when the route changes', async () => {
+      await navigateToChatGPT(page, `${CHATGPT_ORIGIN}/c/abc`);
+
+      await pushRoute(page, '/g/g-abc123-writer');
+      let settings = await getAppliedSettings(page);
+      expect(settings.reverseMessages).toBe(false);
+
+      await pushRoute(page, '/c/def');
+      settings = await getAppliedSettings(page);
+      expect(settings.reverseMessages).toBe(true);
+    });
+
+    test('should re-evaluate rules on back navigation', async () => {
+      await navigateToChatGPT(page, `${CHATGPT_ORIGIN}/c/abc`);
+      await pushRoute(page, '/share/abc-123');
+
+      await page.evaluate(() => history.back());
+      await page.waitForTimeout(1500);
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(true);
+      expect(settings.reverseMessages).toBe(true);
+    });
+
+    test('should reapply when rules change on the current route', async () => {
+      await navigateToChatGPT(page, `${CHATGPT_ORIGIN}/c/abc`);
+
+      await page.evaluate(() => {
+        return new Promise((resolve) => {
+          chrome.storage.sync.set({
+            urlRules: [{ site: 'chatgpt', pattern: '/c/*', settings: { chatboxTop: false } }],
+          }, () => resolve());
+        });
+      });
+      await page.waitForTimeout(500);
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Scroll Anchoring Tests
+ * Verifies the newest answer stays pinned under the top composer while it
+ * streams in, and that a user reading history is left alone
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+} = require('../utils/browser');
+
+const CONTAINER_SELECTOR = 'div.flex.flex-col.text-sm';
+const MESSAGE_SELECTOR = 'article[data-testid^="conversation-turn-"]';
+
+/**
+ * Stream tokens into the newest answer, scrolling to its end after each
+ * one the way ChatGPT's auto-scroll does
+ * @param {Page} page - Puppeteer page
+ * @param {number} count - Number of paragraphs to add
+ */
+async function streamTokens(page, count) {
+  for (let i = 0; i < count; i++) {
+    await page.evaluate((selector, i) => {
+      const messages = document.querySelectorAll(selector);
+      const answer = messages[messages.length - 1];
+
+      const paragraph = document.createElement('p');
+      paragraph.textContent = `Streamed paragraph ${i}. `.repeat(8);
+      answer.appendChild(paragraph);
+      paragraph.scrollIntoView({ block: 'end' });
+    }, MESSAGE_SELECTOR, i);
+
+    await page.waitForTimeout(50);
+  }
+
+  await page.waitForTimeout(300);
+}
+
+/**
+ * Distance from the top of the scroll area to the newest answer
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<number>}
+ */
+async function getNewestAnswerOffset(page) {
+  return await page.evaluate((containerSelector, selector) => {
+    const container = document.querySelector(containerSelector);
+    const messages = document.querySelectorAll(selector);
+    const answer = messages[messages.length - 1];
+
+    return answer.getBoundingClientRect().top - container.getBoundingClientRect().top;
+  }, CONTAINER_SELECTOR, MESSAGE_SELECTOR);
+}
+
+/**
+ * Scroll the conversation with the mouse wheel
+ * @param {Page} page - Puppeteer page
+ * @param {number} deltaY - Pixels to scroll
+ */
+async function wheel(page, deltaY) {
+  const box = await (await page.$(CONTAINER_SELECTOR)).boundingBox();
+  await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+  await page.mouse.wheel({ deltaY });
+  await page.waitForTimeout(300);
+}
+
+describe('Scroll Anchoring Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await navigateToChatGPT(page);
+
+    // The example's thread grows with its content; bound it like the live site
+    await page.evaluate((selector) => {
+      document.querySelector(selector).style.maxHeight = '480px';
+    }, CONTAINER_SELECTOR);
+  });
+
+  test('should keep the start of a streaming answer under the composer', async () => {
+    await streamTokens(page, 30);
+
+    const offset = await getNewestAnswerOffset(page);
+    expect(Math.abs(offset)).toBeLessThan(2);
+  });
+
+  test('should leave the position alone after the user scrolls into history', async () => {
+    await streamTokens(page, 30);
+    await wheel(page, 600);
+
+    const before = await getNewestAnswerOffset(page);
+    expect(before).toBeLessThan(-48);
+
+    await streamTokens(page, 5);
+
+    const after = await getNewestAnswerOffset(page);
+    expect(after).toBeLessThan(-48);
+  });
+
+  test('should follow the answer again once the user scrolls back to it', async () => {
+    await streamTokens(page, 30);
+    await wheel(page, 600);
+    await wheel(page, -2000);
+
+    await streamTokens(page, 5);
+
+    const offset = await getNewestAnswerOffset(page);
+    expect(Math.abs(offset)).toBeLessThan(2);
+  });
+
+  test('should not anchor when messages are in normal order', async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.set({ reverseMessages: false }, () => resolve());
+      });
+    });
+    await page.waitForTimeout(500);
+
+    await streamTokens(page, 30);
+
+    // ChatGPT's auto-scroll wins, leaving the answer's start above the view
+    const offset = await getNewestAnswerOffset(page);
+    expect(offset).toBeLessThan(-48);
+  });
+});
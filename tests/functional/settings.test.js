@@ -229,4 +229,128 @@ describe('Settings Persistence Tests', () => {
     });
   });
 
+  describe('Per-Site Settings', () => {
+    /**
+     * Replace synced storage and reload the example page
+     * @param {Object} items - Items to store
+     */
+    async function storeAndReload(items) {
+      await page.evaluate((items) => {
+        return new Promise((resolve) => {
+          chrome.storage.sync.clear(() => {
+            chrome.storage.sync.set(items, () => resolve());
+          });
+        });
+      }, items);
+
+      await navigateToChatGPT(page);
+      await page.waitForTimeout(500);
+    }
+
+    test('should inherit global settings when the site has no overrides', async () => {
+      await storeAndReload({
+        chatboxTop: false,
+        reverseMessages: true,
+        siteSettings: {},
+      });
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(false);
+      expect(settings.reverseMessages).toBe(true);
+    });
+
+    test('should let a site override single settings', async () => {
+      await storeAndReload({
+        chatboxTop: true,
+        reverseMessages: true,
+        siteSettings: { chatgpt: { reverseMessages: false } },
+      });
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(true);
+      expect(settings.reverseMessages).toBe(false);
+    });
+
+    test('should ignore overrides for other sites', async () => {
+      await storeAndReload({
+        chatboxTop: true,
+        reverseMessages: true,
+        siteSettings: { claude: { chatboxTop: false, reverseMessages: false } },
+      });
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(true);
+      expect(settings.reverseMessages).toBe(true);
+    });
+
+    test('should apply site overrides immediately when they change', async () => {
+      await storeAndReload({ chatboxTop: true, reverseMessages: true });
+
+      await page.evaluate(() => {
+        return new Promise((resolve) => {
+          chrome.storage.sync.set({
+            siteSettings: { chatgpt: { chatboxTop: false } },
+          }, () => resolve());
+        });
+      });
+      await page.waitForTimeout(500);
+
+      const settings = await getAppliedSettings(page);
+      expect(settings.chatboxTop).toBe(false);
+      expect(settings.reverseMessages).toBe(true);
+    });
+
+    test('should resolve settings the same way for every script', async () => {
+      await navigateToChatGPT(page);
+
+      const resolved = await page.evaluate(() => {
+        const items = {
+          chatboxTop: false,
+          siteSettings: { gemini: { reverseMessages: false } },
+        };
+        return {
+          gemini: ErgonomicGPT.settings.resolveSettings(items, 'gemini'),
+          claude: ErgonomicGPT.settings.resolveSettings(items, 'claude'),
+        };
+      });
+
+      expect(resolved.gemini).toEqual({
+        chatboxTop: false,
+        reverseMessages: false,
+        reverseMode: 'message',
+        composerOffset: 0,
+        fontScale: 100,
+        lineHeight: 0,
+        maxLineWidth: 0,
+        collapseTurns: 0,
+      });
+      expect(resolved.claude).toEqual({
+        chatboxTop: false,
+        reverseMessages: true,
+        reverseMode: 'message',
+        composerOffset: 0,
+        fontScale: 100,
+        lineHeight: 0,
+        maxLineWidth: 0,
+        collapseTurns: 0,
+      });
+    });
+
+    test('should map tab URLs to supported sites', async () => {
+      await navigateToChatGPT(page);
+
+      const sites = await page.evaluate(() => {
+        const { findSiteByUrl } = ErgonomicGPT.settings;
+        return [
+          'https://chatgpt.com/c/123',
+          'https://www.perplexity.ai/search/abc',
+          'https://example.com/',
+          'chrome://extensions/',
+        ].map(url => (findSiteByUrl(url) || {}).id || null);
+      });
+
+      expect(sites).toEqual(['chatgpt', 'perplexity', null, null]);
+    });
+  });
+
 });
@@ -0,0 +1,136 @@
+/**
+ * Theme Detection Tests
+ * Verifies the core marks the theme each site actually shows, whatever it
+ * calls it, that composers and overlays follow it, and that the popup
+ * follows the system theme
+ */
+
+const path = require('path');
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  navigateToClaude,
+  navigateToGemini,
+  navigateToPerplexity,
+} = require('../utils/browser');
+
+const POPUP_PATH = path.join(global.TEST_CONFIG.EXTENSION_PATH, 'popup', 'popup.html');
+
+// How each site switches to its dark theme
+const DARK_SWITCHES = [
+  ['Claude', navigateToClaude, () => document.documentElement.setAttribute('data-mode', 'dark')],
+  ['Gemini', navigateToGemini, () => document.body.classList.add('dark-theme')],
+  ['Perplexity', navigateToPerplexity, () => document.documentElement.classList.add('dark')],
+];
+
+/**
+ * Read the theme marked on <html>
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>} { theme, surface }
+ */
+async function getTheme(page) {
+  return await page.evaluate(() => {
+    const html = document.documentElement;
+    let theme = null;
+    if (html.classList.contains('ergonomic-theme-dark')) theme = 'dark';
+    if (html.classList.contains('ergonomic-theme-light')) theme = 'light';
+    return { theme, surface: html.style.getPropertyValue('--ergonomic-surface') };
+  });
+}
+
+describe('Theme Detection Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: 'light' }]);
+    await navigateToChatGPT(page);
+  });
+
+  test('should mark a light site as light', async () => {
+    expect(await getTheme(page)).toEqual({ theme: 'light', surface: 'rgb(255, 255, 255)' });
+  });
+
+  DARK_SWITCHES.forEach(([name, navigate, switchToDark]) => {
+    test(`should follow ${name} into its dark theme`, async () => {
+      await navigate(page);
+      expect((await getTheme(page)).theme).toBe('light');
+
+      await page.evaluate(switchToDark);
+      await page.waitForTimeout(100);
+
+      expect((await getTheme(page)).theme).toBe('dark');
+    });
+  });
+
+  test('should give the top composer the page background', async () => {
+    await navigateToPerplexity(page);
+    await page.evaluate(() => document.documentElement.classList.add('dark'));
+    await page.waitForTimeout(100);
+
+    const { surface } = await getTheme(page);
+    const composer = await page.evaluate(() => {
+      return getComputedStyle(document.querySelector('div.sticky.bottom-0:has(#ask-input)')).backgroundColor;
+    });
+
+    expect(surface).toBe('rgb(25, 26, 26)');
+    expect(composer).toBe(surface);
+  });
+
+  test('should go by the page, not the system theme', async () => {
+    await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: 'dark' }]);
+    await page.waitForTimeout(100);
+
+    expect((await getTheme(page)).theme).toBe('light');
+  });
+
+  test('should theme overlays like the page', async () => {
+    await navigateToPerplexity(page);
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.set({ collapseTurns: 1 }, () => resolve());
+      });
+    });
+    await page.waitForTimeout(500);
+
+    await page.evaluate(() => document.documentElement.classList.add('dark'));
+    await page.waitForTimeout(100);
+
+    const themes = await page.evaluate(() => {
+      return Array.from(document.querySelectorAll('.ergonomic-turn-card'))
+        .map(card => card.getAttribute('data-theme'));
+    });
+    expect(themes.length).toBeGreaterThan(0);
+    expect(themes.every(theme => theme === 'dark')).toBe(true);
+  });
+
+  test('should follow the system theme in the popup', async () => {
+    await page.goto(`file://${POPUP_PATH}`, { waitUntil: 'networkidle0' });
+
+    const getBackground = () => page.evaluate(() => {
+      return getComputedStyle(document.querySelector('.popup-container')).backgroundColor;
+    });
+
+    expect(await getBackground()).toBe('rgb(255, 255, 255)');
+
+    await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: 'dark' }]);
+    expect(await getBackground()).toBe('rgb(32, 33, 36)');
+  });
+});
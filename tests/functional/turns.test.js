@@ -0,0 +1,143 @@
+/**
+ * Reverse By Turn Tests
+ * Verifies reverseMode 'turn' keeps each prompt above its reply while
+ * putting the newest turn first
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  getAppliedSettings,
+} = require('../utils/browser');
+
+const { getVisualOrder } = require('../utils/dom');
+
+const MESSAGE_SELECTOR = 'article[data-testid^="conversation-turn-"]';
+
+/**
+ * Store settings and give the content script time to apply them
+ * @param {Page} page - Puppeteer page
+ * @param {Object} settings - Settings to store
+ */
+async function storeSettings(page, settings) {
+  await page.evaluate((settings) => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set(settings, () => resolve());
+    });
+  }, settings);
+
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Get the conversation-turn test ids from top to bottom
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Array<string>>}
+ */
+async function getVisibleTurnIds(page) {
+  const order = await getVisualOrder(page, MESSAGE_SELECTOR);
+  return order.map(item => item.testId.replace('conversation-turn-', ''));
+}
+
+describe('Reverse By Turn Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await navigateToChatGPT(page);
+  });
+
+  test('should reverse message by message by default', async () => {
+    const ids = await getVisibleTurnIds(page);
+
+    expect(ids).toEqual(['6', '5', '4', '3', '2', '1']);
+  });
+
+  test('should keep each prompt above its reply in turn mode', async () => {
+    await storeSettings(page, { reverseMode: 'turn' });
+
+    const hasClass = await page.evaluate(() => {
+      return document.documentElement.classList.contains('ergonomic-reverse-turns');
+    });
+    expect(hasClass).toBe(true);
+
+    const ids = await getVisibleTurnIds(page);
+    expect(ids).toEqual(['5', '6', '3', '4', '1', '2']);
+  });
+
+  test('should put a new turn first as it arrives', async () => {
+    await storeSettings(page, { reverseMode: 'turn' });
+
+    await page.evaluate((selector) => {
+      const messages = document.querySelectorAll(selector);
+      const container = messages[0].parentElement;
+
+      const prompt = messages[messages.length - 2].cloneNode(true);
+      prompt.setAttribute('data-testid', 'conversation-turn-7');
+      container.appendChild(prompt);
+
+      const reply = messages[messages.length - 1].cloneNode(true);
+      reply.setAttribute('data-testid', 'conversation-turn-8');
+      container.appendChild(reply);
+    }, MESSAGE_SELECTOR);
+    await page.waitForTimeout(500);
+
+    const ids = await getVisibleTurnIds(page);
+    expect(ids.slice(0, 4)).toEqual(['7', '8', '5', '6']);
+  });
+
+  test('should restore message order when switching back', async () => {
+    await storeSettings(page, { reverseMode: 'turn' });
+    await storeSettings(page, { reverseMode: 'message' });
+
+    const leftover = await page.evaluate(() => {
+      return document.querySelectorAll('[data-ergonomic-turn-order]').length;
+    });
+    expect(leftover).toBe(0);
+
+    const ids = await getVisibleTurnIds(page);
+    expect(ids).toEqual(['6', '5', '4', '3', '2', '1']);
+  });
+
+  test('should leave order alone when messages are not reversed', async () => {
+    await storeSettings(page, { reverseMessages: false, reverseMode: 'turn' });
+
+    const settings = await getAppliedSettings(page);
+    expect(settings.reverseMessages).toBe(false);
+
+    const hasClass = await page.evaluate(() => {
+      return document.documentElement.classList.contains('ergonomic-reverse-turns');
+    });
+    expect(hasClass).toBe(false);
+
+    const ids = await getVisibleTurnIds(page);
+    expect(ids).toEqual(['1', '2', '3', '4', '5', '6']);
+  });
+
+  test('should use a site override for the mode', async () => {
+    await storeSettings(page, {
+      reverseMode: 'message',
+      siteSettings: { chatgpt: { reverseMode: 'turn' } },
+    });
+
+    const ids = await getVisibleTurnIds(page);
+    expect(ids).toEqual(['5', '6', '3', '4', '1', '2']);
+  });
+});
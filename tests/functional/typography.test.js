@@ -0,0 +1,154 @@
+/**
+ * Reading Comfort Tests
+ * Verifies fontScale, lineHeight and maxLineWidth restyle message text on
+ * every site through the ergonomic-* classes and custom properties, and
+ * leave the site's typography alone at their defaults
+ */
+
+const {
+  launchWithExtension,
+  navigateToChatGPT,
+  navigateToClaude,
+  navigateToGemini,
+  navigateToPerplexity,
+} = require('../utils/browser');
+
+// Sites with the selector of a reply's text
+const SITES = [
+  ['ChatGPT', navigateToChatGPT, 'article .message-content'],
+  ['Claude', navigateToClaude, '.font-claude-response'],
+  ['Gemini', navigateToGemini, 'message-content'],
+  ['Perplexity', navigateToPerplexity, '[data-testid="answer"]'],
+];
+
+const TYPOGRAPHY = { fontScale: 125, lineHeight: 180, maxLineWidth: 60 };
+
+/**
+ * Store settings and give the content script time to apply them
+ * @param {Page} page - Puppeteer page
+ * @param {Object} settings - Settings to store
+ */
+async function storeSettings(page, settings) {
+  await page.evaluate((settings) => {
+    return new Promise((resolve) => {
+      chrome.storage.sync.set(settings, () => resolve());
+    });
+  }, settings);
+
+  await page.waitForTimeout(500);
+}
+
+/**
+ * Read the typography classes and custom properties on <html>
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>}
+ */
+async function getTypography(page) {
+  return await page.evaluate(() => {
+    const html = document.documentElement;
+    return ['font-scale', 'line-height', 'line-width'].reduce((result, name) => {
+      result[name] = html.classList.contains(`ergonomic-${name}`)
+        ? html.style.getPropertyValue(`--ergonomic-${name}`)
+        : null;
+      return result;
+    }, {});
+  });
+}
+
+/**
+ * Read the styles the site stylesheet gives a reply's text
+ * @param {Page} page - Puppeteer page
+ * @param {string} selector - Reply text selector
+ * @returns {Promise<Object>}
+ */
+async function getReplyStyle(page, selector) {
+  return await page.evaluate((selector) => {
+    const reply = document.querySelector(selector);
+    const style = getComputedStyle(reply);
+    return {
+      zoom: style.zoom,
+      lineHeight: parseFloat(style.lineHeight) / parseFloat(style.fontSize),
+      maxWidth: style.maxWidth,
+    };
+  }, selector);
+}
+
+describe('Reading Comfort Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension();
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  beforeEach(async () => {
+    await page.evaluate(() => {
+      return new Promise((resolve) => {
+        chrome.storage.sync.clear(() => resolve());
+      });
+    });
+    await navigateToChatGPT(page);
+  });
+
+  test('should leave message text alone by default', async () => {
+    expect(await getTypography(page)).toEqual({
+      'font-scale': null,
+      'line-height': null,
+      'line-width': null,
+    });
+
+    const style = await getReplyStyle(page, 'article .message-content');
+    expect(style.zoom).toBe('1');
+    expect(style.maxWidth).toBe('none');
+  });
+
+  SITES.forEach(([name, navigate, selector]) => {
+    test(`should restyle ${name} replies`, async () => {
+      await navigate(page);
+      await storeSettings(page, TYPOGRAPHY);
+
+      expect(await getTypography(page)).toEqual({
+        'font-scale': '1.25',
+        'line-height': '1.8',
+        'line-width': '60ch',
+      });
+
+      const style = await getReplyStyle(page, selector);
+      expect(style.zoom).toBe('1.25');
+      expect(style.lineHeight).toBeCloseTo(1.8, 1);
+      expect(style.maxWidth).toBe('60ch');
+    });
+  });
+
+  test('should update open chats as soon as a setting changes', async () => {
+    await storeSettings(page, { fontScale: 150 });
+    expect((await getTypography(page))['font-scale']).toBe('1.5');
+
+    await storeSettings(page, { fontScale: 100 });
+    expect((await getTypography(page))['font-scale']).toBeNull();
+  });
+
+  test('should use a site override', async () => {
+    await storeSettings(page, { maxLineWidth: 100, siteSettings: { chatgpt: { maxLineWidth: 70 } } });
+
+    expect((await getTypography(page))['line-width']).toBe('70ch');
+  });
+
+  test('should leave a disabled site alone', async () => {
+    await storeSettings(page, { ...TYPOGRAPHY, siteSettings: { chatgpt: { enabled: false } } });
+
+    expect(await getTypography(page)).toEqual({
+      'font-scale': null,
+      'line-height': null,
+      'line-width': null,
+    });
+  });
+});
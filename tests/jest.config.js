@@ -15,8 +15,11 @@ module.exports = {
 
   // Coverage configuration
   collectCoverageFrom: [
+    '../common/**/*.js',
+    '../background/**/*.js',
     '../content-scripts/**/*.js',
     '../popup/**/*.js',
+    '../options/**/*.js',
     '!**/node_modules/**',
     '!**/vendor/**',
   ],
@@ -32,6 +32,10 @@ global.TEST_CONFIG = {
   BASELINE_DIR: path.join(__dirname, 'visual/baseline'),
   EXTENSION_PATH: path.resolve(__dirname, '..'),
   CHATGPT_EXAMPLE_PATH: path.resolve(__dirname, '../Examples/ChatGPTExample.html'),
+  CHATGPT_LEGACY_EXAMPLE_PATH: path.resolve(__dirname, '../Examples/ChatGPTLegacyExample.html'),
+  CLAUDE_EXAMPLE_PATH: path.resolve(__dirname, '../Examples/ClaudeExample.html'),
+  GEMINI_EXAMPLE_PATH: path.resolve(__dirname, '../Examples/GeminiExample.html'),
+  PERPLEXITY_EXAMPLE_PATH: path.resolve(__dirname, '../Examples/PerplexityExample.html'),
 };
 
 // Custom error messages
@@ -4,16 +4,20 @@
  */
 
 const puppeteer = require('puppeteer');
-const { chromium } = require('playwright');
+const { chromium, firefox } = require('playwright');
 const path = require('path');
 
 /**
  * Launch Puppeteer with extension loaded
- * @param {Object} options - Launch options
+ * @param {Object} options - Launch options (`site` picks the stylesheet, defaults to chatgpt,
+ *   and `custom` runs content-scripts/custom.js without one; `locale` picks the message catalog,
+ *   defaults to en)
  * @returns {Promise<{browser: Browser, page: Page}>}
  */
 async function launchWithExtension(options = {}) {
   const extensionPath = options.extensionPath || global.TEST_CONFIG.EXTENSION_PATH;
+  const site = options.site || 'chatgpt';
+  const locale = options.locale || 'en';
   const headless = options.headless !== undefined ? options.headless : global.TEST_CONFIG.HEADLESS;
 
   // Chrome arguments for extension loading
@@ -151,6 +155,13 @@ async function launchWithExtension(options = {}) {
         set: function(items, callback) {
           window.__setStorage('local', items).then(() => {
             if (callback) callback();
+
+            // Trigger storage change listeners
+            if (window.__storageListeners) {
+              window.__storageListeners.forEach(listener => {
+                listener({ ...items }, 'local');
+              });
+            }
           });
           return Promise.resolve();
         },
@@ -188,67 +199,92 @@ async function launchWithExtension(options = {}) {
     }
 
     window.chrome.storage = storage;
+    // Content scripts read chrome.runtime.lastError after every storage call
+    window.chrome.runtime = window.chrome.runtime || {};
     window.__storageListeners = window.__storageListeners || [];
-  };
 
-  // Content script simulation - applies settings when storage changes
-  const injectContentScript = () => {
-    const DEFAULT_SETTINGS = {
-      chatboxTop: true,
-      reverseMessages: true,
+    // Messages from the background service worker, delivered by tests
+    window.__messageListeners = window.__messageListeners || [];
+    window.chrome.runtime.onMessage = window.chrome.runtime.onMessage || {
+      addListener: function(callback) {
+        window.__messageListeners.push(callback);
+      }
     };
 
-    function applySettings(settings) {
-      const html = document.documentElement;
-
-      if (settings.chatboxTop) {
-        html.classList.add('ergonomic-chatbox-top');
-      } else {
-        html.classList.remove('ergonomic-chatbox-top');
+    // Ports opened by the popup, delivered by tests
+    window.__connectListeners = window.__connectListeners || [];
+    window.chrome.runtime.onConnect = window.chrome.runtime.onConnect || {
+      addListener: function(callback) {
+        window.__connectListeners.push(callback);
       }
+    };
+  };
 
-      if (settings.reverseMessages) {
-        html.classList.add('ergonomic-reverse-messages');
-      } else {
-        html.classList.remove('ergonomic-reverse-messages');
-      }
-    }
-
-    // Wait for storage functions to be ready, then apply settings
-    function waitForStorageAndApply() {
-      if (window.chrome && window.chrome.storage && typeof window.__getStorage === 'function') {
-        // Storage is ready, apply settings
-        window.chrome.storage.sync.get(DEFAULT_SETTINGS, (items) => {
-          applySettings(items);
+  // Messages from the locale's catalog, falling back to English like Chrome does
+  const fs = require('fs');
+  const readCatalog = name => JSON.parse(fs.readFileSync(path.join(extensionPath, '_locales', name, 'messages.json'), 'utf8'));
+  const messages = { ...readCatalog('en'), ...readCatalog(locale) };
+
+  // Helper function to inject chrome.i18n mock
+  const injectI18nMock = (messages, locale) => {
+    window.chrome = window.chrome || {};
+    window.chrome.i18n = {
+      getMessage: function(key, substitutions) {
+        const entry = messages[key];
+        if (!entry) return '';
+
+        const args = [].concat(substitutions === undefined ? [] : substitutions).map(String);
+        return entry.message.replace(/\$(\w+)\$/g, (match, name) => {
+          const placeholder = (entry.placeholders || {})[name.toLowerCase()];
+          if (!placeholder) return match;
+          return placeholder.content.replace(/\$(\d)/g, (ref, index) => args[index - 1] || '');
         });
+      },
+      getUILanguage: function() {
+        return locale;
+      }
+    };
+  };
 
-        // Listen for storage changes
-        window.chrome.storage.onChanged.addListener((changes, areaName) => {
-          if (areaName !== 'sync') return;
-          window.chrome.storage.sync.get(DEFAULT_SETTINGS, (items) => {
-            applySettings(items);
-          });
-        });
+  // Content scripts exactly as the manifest lists them for this site
+  const scriptSources = [
+    path.join('common', 'browser-api.js'),
+    path.join('common', 'i18n.js'),
+    path.join('common', 'settings.js'),
+    path.join('content-scripts', 'core.js'),
+    path.join('content-scripts', `${site}.js`),
+  ].map(file => fs.readFileSync(path.join(extensionPath, file), 'utf8'));
+
+  // Run the real content scripts once the chrome.storage mock is usable
+  const injectContentScripts = (sources) => {
+    // Only once per document
+    if (window.__ergonomicContentScriptsInjected) return;
+    window.__ergonomicContentScriptsInjected = true;
+
+    function waitForStorageAndRun() {
+      if (window.chrome && window.chrome.storage && typeof window.__getStorage === 'function' &&
+          document.documentElement) {
+        // Storage is ready, run scripts in order like Chrome does
+        sources.forEach(source => (0, eval)(source));
       } else {
         // Storage not ready yet, retry after a short delay
-        setTimeout(waitForStorageAndApply, 10);
+        setTimeout(waitForStorageAndRun, 10);
       }
     }
 
-    // Start waiting for storage
-    waitForStorageAndApply();
+    waitForStorageAndRun();
   };
 
-  // Read CSS content to inject on every page load
-  const fs = require('fs');
-  const cssPath = path.join(extensionPath, 'styles', 'chatgpt.css');
-  const cssContent = fs.readFileSync(cssPath, 'utf8');
+  // Read CSS content to inject on every page load; sites the user added have none
+  const cssPath = path.join(extensionPath, 'styles', `${site}.css`);
+  const cssContent = site === 'custom' ? '' : fs.readFileSync(cssPath, 'utf8');
 
   // Mock chrome.storage API for testing - inject on new document
   await page.evaluateOnNewDocument(injectChromeStorageMock);
+  await page.evaluateOnNewDocument(injectI18nMock, messages, locale);
 
-  // Inject content script simulation on every new document
-  await page.evaluateOnNewDocument(injectContentScript);
+  // Inject content scripts on every new document
+  await page.evaluateOnNewDocument(injectContentScripts, scriptSources);
 
   // Inject CSS on every document load - wait for DOM to be ready
   await page.evaluateOnNewDocument((css) => {
@@ -278,17 +314,172 @@ async function launchWithExtension(options = {}) {
 
   // Also inject immediately for the current page
   await page.evaluate(injectChromeStorageMock);
-  await page.evaluate(injectContentScript);
+  await page.evaluate(injectI18nMock, messages, locale);
+  await page.evaluate(injectContentScripts, scriptSources);
 
   return { browser, page };
 }
 
+// Fixed moz-extension:// host of the add-on, so tests can open its pages
+const FIREFOX_EXTENSION_UUID = '0f5c3a4e-8d2b-4f61-9c7a-2e5b1d9a6c34';
+
+// Extension root entries left out of the add-on Firefox installs
+const FIREFOX_EXCLUDED_FILES = ['.git', '.github', 'tests'];
+
+/**
+ * Find a TCP port nothing listens on
+ * @returns {Promise<number>}
+ */
+function findFreePort() {
+  const net = require('net');
+
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Copy the extension with manifest.firefox.json as its manifest.json
+ * @param {string} extensionPath - Extension root
+ * @returns {string} Directory of the copy
+ */
+function prepareFirefoxAddon(extensionPath) {
+  const fs = require('fs');
+  const os = require('os');
+  const addonPath = fs.mkdtempSync(path.join(os.tmpdir(), 'ergonomic-gpt-firefox-'));
+
+  fs.cpSync(extensionPath, addonPath, {
+    recursive: true,
+    filter: source => path.dirname(source) !== extensionPath ||
+      !FIREFOX_EXCLUDED_FILES.includes(path.basename(source)),
+  });
+  fs.copyFileSync(path.join(extensionPath, 'manifest.firefox.json'), path.join(addonPath, 'manifest.json'));
+
+  return addonPath;
+}
+
+/**
+ * Install an add-on for this session over Firefox's remote debugging protocol
+ * Does what about:debugging's "Load Temporary Add-on" does: each packet is
+ * sent as `<byte length>:<JSON>`, the root actor names the addons actor,
+ * and that one installs the add-on from a directory
+ * @param {number} port - Port Firefox's debugger server listens on
+ * @param {string} addonPath - Directory holding the add-on's manifest.json
+ * @returns {Promise<void>}
+ */
+function installTemporaryAddon(port, addonPath) {
+  const net = require('net');
+
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, '127.0.0.1');
+    let buffer = Buffer.alloc(0);
+
+    const send = (packet) => {
+      const json = JSON.stringify(packet);
+      socket.write(`${Buffer.byteLength(json)}:${json}`);
+    };
+
+    const handle = (packet) => {
+      if (packet.error) {
+        socket.end();
+        reject(new Error(`Installing the add-on failed: ${packet.error} ${packet.message || ''}`));
+      } else if (packet.applicationType) {
+        send({ to: 'root', type: 'getRoot' });
+      } else if (packet.addonsActor) {
+        send({ to: packet.addonsActor, type: 'installTemporaryAddon', addonPath });
+      } else if (packet.addon) {
+        socket.end();
+        resolve();
+      }
+    };
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      let separator = buffer.indexOf(':');
+      while (separator !== -1) {
+        const length = Number(buffer.subarray(0, separator).toString());
+        if (buffer.length < separator + 1 + length) {
+          return;
+        }
+
+        handle(JSON.parse(buffer.subarray(separator + 1, separator + 1 + length).toString()));
+        buffer = buffer.subarray(separator + 1 + length);
+        separator = buffer.indexOf(':');
+      }
+    });
+    socket.on('error', reject);
+  });
+}
+
 /**
- * Launch Playwright browser with extension (Chromium only)
- * @param {Object} options - Launch options
- * @returns {Promise<{browser: Browser, context: BrowserContext, page: Page}>}
+ * Launch Playwright Firefox with the extension installed as a temporary add-on
+ * @param {Object} options - Launch options, see launchPlaywrightWithExtension
+ * @returns {Promise<{browser: Browser, context: BrowserContext, page: Page, extensionUrl: string}>}
+ */
+async function launchFirefoxWithExtension(options) {
+  const fs = require('fs');
+  const extensionPath = options.extensionPath || global.TEST_CONFIG.EXTENSION_PATH;
+  const headless = options.headless !== undefined ? options.headless : global.TEST_CONFIG.HEADLESS;
+  const manifest = JSON.parse(fs.readFileSync(path.join(extensionPath, 'manifest.firefox.json'), 'utf8'));
+  const addonPath = prepareFirefoxAddon(extensionPath);
+  const port = await findFreePort();
+
+  const browser = await firefox.launch({
+    headless: headless,
+    args: ['-start-debugger-server', String(port)],
+    firefoxUserPrefs: {
+      'devtools.debugger.remote-enabled': true,
+      'devtools.debugger.prompt-connection': false,
+      'extensions.webextensions.uuids': JSON.stringify({
+        [manifest.browser_specific_settings.gecko.id]: FIREFOX_EXTENSION_UUID,
+      }),
+    },
+  });
+  browser.on('disconnected', () => fs.rmSync(addonPath, { recursive: true, force: true }));
+
+  try {
+    await installTemporaryAddon(port, addonPath);
+  } catch (error) {
+    await browser.close();
+    throw error;
+  }
+
+  const context = await browser.newContext({
+    viewport: {
+      width: 1280,
+      height: 1024,
+    },
+  });
+  const page = await context.newPage();
+
+  return {
+    browser,
+    context,
+    page,
+    extensionUrl: `moz-extension://${FIREFOX_EXTENSION_UUID}/`,
+  };
+}
+
+/**
+ * Launch Playwright browser with extension
+ * Chromium loads manifest.json; with `browserName: 'firefox'`, Firefox
+ * installs the extension as a temporary add-on with manifest.firefox.json
+ * as its manifest, and `extensionUrl` is the root of its pages, e.g. for
+ * `${extensionUrl}popup/popup.html`
+ * @param {Object} options - Launch options (`browserName`: 'chromium' or 'firefox', defaults to chromium)
+ * @returns {Promise<{browser: Browser, context: BrowserContext, page: Page, extensionUrl?: string}>}
  */
 async function launchPlaywrightWithExtension(options = {}) {
+  if (options.browserName === 'firefox') {
+    return launchFirefoxWithExtension(options);
+  }
+
   const extensionPath = options.extensionPath || global.TEST_CONFIG.EXTENSION_PATH;
   const headless = options.headless !== undefined ? options.headless : global.TEST_CONFIG.HEADLESS;
 
@@ -315,28 +506,268 @@ async function launchPlaywrightWithExtension(options = {}) {
 }
 
 /**
- * Navigate to ChatGPT and wait for it to load
+ * Navigate to a local example page and wait for it to load
  * @param {Page} page - Puppeteer/Playwright page
- * @param {string} url - URL to navigate to (defaults to local test file)
+ * @param {string} targetUrl - URL to navigate to
+ * @param {string} readySelector - Selector that signals the page has rendered
  * @returns {Promise<void>}
  */
-async function navigateToChatGPT(page, url) {
-  // Use local HTML file for testing
-  const targetUrl = url || `file://${global.TEST_CONFIG.CHATGPT_EXAMPLE_PATH}`;
-
+async function navigateToExample(page, targetUrl, readySelector) {
   await page.goto(targetUrl, {
     waitUntil: 'networkidle0',
     timeout: 30000,
   });
 
-  // Wait for main element to be visible
-  await page.waitForSelector('main', { timeout: 15000 });
+  await page.waitForSelector(readySelector, { timeout: 15000 });
 
   // Small wait for styles and scripts to apply
   // Note: CSS, chrome.storage mock, and content script are auto-injected via evaluateOnNewDocument
   await page.waitForTimeout(1000);
 }
 
+/**
+ * Serve a local example page for every document request to a site
+ * Lets tests use real site URLs, e.g. to exercise client-side navigation,
+ * which file:// pages cannot do (pushState may not change their path)
+ * @param {Page} page - Puppeteer page
+ * @param {string} origin - Site origin, e.g. 'https://chatgpt.com'
+ * @param {string} examplePath - Local HTML file to serve
+ * @returns {Promise<void>}
+ */
+async function serveExampleAt(page, origin, examplePath) {
+  const fs = require('fs');
+  const html = fs.readFileSync(examplePath, 'utf8');
+
+  await page.setRequestInterception(true);
+
+  page.on('request', (request) => {
+    if (!request.url().startsWith(origin)) {
+      request.continue();
+      return;
+    }
+
+    // Pages only; the examples don't need anything else from the site
+    if (request.resourceType() === 'document') {
+      request.respond({ status: 200, contentType: 'text/html', body: html });
+    } else {
+      request.respond({ status: 404, body: '' });
+    }
+  });
+}
+
+/**
+ * Load the background service worker into a page with content scripts
+ * Stands in for chrome.commands, chrome.tabs, chrome.alarms,
+ * chrome.notifications, chrome.permissions, chrome.scripting and
+ * runtime.onInstalled; the registered listeners land in
+ * window.__commandListeners, window.__installedListeners,
+ * window.__alarmListeners and window.__notificationButtonListeners.
+ * tabs.sendMessage reaches the content script, and runtime.sendMessage from
+ * the content script reaches the worker as if sent from tab 1. Created
+ * alarms and notifications are kept in window.__alarms and
+ * window.__notifications, keyed by name. Host permissions in
+ * window.__grantedOrigins count as granted, registered content scripts are
+ * kept in window.__registeredScripts and reloaded tab ids in window.__reloadedTabs
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<void>}
+ */
+async function loadServiceWorker(page) {
+  const fs = require('fs');
+  const readSource = file => fs.readFileSync(path.join(global.TEST_CONFIG.EXTENSION_PATH, file), 'utf8');
+  const source = readSource(path.join('background', 'service-worker.js'));
+  const importedSources = [
+    path.join('common', 'migrations.js'),
+    path.join('common', 'profiles.js'),
+    path.join('background', 'break-reminders.js'),
+    path.join('background', 'custom-sites.js'),
+  ].map(readSource);
+
+  await page.evaluate((source, importedSources) => {
+    window.__commandListeners = [];
+    window.__messageResponses = [];
+    window.__installedListeners = [];
+    window.__backgroundMessageListeners = [];
+    window.__alarmListeners = [];
+    window.__notificationButtonListeners = [];
+    window.__alarms = {};
+    window.__notifications = {};
+    window.__grantedOrigins = window.__grantedOrigins || [];
+    window.__registeredScripts = [];
+    window.__reloadedTabs = [];
+
+    chrome.runtime.getURL = file => file;
+
+    // The content script registered its own listener already; from here
+    // on, runtime.onMessage listeners belong to the worker
+    chrome.runtime.onMessage = {
+      addListener: (callback) => window.__backgroundMessageListeners.push(callback),
+    };
+
+    chrome.runtime.sendMessage = (message, callback) => {
+      const sender = { tab: { id: 1, url: location.href }, url: location.href };
+      let reply;
+      // Listeners that kept the channel open and haven't answered yet
+      let pending = 0;
+      let dispatched = false;
+      window.__backgroundMessageListeners.forEach((listener) => {
+        let answered = false;
+        const keepsChannel = listener(message, sender, (response) => {
+          reply = response;
+          answered = true;
+          if (dispatched) {
+            pending -= 1;
+            if (pending === 0 && callback) callback(reply);
+          }
+        });
+        if (keepsChannel === true && !answered) pending += 1;
+      });
+      dispatched = true;
+      if (pending === 0 && callback) callback(reply);
+    };
+
+    chrome.alarms = {
+      create: (name, alarmInfo, callback) => {
+        window.__alarms[name] = alarmInfo;
+        if (callback) callback();
+      },
+      clear: (name, callback) => {
+        const cleared = name in window.__alarms;
+        delete window.__alarms[name];
+        if (callback) callback(cleared);
+      },
+      onAlarm: {
+        addListener: (callback) => window.__alarmListeners.push(callback),
+      },
+    };
+
+    chrome.notifications = {
+      create: (id, options, callback) => {
+        window.__notifications[id] = options;
+        if (callback) callback(id);
+      },
+      clear: (id, callback) => {
+        const cleared = id in window.__notifications;
+        delete window.__notifications[id];
+        if (callback) callback(cleared);
+      },
+      onButtonClicked: {
+        addListener: (callback) => window.__notificationButtonListeners.push(callback),
+      },
+      onClicked: {
+        addListener: () => {},
+      },
+    };
+
+    chrome.runtime.onInstalled = {
+      addListener: (callback) => window.__installedListeners.push(callback),
+    };
+    chrome.runtime.onStartup = { addListener: () => {} };
+
+    chrome.permissions = {
+      contains: (permissions, callback) => callback(
+        permissions.origins.every(origin => window.__grantedOrigins.includes(origin))
+      ),
+      onRemoved: { addListener: () => {} },
+    };
+
+    chrome.scripting = {
+      getRegisteredContentScripts: (filter, callback) => callback(window.__registeredScripts.slice()),
+      registerContentScripts: (scripts, callback) => {
+        window.__registeredScripts.push(...scripts);
+        callback();
+      },
+      unregisterContentScripts: (filter, callback) => {
+        window.__registeredScripts = window.__registeredScripts.filter(script => !filter.ids.includes(script.id));
+        callback();
+      },
+    };
+
+    chrome.commands = {
+      onCommand: {
+        addListener: (callback) => window.__commandListeners.push(callback),
+      },
+    };
+
+    chrome.tabs = {
+      query: (queryInfo, callback) => callback([]),
+      sendMessage: (tabId, message, callback) => {
+        let reply;
+        window.__messageListeners.forEach((listener) => {
+          listener(message, {}, (response) => {
+            reply = response;
+            window.__messageResponses.push(response);
+          });
+        });
+        if (callback) callback(reply);
+      },
+      reload: (tabId, callback) => {
+        window.__reloadedTabs.push(tabId);
+        if (callback) callback();
+      },
+    };
+
+    // common/browser-api.js, i18n.js and settings.js are already loaded with
+    // the content scripts; load the rest of what the worker imports up front
+    importedSources.forEach(importedSource => (0, eval)(importedSource));
+    window.importScripts = () => {};
+
+    (0, eval)(source);
+  }, source, importedSources);
+}
+
+/**
+ * Navigate to ChatGPT and wait for it to load
+ * @param {Page} page - Puppeteer/Playwright page
+ * @param {string} url - URL to navigate to (defaults to local test file)
+ * @returns {Promise<void>}
+ */
+async function navigateToChatGPT(page, url) {
+  // Use local HTML file for testing
+  const targetUrl = url || `file://${global.TEST_CONFIG.CHATGPT_EXAMPLE_PATH}`;
+
+  // Wait for main element to be visible
+  await navigateToExample(page, targetUrl, 'main');
+}
+
+/**
+ * Navigate to Claude and wait for it to load
+ * @param {Page} page - Puppeteer/Playwright page
+ * @param {string} url - URL to navigate to (defaults to local test file)
+ * @returns {Promise<void>}
+ */
+async function navigateToClaude(page, url) {
+  const targetUrl = url || `file://${global.TEST_CONFIG.CLAUDE_EXAMPLE_PATH}`;
+
+  // Wait for the composer fieldset to be visible
+  await navigateToExample(page, targetUrl, 'fieldset');
+}
+
+/**
+ * Navigate to Gemini and wait for it to load
+ * @param {Page} page - Puppeteer/Playwright page
+ * @param {string} url - URL to navigate to (defaults to local test file)
+ * @returns {Promise<void>}
+ */
+async function navigateToGemini(page, url) {
+  const targetUrl = url || `file://${global.TEST_CONFIG.GEMINI_EXAMPLE_PATH}`;
+
+  // Wait for the input container to be visible
+  await navigateToExample(page, targetUrl, 'input-container');
+}
+
+/**
+ * Navigate to Perplexity and wait for it to load
+ * @param {Page} page - Puppeteer/Playwright page
+ * @param {string} url - URL to navigate to (defaults to local test file)
+ * @returns {Promise<void>}
+ */
+async function navigateToPerplexity(page, url) {
+  const targetUrl = url || `file://${global.TEST_CONFIG.PERPLEXITY_EXAMPLE_PATH}`;
+
+  // Wait for the follow-up input to be visible
+  await navigateToExample(page, targetUrl, '#ask-input');
+}
+
 /**
  * Check if extension is loaded and active
  * @param {Page} page - Puppeteer/Playwright page
@@ -421,6 +852,11 @@ module.exports = {
   launchWithExtension,
   launchPlaywrightWithExtension,
   navigateToChatGPT,
+  navigateToClaude,
+  navigateToGemini,
+  navigateToPerplexity,
+  serveExampleAt,
+  loadServiceWorker,
   isExtensionActive,
   getAppliedSettings,
   applySettings,
@@ -3,6 +3,42 @@
  * Helper functions for querying and verifying DOM structure
  */
 
+/**
+ * Key containers for each supported site and DOM generation, mirroring styles/<site>.css
+ */
+const SITE_SELECTORS = {
+  chatgpt: {
+    composerParent: '.composer-parent',
+    messagesContainer: 'div.flex.flex-col.text-sm',
+    composer: 'form',
+    message: 'article[data-testid^="conversation-turn-"]',
+  },
+  'chatgpt-legacy': {
+    composerParent: 'main div[role="presentation"]',
+    messagesContainer: 'div.flex.flex-col.text-sm',
+    composer: 'form',
+    message: 'div[data-testid^="conversation-turn-"]',
+  },
+  claude: {
+    composerParent: 'div.flex-col:has(> div.sticky.bottom-0 fieldset)',
+    messagesContainer: 'div.flex-col:has(> div[data-test-render-count])',
+    composer: 'fieldset',
+    message: 'div[data-test-render-count]',
+  },
+  gemini: {
+    composerParent: 'chat-window div.chat-container',
+    messagesContainer: 'infinite-scroller.chat-history',
+    composer: 'input-container',
+    message: 'div.conversation-container',
+  },
+  perplexity: {
+    composerParent: 'div.thread-wrapper:has(#ask-input)',
+    messagesContainer: 'div[data-testid="thread"]',
+    composer: 'div.sticky.bottom-0:has(#ask-input)',
+    message: 'div[data-testid="thread-entry"]',
+  },
+};
+
 /**
  * Get computed style of an element
  * @param {Page} page - Puppeteer/Playwright page
@@ -110,34 +146,96 @@ async function getChatGPTStructure(page) {
   });
 }
 
+/**
+ * Get Claude-specific DOM information
+ * @param {Page} page - Puppeteer/Playwright page
+ * @returns {Promise<Object>} DOM structure info
+ */
+async function getClaudeStructure(page) {
+  return await page.evaluate((selectors) => {
+    return {
+      hasHeader: !!document.querySelector('header[data-testid="page-header"]'),
+      hasComposerParent: !!document.querySelector(selectors.composerParent),
+      hasMessagesContainer: !!document.querySelector(selectors.messagesContainer),
+      hasFieldset: !!document.querySelector('fieldset'),
+      hasEditor: !!document.querySelector('div.ProseMirror[contenteditable="true"]'),
+      messageCount: document.querySelectorAll(selectors.message).length,
+      userMessageCount: document.querySelectorAll('[data-testid="user-message"]').length,
+      assistantMessageCount: document.querySelectorAll('.font-claude-response').length,
+    };
+  }, SITE_SELECTORS.claude);
+}
+
+/**
+ * Get Gemini-specific DOM information
+ * @param {Page} page - Puppeteer/Playwright page
+ * @returns {Promise<Object>} DOM structure info
+ */
+async function getGeminiStructure(page) {
+  return await page.evaluate((selectors) => {
+    return {
+      hasChatWindow: !!document.querySelector('chat-window'),
+      hasComposerParent: !!document.querySelector(selectors.composerParent),
+      hasMessagesContainer: !!document.querySelector(selectors.messagesContainer),
+      hasInputContainer: !!document.querySelector(selectors.composer),
+      hasEditor: !!document.querySelector('rich-textarea .ql-editor[contenteditable="true"]'),
+      turnCount: document.querySelectorAll(selectors.message).length,
+      userQueryCount: document.querySelectorAll('user-query').length,
+      modelResponseCount: document.querySelectorAll('model-response').length,
+    };
+  }, SITE_SELECTORS.gemini);
+}
+
+/**
+ * Get Perplexity-specific DOM information
+ * @param {Page} page - Puppeteer/Playwright page
+ * @returns {Promise<Object>} DOM structure info
+ */
+async function getPerplexityStructure(page) {
+  return await page.evaluate((selectors) => {
+    return {
+      hasMain: !!document.querySelector('main'),
+      hasComposerParent: !!document.querySelector(selectors.composerParent),
+      hasThread: !!document.querySelector(selectors.messagesContainer),
+      hasAskInput: !!document.querySelector('#ask-input'),
+      entryCount: document.querySelectorAll(selectors.message).length,
+      sourcesCount: document.querySelectorAll('div[data-testid="sources"]').length,
+      answerCount: document.querySelectorAll('div[data-testid="answer"]').length,
+      hasRelatedQuestions: !!document.querySelector('div[data-testid="related-questions"]'),
+    };
+  }, SITE_SELECTORS.perplexity);
+}
+
 /**
  * Verify chatbox is at top (composer appears before messages visually)
  * @param {Page} page - Puppeteer/Playwright page
+ * @param {string} site - Site key in SITE_SELECTORS (defaults to chatgpt)
  * @returns {Promise<boolean>}
  */
-async function isChatboxAtTop(page) {
-  return await page.evaluate(() => {
-    const composerParent = document.querySelector('.composer-parent');
+async function isChatboxAtTop(page, site = 'chatgpt') {
+  return await page.evaluate((selectors) => {
+    const composerParent = document.querySelector(selectors.composerParent);
     if (!composerParent) return false;
 
     const flexDirection = window.getComputedStyle(composerParent).flexDirection;
     return flexDirection === 'column-reverse';
-  });
+  }, SITE_SELECTORS[site]);
 }
 
 /**
  * Verify messages are reversed (newest first)
  * @param {Page} page - Puppeteer/Playwright page
+ * @param {string} site - Site key in SITE_SELECTORS (defaults to chatgpt)
  * @returns {Promise<boolean>}
  */
-async function areMessagesReversed(page) {
-  return await page.evaluate(() => {
-    const messagesContainer = document.querySelector('div.flex.flex-col.text-sm');
+async function areMessagesReversed(page, site = 'chatgpt') {
+  return await page.evaluate((selectors) => {
+    const messagesContainer = document.querySelector(selectors.messagesContainer);
     if (!messagesContainer) return false;
 
     const flexDirection = window.getComputedStyle(messagesContainer).flexDirection;
     return flexDirection === 'column-reverse';
-  });
+  }, SITE_SELECTORS[site]);
 }
 
 /**
@@ -166,12 +264,13 @@ async function getVisualOrder(page, selector) {
 /**
  * Get composer position relative to messages
  * @param {Page} page - Puppeteer/Playwright page
+ * @param {string} site - Site key in SITE_SELECTORS (defaults to chatgpt)
  * @returns {Promise<{composerTop: number, firstMessageTop: number, composerBeforeMessages: boolean}>}
  */
-async function getComposerPosition(page) {
-  return await page.evaluate(() => {
-    const form = document.querySelector('form');
-    const firstMessage = document.querySelector('article[data-testid^="conversation-turn-"]');
+async function getComposerPosition(page, site = 'chatgpt') {
+  return await page.evaluate((selectors) => {
+    const form = document.querySelector(selectors.composer);
+    const firstMessage = document.querySelector(selectors.message);
 
     if (!form || !firstMessage) return null;
 
@@ -183,17 +282,18 @@ async function getComposerPosition(page) {
       firstMessageTop: messageRect.top,
       composerBeforeMessages: formRect.top < messageRect.top,
     };
-  });
+  }, SITE_SELECTORS[site]);
 }
 
 /**
  * Verify all expected CSS is applied
  * @param {Page} page - Puppeteer/Playwright page
  * @param {Object} settings - Expected settings
+ * @param {string} site - Site key in SITE_SELECTORS (defaults to chatgpt)
  * @returns {Promise<{valid: boolean, issues: Array<string>}>}
  */
-async function verifyCSSApplication(page, settings) {
-  return await page.evaluate((settings) => {
+async function verifyCSSApplication(page, settings, site = 'chatgpt') {
+  return await page.evaluate((settings, selectors) => {
     const issues = [];
 
     // Check classes on HTML element
@@ -209,7 +309,7 @@ async function verifyCSSApplication(page, settings) {
 
     // Check composer-parent flex-direction
     if (settings.chatboxTop) {
-      const composerParent = document.querySelector('.composer-parent');
+      const composerParent = document.querySelector(selectors.composerParent);
       if (composerParent) {
         const flexDir = window.getComputedStyle(composerParent).flexDirection;
         if (flexDir !== 'column-reverse') {
@@ -222,7 +322,7 @@ async function verifyCSSApplication(page, settings) {
 
     // Check messages container flex-direction
     if (settings.reverseMessages) {
-      const messagesContainer = document.querySelector('div.flex.flex-col.text-sm');
+      const messagesContainer = document.querySelector(selectors.messagesContainer);
       if (messagesContainer) {
         const flexDir = window.getComputedStyle(messagesContainer).flexDirection;
         if (flexDir !== 'column-reverse') {
@@ -237,16 +337,20 @@ async function verifyCSSApplication(page, settings) {
       valid: issues.length === 0,
       issues,
     };
-  }, settings);
+  }, settings, SITE_SELECTORS[site]);
 }
 
 module.exports = {
+  SITE_SELECTORS,
   getComputedStyle,
   getComputedStyles,
   getBoundingBox,
   elementExists,
   getElementCount,
   getChatGPTStructure,
+  getClaudeStructure,
+  getGeminiStructure,
+  getPerplexityStructure,
   isChatboxAtTop,
   areMessagesReversed,
   getVisualOrder,
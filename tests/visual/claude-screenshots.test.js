@@ -0,0 +1,105 @@
+/**
+ * Claude Visual Regression Tests
+ * Takes screenshots of the Claude example and compares layouts
+ */
+
+const {
+  launchWithExtension,
+  navigateToClaude,
+  applySettings,
+} = require('../utils/browser');
+
+const {
+  takeScreenshot,
+  takeElementScreenshot,
+  compareScreenshots,
+} = require('../utils/screenshot');
+
+const fs = require('fs');
+
+describe('Claude Visual Regression Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension({ site: 'claude' });
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  describe('Baseline Screenshots', () => {
+    beforeEach(async () => {
+      await navigateToClaude(page);
+    });
+
+    test('should capture default Claude (no extension)', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+
+      const screenshotPath = await takeScreenshot(page, 'claude-default.png');
+      expect(fs.existsSync(screenshotPath)).toBe(true);
+    });
+
+    test('should capture both features enabled', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+
+      const screenshotPath = await takeScreenshot(page, 'claude-both-enabled.png');
+      expect(fs.existsSync(screenshotPath)).toBe(true);
+    });
+
+    test('should capture composer in dark mode', async () => {
+      await page.evaluate(() => {
+        document.documentElement.setAttribute('data-mode', 'dark');
+      });
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      const screenshotPath = await takeElementScreenshot(
+        page,
+        'div.sticky.bottom-0',
+        'claude-dark-mode-composer.png'
+      );
+      expect(fs.existsSync(screenshotPath)).toBe(true);
+    });
+  });
+
+  describe('Visual Comparison', () => {
+    beforeEach(async () => {
+      await navigateToClaude(page);
+    });
+
+    test('should detect visual difference when chatbox moved to top', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+      const withoutPath = await takeScreenshot(page, 'claude-compare-without-chatbox-top.png');
+
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+      const withPath = await takeScreenshot(page, 'claude-compare-with-chatbox-top.png');
+
+      const comparison = await compareScreenshots(withoutPath, withPath, {
+        threshold: 0.1,
+      });
+
+      // Expect significant difference (composer moved)
+      expect(comparison.diffPercentage).toBeGreaterThan(2);
+    });
+
+    test('should detect visual difference when messages reversed', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+      const withoutPath = await takeScreenshot(page, 'claude-compare-without-reversed.png');
+
+      await applySettings(page, { chatboxTop: false, reverseMessages: true });
+      const withPath = await takeScreenshot(page, 'claude-compare-with-reversed.png');
+
+      const comparison = await compareScreenshots(withoutPath, withPath, {
+        threshold: 0.1,
+      });
+
+      // Expect significant difference (messages reordered)
+      expect(comparison.diffPercentage).toBeGreaterThan(2);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Gemini Visual Regression Tests
+ * Takes screenshots of the Gemini example and compares layouts
+ */
+
+const {
+  launchWithExtension,
+  navigateToGemini,
+  applySettings,
+} = require('../utils/browser');
+
+const {
+  takeScreenshot,
+  takeElementScreenshot,
+  compareScreenshots,
+} = require('../utils/screenshot');
+
+const fs = require('fs');
+
+describe('Gemini Visual Regression Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension({ site: 'gemini' });
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  describe('Baseline Screenshots', () => {
+    beforeEach(async () => {
+      await navigateToGemini(page);
+    });
+
+    test('should capture default Gemini (no extension)', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+
+      const screenshotPath = await takeScreenshot(page, 'gemini-default.png');
+      expect(fs.existsSync(screenshotPath)).toBe(true);
+    });
+
+    test('should capture both features enabled', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+
+      const screenshotPath = await takeScreenshot(page, 'gemini-both-enabled.png');
+      expect(fs.existsSync(screenshotPath)).toBe(true);
+    });
+
+    test('should capture both features enabled in dark theme', async () => {
+      await page.evaluate(() => {
+        document.body.classList.replace('light-theme', 'dark-theme');
+      });
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+
+      const screenshotPath = await takeScreenshot(page, 'gemini-dark-theme-both-enabled.png');
+      expect(fs.existsSync(screenshotPath)).toBe(true);
+    });
+
+    test('should capture composer in dark theme', async () => {
+      await page.evaluate(() => {
+        document.body.classList.replace('light-theme', 'dark-theme');
+      });
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+
+      const screenshotPath = await takeElementScreenshot(
+        page,
+        'input-container',
+        'gemini-dark-theme-composer.png'
+      );
+      expect(fs.existsSync(screenshotPath)).toBe(true);
+    });
+  });
+
+  describe('Visual Comparison', () => {
+    beforeEach(async () => {
+      await navigateToGemini(page);
+    });
+
+    test('should detect visual difference when chatbox moved to top', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+      const withoutPath = await takeScreenshot(page, 'gemini-compare-without-chatbox-top.png');
+
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+      const withPath = await takeScreenshot(page, 'gemini-compare-with-chatbox-top.png');
+
+      const comparison = await compareScreenshots(withoutPath, withPath, {
+        threshold: 0.1,
+      });
+
+      // Expect significant difference (composer moved)
+      expect(comparison.diffPercentage).toBeGreaterThan(2);
+    });
+
+    test('should detect visual difference when messages reversed', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+      const withoutPath = await takeScreenshot(page, 'gemini-compare-without-reversed.png');
+
+      await applySettings(page, { chatboxTop: false, reverseMessages: true });
+      const withPath = await takeScreenshot(page, 'gemini-compare-with-reversed.png');
+
+      const comparison = await compareScreenshots(withoutPath, withPath, {
+        threshold: 0.1,
+      });
+
+      // Expect significant difference (turns reordered)
+      expect(comparison.diffPercentage).toBeGreaterThan(2);
+    });
+  });
+});
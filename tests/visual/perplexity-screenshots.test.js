@@ -0,0 +1,100 @@
+/**
+ * Perplexity Visual Regression Tests
+ * Takes screenshots of the Perplexity example and compares layouts
+ */
+
+const {
+  launchWithExtension,
+  navigateToPerplexity,
+  applySettings,
+} = require('../utils/browser');
+
+const {
+  takeScreenshot,
+  compareScreenshots,
+} = require('../utils/screenshot');
+
+const fs = require('fs');
+
+describe('Perplexity Visual Regression Tests', () => {
+  let browser;
+  let page;
+
+  // Launch browser before all tests
+  beforeAll(async () => {
+    const result = await launchWithExtension({ site: 'perplexity' });
+    browser = result.browser;
+    page = result.page;
+  });
+
+  // Close browser after all tests
+  afterAll(async () => {
+    await global.cleanupTest(browser, page);
+  });
+
+  describe('Baseline Screenshots', () => {
+    beforeEach(async () => {
+      await navigateToPerplexity(page);
+    });
+
+    test('should capture default Perplexity (no extension)', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+
+      const screenshotPath = await takeScreenshot(page, 'perplexity-default.png');
+      expect(fs.existsSync(screenshotPath)).toBe(true);
+    });
+
+    test('should capture both features enabled', async () => {
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+
+      const screenshotPath = await takeScreenshot(page, 'perplexity-both-enabled.png');
+      expect(fs.existsSync(screenshotPath)).toBe(true);
+    });
+
+    test('should capture both features enabled in dark mode', async () => {
+      await page.evaluate(() => {
+        document.documentElement.classList.add('dark');
+      });
+      await applySettings(page, { chatboxTop: true, reverseMessages: true });
+
+      const screenshotPath = await takeScreenshot(page, 'perplexity-dark-mode-both-enabled.png');
+      expect(fs.existsSync(screenshotPath)).toBe(true);
+    });
+  });
+
+  describe('Visual Comparison', () => {
+    beforeEach(async () => {
+      await navigateToPerplexity(page);
+    });
+
+    test('should detect visual difference when chatbox moved to top', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+      const withoutPath = await takeScreenshot(page, 'perplexity-compare-without-chatbox-top.png');
+
+      await applySettings(page, { chatboxTop: true, reverseMessages: false });
+      const withPath = await takeScreenshot(page, 'perplexity-compare-with-chatbox-top.png');
+
+      const comparison = await compareScreenshots(withoutPath, withPath, {
+        threshold: 0.1,
+      });
+
+      // Expect significant difference (composer moved)
+      expect(comparison.diffPercentage).toBeGreaterThan(2);
+    });
+
+    test('should detect visual difference when entries reversed', async () => {
+      await applySettings(page, { chatboxTop: false, reverseMessages: false });
+      const withoutPath = await takeScreenshot(page, 'perplexity-compare-without-reversed.png');
+
+      await applySettings(page, { chatboxTop: false, reverseMessages: true });
+      const withPath = await takeScreenshot(page, 'perplexity-compare-with-reversed.png');
+
+      const comparison = await compareScreenshots(withoutPath, withPath, {
+        threshold: 0.1,
+      });
+
+      // Expect significant difference (entries reordered)
+      expect(comparison.diffPercentage).toBeGreaterThan(2);
+    });
+  });
+});